@@ -0,0 +1,345 @@
+-- Upgrade a database created from the original schema.sql, which only had the events
+-- and stats tables, to the current schema, keeping its events and stats
+--
+-- Rebuilds the events table with AUTOINCREMENT (so IDs of pruned events are never
+-- reused, see src/rollups.js) and the columns added since, fills the daily stats
+-- from the existing events, and creates the other tables. The scheduled job rolls
+-- up the existing events on its next runs.
+--
+-- Databases created from the current schema.sql don't need it.
+
+-- Events table
+CREATE TABLE events_upgraded (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        app_id TEXT NOT NULL,
+                        event_type TEXT NOT NULL,
+                        event_category TEXT DEFAULT 'general',
+                        qualifier TEXT,
+                        value INTEGER DEFAULT 1,
+                        timestamp INTEGER NOT NULL,
+                        country TEXT,
+                        event_id TEXT,
+                        properties TEXT,
+                        user_id TEXT,
+                        schema_warnings TEXT
+);
+
+INSERT INTO events_upgraded (id, app_id, event_type, event_category, qualifier, value, timestamp, country)
+SELECT id, app_id, event_type, event_category, qualifier, value, timestamp, country
+FROM events;
+
+DROP TABLE events;
+ALTER TABLE events_upgraded RENAME TO events;
+
+CREATE INDEX idx_events_app ON events (app_id, event_type, qualifier);
+CREATE INDEX idx_events_time ON events (timestamp);
+CREATE INDEX idx_events_category ON events (app_id, event_category);
+CREATE INDEX idx_events_country ON events (app_id, country, timestamp);
+CREATE INDEX idx_events_user ON events (app_id, user_id, timestamp);
+CREATE INDEX idx_events_app_time ON events (app_id, timestamp);
+
+-- Daily stats per app, metric and country, summed for windowed and per-country stats
+-- A missing country is stored as '' so it can be part of the key
+CREATE TABLE stats_daily (
+                             app_id TEXT NOT NULL,
+                             metric TEXT NOT NULL,
+                             country TEXT NOT NULL DEFAULT '',
+                             day INTEGER NOT NULL,
+                             category TEXT DEFAULT 'general',
+                             value INTEGER DEFAULT 0,
+                             last_updated INTEGER NOT NULL,
+                             PRIMARY KEY (app_id, metric, country, day)
+);
+CREATE INDEX idx_stats_daily_day ON stats_daily (app_id, day);
+
+-- Fill the daily stats from the events, with each metric's category from stats
+INSERT INTO stats_daily (app_id, metric, country, day, category, value, last_updated)
+SELECT app_id, metric, country, day,
+       (SELECT category FROM stats WHERE stats.app_id = daily.app_id AND stats.metric = daily.metric),
+       value, last_updated
+FROM (
+    SELECT app_id,
+           CASE WHEN COALESCE(qualifier, '') = '' THEN event_type ELSE event_type || '.' || qualifier END AS metric,
+           COALESCE(country, '') AS country, timestamp - (timestamp % 86400) AS day,
+           SUM(value) AS value, MAX(timestamp) AS last_updated
+    FROM events
+    GROUP BY 1, 2, 3, 4
+) AS daily;
+
+-- API keys table (only the SHA-256 hash of each key is stored)
+CREATE TABLE api_keys (
+                          id INTEGER PRIMARY KEY,
+                          key_hash TEXT NOT NULL UNIQUE,
+                          key_prefix TEXT NOT NULL,
+                          app_id TEXT,
+                          scopes TEXT NOT NULL,
+                          name TEXT,
+                          rate_limit INTEGER,
+                          created_at INTEGER NOT NULL,
+                          revoked_at INTEGER
+);
+CREATE INDEX idx_api_keys_app ON api_keys (app_id);
+
+-- Per-app settings
+CREATE TABLE app_settings (
+                              app_id TEXT PRIMARY KEY,
+                              signing_required INTEGER DEFAULT 0,
+                              dedupe_window INTEGER,
+                              approx_uniques INTEGER DEFAULT 0,
+                              raw_retention_days INTEGER,
+                              rate_limit INTEGER,
+                              default_category TEXT,
+                              schema_mode TEXT,
+                              cors_origins TEXT,
+                              updated_at INTEGER NOT NULL
+);
+
+-- Per-app event categorisation rules, tried in priority order (see src/categories.js)
+CREATE TABLE category_rules (
+                                app_id TEXT NOT NULL,
+                                priority INTEGER NOT NULL,
+                                match_type TEXT NOT NULL,
+                                pattern TEXT NOT NULL,
+                                category TEXT NOT NULL,
+                                PRIMARY KEY (app_id, priority)
+);
+
+-- Recategorisation of an app's events and stats after its rules changed (see src/categories.js)
+-- previous_rules and next_rules are JSON of { rules, default }. stage is events, stats or
+-- complete, and cursor the last event type or metric done in it, saved with each chunk so
+-- an interrupted recategorisation resumes there. claimed_at is set while a request or
+-- scheduled run works on it
+CREATE TABLE recategorisations (
+                                   app_id TEXT PRIMARY KEY,
+                                   previous_rules TEXT NOT NULL,
+                                   next_rules TEXT NOT NULL,
+                                   stage TEXT NOT NULL,
+                                   cursor TEXT NOT NULL,
+                                   event_types INTEGER NOT NULL DEFAULT 0,
+                                   events INTEGER NOT NULL DEFAULT 0,
+                                   stats INTEGER NOT NULL DEFAULT 0,
+                                   claimed_at INTEGER,
+                                   created_at INTEGER NOT NULL,
+                                   updated_at INTEGER NOT NULL
+);
+
+-- Per-app registry of allowed event types, used when schema_mode is on (see src/schemas.js)
+-- qualifiers is a JSON array, and NULL columns leave that part of the event unrestricted
+CREATE TABLE event_schemas (
+                               app_id TEXT NOT NULL,
+                               event_type TEXT NOT NULL,
+                               qualifiers TEXT,
+                               min_value REAL,
+                               max_value REAL,
+                               category TEXT,
+                               max_skew INTEGER,
+                               updated_at INTEGER NOT NULL,
+                               PRIMARY KEY (app_id, event_type)
+);
+
+-- Rejected events with their problems and raw payload, kept for 30 days (see src/quarantine.js)
+-- claimed_at is set while a request replays the event, so concurrent replays can't track it twice
+CREATE TABLE quarantine (
+                            id INTEGER PRIMARY KEY,
+                            app_id TEXT NOT NULL,
+                            source TEXT NOT NULL,
+                            event_type TEXT,
+                            country TEXT,
+                            errors TEXT NOT NULL,
+                            payload TEXT NOT NULL,
+                            truncated INTEGER NOT NULL DEFAULT 0,
+                            claimed_at INTEGER,
+                            received_at INTEGER NOT NULL
+);
+CREATE INDEX idx_quarantine_app ON quarantine (app_id, event_type);
+CREATE INDEX idx_quarantine_received ON quarantine (received_at);
+
+-- Per-app alert rules, evaluated by the scheduled handler (see src/alerts.js)
+-- last_period is the start of the latest period evaluated, and state is 'ok' or 'firing'
+-- next_due_at is when the period after it completes (NULL to evaluate on the next run)
+CREATE TABLE alert_rules (
+                             id INTEGER PRIMARY KEY,
+                             app_id TEXT NOT NULL,
+                             name TEXT NOT NULL,
+                             metric TEXT NOT NULL,
+                             condition TEXT NOT NULL,
+                             threshold REAL NOT NULL,
+                             baseline_periods INTEGER NOT NULL,
+                             period TEXT NOT NULL,
+                             timezone TEXT NOT NULL,
+                             country TEXT,
+                             webhook_url TEXT NOT NULL,
+                             enabled INTEGER NOT NULL DEFAULT 1,
+                             state TEXT NOT NULL DEFAULT 'ok',
+                             last_value REAL,
+                             last_period INTEGER,
+                             last_evaluated_at INTEGER,
+                             next_due_at INTEGER,
+                             created_at INTEGER NOT NULL,
+                             updated_at INTEGER NOT NULL
+);
+CREATE INDEX idx_alert_rules_app ON alert_rules (app_id);
+CREATE INDEX idx_alert_rules_due ON alert_rules (next_due_at);
+
+-- Alert rules starting to fire or being resolved, with the outcome of the webhook delivery
+CREATE TABLE alert_history (
+                               id INTEGER PRIMARY KEY,
+                               app_id TEXT NOT NULL,
+                               rule_id INTEGER NOT NULL,
+                               state TEXT NOT NULL,
+                               value REAL NOT NULL,
+                               baseline_mean REAL,
+                               baseline_stddev REAL,
+                               period_start INTEGER NOT NULL,
+                               period_end INTEGER NOT NULL,
+                               delivered INTEGER,
+                               delivery_error TEXT,
+                               created_at INTEGER NOT NULL
+);
+CREATE INDEX idx_alert_history_app ON alert_history (app_id, rule_id);
+
+-- Per-app endpoints accepted events are forwarded to (see src/destinations.js)
+-- filter and template are JSON, and secret signs each delivery
+CREATE TABLE destinations (
+                              id INTEGER PRIMARY KEY,
+                              app_id TEXT NOT NULL,
+                              name TEXT NOT NULL,
+                              url TEXT NOT NULL,
+                              filter TEXT,
+                              template TEXT,
+                              batch_size INTEGER NOT NULL,
+                              secret TEXT NOT NULL,
+                              enabled INTEGER NOT NULL DEFAULT 1,
+                              created_at INTEGER NOT NULL,
+                              updated_at INTEGER NOT NULL
+);
+CREATE INDEX idx_destinations_app ON destinations (app_id);
+
+-- Chunks of events waiting to be delivered to a destination (see src/destinations.js)
+-- attempts, status and error are those of the attempts so far, and claimed_at is set
+-- while a request or scheduled run delivers the chunk
+CREATE TABLE destination_outbox (
+                                    id INTEGER PRIMARY KEY,
+                                    app_id TEXT NOT NULL,
+                                    destination_id INTEGER NOT NULL,
+                                    events INTEGER NOT NULL,
+                                    payload TEXT NOT NULL,
+                                    attempts INTEGER NOT NULL DEFAULT 0,
+                                    status INTEGER,
+                                    error TEXT,
+                                    next_attempt_at INTEGER NOT NULL,
+                                    claimed_at INTEGER,
+                                    created_at INTEGER NOT NULL
+);
+CREATE INDEX idx_destination_outbox_due ON destination_outbox (next_attempt_at);
+CREATE INDEX idx_destination_outbox_destination ON destination_outbox (app_id, destination_id);
+
+-- Chunks of events that couldn't be delivered to a destination after all retries, kept for 30 days
+CREATE TABLE destination_failures (
+                                      id INTEGER PRIMARY KEY,
+                                      app_id TEXT NOT NULL,
+                                      destination_id INTEGER NOT NULL,
+                                      events INTEGER NOT NULL,
+                                      attempts INTEGER NOT NULL,
+                                      status INTEGER,
+                                      error TEXT NOT NULL,
+                                      payload TEXT NOT NULL,
+                                      truncated INTEGER NOT NULL DEFAULT 0,
+                                      created_at INTEGER NOT NULL
+);
+CREATE INDEX idx_destination_failures_app ON destination_failures (app_id, destination_id);
+CREATE INDEX idx_destination_failures_created ON destination_failures (created_at);
+
+-- Request signing secrets (rotated-out secrets stay valid until expires_at)
+CREATE TABLE signing_secrets (
+                                 id INTEGER PRIMARY KEY,
+                                 app_id TEXT NOT NULL,
+                                 secret TEXT NOT NULL,
+                                 created_at INTEGER NOT NULL,
+                                 expires_at INTEGER
+);
+CREATE INDEX idx_signing_secrets_app ON signing_secrets (app_id, expires_at);
+
+-- Nonces of signed requests, kept until their timestamp is too old to be accepted
+CREATE TABLE request_nonces (
+                                app_id TEXT NOT NULL,
+                                nonce TEXT NOT NULL,
+                                expires_at INTEGER NOT NULL,
+                                PRIMARY KEY (app_id, nonce)
+);
+CREATE INDEX idx_request_nonces_expiry ON request_nonces (app_id, expires_at);
+
+-- Client-supplied event IDs seen within each app's deduplication window
+CREATE TABLE event_ids (
+                           app_id TEXT NOT NULL,
+                           event_id TEXT NOT NULL,
+                           received_at INTEGER NOT NULL,
+                           PRIMARY KEY (app_id, event_id)
+);
+CREATE INDEX idx_event_ids_received ON event_ids (app_id, received_at);
+
+-- Daily HyperLogLog sketches of user IDs per app ('*') and per metric (see src/hll.js)
+CREATE TABLE user_sketches (
+                               app_id TEXT NOT NULL,
+                               day INTEGER NOT NULL,
+                               metric TEXT NOT NULL,
+                               register INTEGER NOT NULL,
+                               rank INTEGER NOT NULL,
+                               PRIMARY KEY (app_id, metric, day, register)
+);
+
+-- Hourly and daily event totals per app, metric and country (see src/rollups.js)
+-- A missing qualifier or country is stored as '' so it can be part of the key
+CREATE TABLE event_rollups (
+                               app_id TEXT NOT NULL,
+                               granularity TEXT NOT NULL,
+                               bucket INTEGER NOT NULL,
+                               event_type TEXT NOT NULL,
+                               qualifier TEXT NOT NULL DEFAULT '',
+                               country TEXT NOT NULL DEFAULT '',
+                               total INTEGER NOT NULL DEFAULT 0,
+                               count INTEGER NOT NULL DEFAULT 0,
+                               PRIMARY KEY (app_id, granularity, event_type, qualifier, country, bucket)
+);
+
+-- Progress of scheduled jobs: the last event ID each one has processed
+CREATE TABLE rollup_state (
+                              name TEXT PRIMARY KEY,
+                              last_event_id INTEGER NOT NULL DEFAULT 0,
+                              updated_at INTEGER NOT NULL
+);
+
+-- Per-app cutoff of the latest raw event prune (see src/pruning.js)
+CREATE TABLE pruning_state (
+                               app_id TEXT PRIMARY KEY,
+                               pruned_before INTEGER NOT NULL,
+                               updated_at INTEGER NOT NULL
+);
+
+-- Ingest rate limit counters per app or key for the current window (RATE_LIMIT_STORE = "d1")
+CREATE TABLE rate_limit_counters (
+                                     key TEXT PRIMARY KEY,
+                                     window_start INTEGER NOT NULL,
+                                     count INTEGER NOT NULL
+);
+
+-- Bulk imports of historical events (see src/handlers/import.js)
+-- processed_rows and the row counts are updated in the same transaction as each chunk
+-- of events, so an interrupted import resumes after the last chunk that was committed.
+-- claimed_at is set while a request inserts a chunk, so concurrent requests can't
+-- insert it twice
+CREATE TABLE imports (
+                         id TEXT PRIMARY KEY,
+                         app_id TEXT NOT NULL,
+                         format TEXT NOT NULL,
+                         status TEXT NOT NULL DEFAULT 'running',
+                         processed_rows INTEGER NOT NULL DEFAULT 0,
+                         imported_rows INTEGER NOT NULL DEFAULT 0,
+                         duplicate_rows INTEGER NOT NULL DEFAULT 0,
+                         error_rows INTEGER NOT NULL DEFAULT 0,
+                         errors TEXT,
+                         claimed_at INTEGER,
+                         created_at INTEGER NOT NULL,
+                         updated_at INTEGER NOT NULL
+);
+CREATE INDEX idx_imports_app ON imports (app_id, created_at);
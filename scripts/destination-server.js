@@ -0,0 +1,87 @@
+/**
+ * Local stand-in for a destination endpoint
+ *
+ * Receives the deliveries of a destination while developing, and logs each request with
+ * its events. Point the destination's url at it, for example http://127.0.0.1:9000/events,
+ * and run it with Node:
+ *
+ *   node scripts/destination-server.js
+ *
+ * Settings come from environment variables:
+ * - PORT: Port to listen on, defaults to 9000
+ * - SECRET: The destination's secret, to check X-Signature (unchecked if not set)
+ * - STATUS: Status to respond with, defaults to 200 (use 503 to see retries)
+ * - FAIL_RATE: Share of requests answered with 503 instead, between 0 and 1, defaults to 0
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = parseInt(process.env.PORT || '9000');
+const SECRET = process.env.SECRET || null;
+const STATUS = parseInt(process.env.STATUS || '200');
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE || '0');
+
+/**
+ * Check a delivery's signature, the hex encoded HMAC-SHA256 of `${timestamp}.${body}`
+ *
+ * @param {http.IncomingMessage} request - The delivery
+ * @param {string} body - The raw body
+ * @returns {string} - valid, invalid or unchecked
+ */
+function checkSignature(request, body) {
+    if (!SECRET) {
+        return 'unchecked';
+    }
+
+    const timestamp = request.headers['x-timestamp'] || '';
+    const signature = request.headers['x-signature'] || '';
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+    const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    return valid ? 'valid' : 'invalid';
+}
+
+/**
+ * Count the events in a delivery, with or without a template
+ *
+ * @param {*} payload - The parsed body
+ * @returns {number} - The number of events
+ */
+function countEvents(payload) {
+    if (Array.isArray(payload)) {
+        return payload.length;
+    }
+    return Array.isArray(payload?.events) ? payload.events.length : 1;
+}
+
+const server = http.createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', data => {
+        body += data;
+    });
+
+    request.on('end', () => {
+        const signature = checkSignature(request, body);
+        const status = signature === 'invalid' ? 401 : Math.random() < FAIL_RATE ? 503 : STATUS;
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            payload = body;
+        }
+
+        console.log(`${new Date().toISOString()} ${request.method} ${request.url} -> ${status}` +
+            ` (${countEvents(payload)} events, signature ${signature})`);
+        console.log(JSON.stringify(payload, null, 2));
+
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ received: status < 300 }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Destination stand-in listening on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,521 @@
+/**
+ * Applytics JavaScript SDK
+ *
+ * Tracks events from browsers, React Native and Node. Events are queued, kept in storage
+ * while they can't be sent, and flushed to POST /v1/track/batch in batches. Every event
+ * gets an event_id when it is tracked, so a retried batch is never counted twice.
+ *
+ * Requests aren't signed, so apps with signing_required enabled can't use it: the signing
+ * secret would ship with the app, and beacons can't set the signature headers.
+ *
+ * Load it with a script tag (it defines window.Applytics), or require it as a CommonJS
+ * module. Served by the Worker at GET /sdk.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Applytics = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    /**
+     * Most events the server accepts in one batch
+     */
+    const MAX_BATCH_SIZE = 100;
+
+    /**
+     * Largest beacon body to send, below the 64 KB browsers allow for all pending beacons
+     */
+    const MAX_BEACON_BYTES = 60000;
+
+    /**
+     * Delays before retrying a failed batch, in milliseconds. The delay doubles with every
+     * failure in a row, up to the maximum.
+     */
+    const RETRY_BASE_DELAY = 1000;
+    const RETRY_MAX_DELAY = 300000;
+
+    /**
+     * Default client options
+     */
+    const DEFAULTS = {
+        flushInterval: 10000,
+        batchSize: MAX_BATCH_SIZE,
+        maxQueueSize: 1000,
+        storage: undefined,
+        storageKey: null,
+        fetch: null,
+        userId: null,
+        onError: null
+    };
+
+    /**
+     * Applytics client
+     */
+    class Applytics {
+        /**
+         * Create a client, and load any events an earlier session couldn't send
+         *
+         * @param {Object} options - Client options
+         * @param {string} options.endpoint - The Worker's URL, e.g. https://analytics.example.com
+         * @param {string} options.appId - The app ID
+         * @param {string} options.apiKey - An API key with the ingest scope
+         * @param {number} [options.flushInterval=10000] - Milliseconds between automatic flushes, or 0 to only flush by hand
+         * @param {number} [options.batchSize=100] - Events per request, at most 100
+         * @param {number} [options.maxQueueSize=1000] - Events kept while they can't be sent; the oldest are dropped beyond this
+         * @param {Object|null} [options.storage] - Where the queue is kept: an object with getItem, setItem and
+         *   removeItem, which may return promises (such as React Native's AsyncStorage). Defaults to
+         *   localStorage where there is one; null keeps the queue in memory only
+         * @param {string} [options.storageKey] - Storage key of the queue (default applytics:<appId>)
+         * @param {Function} [options.fetch] - fetch implementation (default the global fetch)
+         * @param {string|null} [options.userId=null] - User or install ID added to every event
+         * @param {Function|null} [options.onError=null] - Called with an error (see createError) for events
+         *   that were rejected or dropped, and for batches that will be retried
+         */
+        constructor(options) {
+            if (!options || !options.endpoint || !options.appId || !options.apiKey) {
+                throw new TypeError('Applytics needs an endpoint, appId and apiKey');
+            }
+
+            this.options = Object.assign({}, DEFAULTS, options);
+            this.options.batchSize = Math.min(Math.max(1, this.options.batchSize), MAX_BATCH_SIZE);
+            this.url = `${options.endpoint.replace(/\/+$/, '')}/v1/track/batch`;
+            this.storage = this.options.storage !== undefined ? this.options.storage : getDefaultStorage();
+            this.storageKey = this.options.storageKey || `applytics:${options.appId}`;
+            this.userId = this.options.userId;
+
+            this.queue = [];
+            // Events of the request in flight, which stay queued until it succeeds
+            this.sending = new Set();
+            // Events sent by beacon, which stay queued until a flush confirms them
+            this.beaconed = new Set();
+            this.flushing = null;
+            this.failures = 0;
+            this.retryAt = 0;
+            this.saving = Promise.resolve();
+            this.timer = null;
+            this.unlisten = null;
+
+            this.ready = this.restore();
+            this.startTimer();
+            this.listen();
+        }
+
+        /**
+         * Queue an event
+         *
+         * @param {string} eventType - Event type, e.g. purchase
+         * @param {Object} [fields] - Other event fields: qualifier, value, category, properties, user_id,
+         *   timestamp (Unix seconds, default now) and event_id (a string, default a new UUID)
+         * @returns {string} - The event's event_id
+         */
+        track(eventType, fields) {
+            if (typeof eventType !== 'string' || eventType === '') {
+                throw new TypeError('eventType must be a non-empty string');
+            }
+
+            // The fields can't replace eventType, or leave the event without a timestamp or event_id
+            const { timestamp, event_id, ...rest } = fields || {};
+            const event = {
+                ...(this.userId !== null ? { user_id: this.userId } : {}),
+                ...rest,
+                event_type: eventType,
+                timestamp: timestamp ?? Math.floor(Date.now() / 1000),
+                event_id: typeof event_id === 'string' ? event_id : generateId()
+            };
+
+            this.queue.push(event);
+            this.trim();
+            this.save();
+
+            if (this.queue.length - this.sending.size >= this.options.batchSize) {
+                this.flush();
+            }
+            return event.event_id;
+        }
+
+        /**
+         * Set the user or install ID added to events tracked from now on
+         *
+         * @param {string|null} userId - The ID, or null for none
+         */
+        setUserId(userId) {
+            this.userId = userId;
+        }
+
+        /**
+         * Send the queued events
+         *
+         * Resolves once the queue is empty, or when a batch fails and is left queued for a
+         * retry. Never rejects; problems are passed to onError.
+         *
+         * @returns {Promise<void>}
+         */
+        flush() {
+            if (!this.flushing) {
+                this.flushing = this.sendAll().finally(() => {
+                    this.flushing = null;
+                });
+            }
+            return this.flushing;
+        }
+
+        /**
+         * Stop the automatic flushes, then send the queued events and finish storing the rest
+         *
+         * Call this before a Node process exits.
+         *
+         * @returns {Promise<void>}
+         */
+        async shutdown() {
+            clearInterval(this.timer);
+            if (this.unlisten) {
+                this.unlisten();
+            }
+
+            // There won't be a later retry, so don't wait for one
+            this.retryAt = 0;
+            await this.flush();
+            await this.saving;
+        }
+
+        /**
+         * Send batches until the queue is empty or one fails
+         *
+         * @returns {Promise<void>}
+         */
+        async sendAll() {
+            await this.ready;
+
+            while (this.queue.length > 0 && Date.now() >= this.retryAt && !isOffline()) {
+                const batch = this.queue.slice(0, this.options.batchSize);
+                batch.forEach(event => this.sending.add(event));
+
+                let done;
+                try {
+                    done = await this.send(batch);
+                } finally {
+                    batch.forEach(event => this.sending.delete(event));
+                }
+
+                if (!done) {
+                    return;
+                }
+                this.remove(batch);
+            }
+        }
+
+        /**
+         * Send one batch
+         *
+         * Rate limited (429) and failed (5xx or network) requests are retried. Other errors,
+         * such as an invalid key, would only happen again, so their batch is dropped.
+         * Events the server rejects are kept in its quarantine, where they can be replayed,
+         * and are not sent again either.
+         *
+         * @param {Array<Object>} batch - The events
+         * @returns {Promise<boolean>} - True if the batch is done with, false if it should be retried
+         */
+        async send(batch) {
+            const fetchImpl = this.options.fetch || globalThis.fetch;
+            let response;
+            let data;
+
+            try {
+                response = await fetchImpl(this.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-App-ID': this.options.appId,
+                        'X-API-Key': this.options.apiKey
+                    },
+                    body: JSON.stringify({ events: batch })
+                });
+                data = await response.json().catch(() => null);
+            } catch (error) {
+                return this.retryLater(createError('network', error.message, batch));
+            }
+
+            if (response.ok) {
+                this.failures = 0;
+                const rejected = (data?.events || []).filter(result => result.status === 'rejected');
+                if (rejected.length > 0) {
+                    this.report(createError('rejected', 'Events were rejected', rejected, response.status));
+                }
+                return true;
+            }
+
+            const message = data?.error || `Request failed (${response.status})`;
+            const details = data?.details ?? null;
+
+            if (response.status === 429 || response.status >= 500) {
+                const retryAfter = parseInt(response.headers.get('Retry-After'));
+                return this.retryLater(createError('retry', message, batch, response.status, details),
+                    retryAfter > 0 ? retryAfter * 1000 : null);
+            }
+
+            this.failures = 0;
+            this.report(createError('dropped', message, batch, response.status, details));
+            return true;
+        }
+
+        /**
+         * Send the queue with navigator.sendBeacon, as the page is hidden or unloaded
+         *
+         * Beacons can't set headers, so the app ID and key go in the body. Their responses
+         * can't be read either, so beaconed events stay queued and stored until a flush
+         * confirms them, in this visit or the next; their event_id keeps them from being
+         * counted twice. Events already beaconed, or in a request still in flight, are skipped.
+         */
+        beacon() {
+            const pending = this.queue.filter(event => !this.sending.has(event) && !this.beaconed.has(event));
+            const sent = [];
+
+            while (sent.length < pending.length) {
+                let batch = pending.slice(sent.length, sent.length + this.options.batchSize);
+                let body = this.getBeaconBody(batch);
+                while (body.length > MAX_BEACON_BYTES && batch.length > 1) {
+                    batch = batch.slice(0, Math.ceil(batch.length / 2));
+                    body = this.getBeaconBody(batch);
+                }
+
+                // Browsers refuse beacons once too much data is pending; the rest stays stored
+                if (!navigator.sendBeacon(this.url, new Blob([body], { type: 'text/plain' }))) {
+                    break;
+                }
+                sent.push(...batch);
+            }
+
+            sent.forEach(event => this.beaconed.add(event));
+        }
+
+        /**
+         * Build the body of a beacon
+         *
+         * @param {Array<Object>} batch - The events
+         * @returns {string} - The JSON body, with the app ID and key
+         */
+        getBeaconBody(batch) {
+            return JSON.stringify({ app_id: this.options.appId, api_key: this.options.apiKey, events: batch });
+        }
+
+        /**
+         * Leave a failed batch queued, and hold off flushing until it can be retried
+         *
+         * @param {Error} error - What went wrong (from createError)
+         * @param {number|null} [delay=null] - Milliseconds to wait, or null to back off exponentially
+         * @returns {boolean} - False, as the batch wasn't sent
+         */
+        retryLater(error, delay = null) {
+            this.failures++;
+            const backoff = Math.min(RETRY_BASE_DELAY * 2 ** (this.failures - 1), RETRY_MAX_DELAY);
+            // Jitter keeps clients that failed together from retrying together
+            this.retryAt = Date.now() + (delay ?? backoff * (0.5 + Math.random() / 2));
+            error.retryAt = this.retryAt;
+            this.report(error);
+            return false;
+        }
+
+        /**
+         * Remove events from the queue
+         *
+         * @param {Array<Object>} events - The events
+         */
+        remove(events) {
+            const removed = new Set(events);
+            this.queue = this.queue.filter(event => !removed.has(event));
+            events.forEach(event => this.beaconed.delete(event));
+            this.save();
+        }
+
+        /**
+         * Drop the oldest events beyond maxQueueSize, except those being sent
+         */
+        trim() {
+            const excess = this.queue.length - this.options.maxQueueSize;
+            if (excess > 0) {
+                const dropped = this.queue.filter(event => !this.sending.has(event)).slice(0, excess);
+                this.remove(dropped);
+                this.report(createError('dropped', 'Queue is full', dropped));
+            }
+        }
+
+        /**
+         * Load the events stored by an earlier session, ahead of any tracked since
+         *
+         * @returns {Promise<void>}
+         */
+        async restore() {
+            if (!this.storage) {
+                return;
+            }
+
+            try {
+                const stored = JSON.parse(await this.storage.getItem(this.storageKey) || '[]');
+                if (Array.isArray(stored) && stored.length > 0) {
+                    this.queue = [...stored, ...this.queue];
+                    this.trim();
+                }
+            } catch (error) {
+                this.report(createError('storage', error.message, []));
+            }
+        }
+
+        /**
+         * Store the queue, one write at a time so they land in order
+         */
+        save() {
+            if (!this.storage) {
+                return;
+            }
+
+            this.saving = this.saving.then(async () => {
+                // Don't overwrite the stored events before they have been loaded
+                await this.ready;
+                if (this.queue.length > 0) {
+                    await this.storage.setItem(this.storageKey, JSON.stringify(this.queue));
+                } else {
+                    await this.storage.removeItem(this.storageKey);
+                }
+            }).catch(error => {
+                this.report(createError('storage', error.message, []));
+            });
+        }
+
+        /**
+         * Flush every flushInterval, without keeping a Node process alive for it
+         */
+        startTimer() {
+            if (this.options.flushInterval > 0) {
+                this.timer = setInterval(() => this.flush(), this.options.flushInterval);
+                this.timer.unref?.();
+            }
+        }
+
+        /**
+         * In browsers, send a beacon when the page is hidden or unloaded, and flush as soon
+         * as the connection is back
+         */
+        listen() {
+            if (typeof window === 'undefined' || typeof document === 'undefined' || !window.addEventListener) {
+                return;
+            }
+
+            const onHide = () => {
+                if (typeof navigator.sendBeacon === 'function') {
+                    this.beacon();
+                }
+            };
+            const onVisibilityChange = () => {
+                if (document.visibilityState === 'hidden') {
+                    onHide();
+                }
+            };
+            const onOnline = () => {
+                this.retryAt = 0;
+                this.flush();
+            };
+
+            document.addEventListener('visibilitychange', onVisibilityChange);
+            window.addEventListener('pagehide', onHide);
+            window.addEventListener('online', onOnline);
+
+            this.unlisten = () => {
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+                window.removeEventListener('pagehide', onHide);
+                window.removeEventListener('online', onOnline);
+            };
+        }
+
+        /**
+         * Pass an error to onError
+         *
+         * @param {Error} error - The error (from createError)
+         */
+        report(error) {
+            if (typeof this.options.onError === 'function') {
+                try {
+                    this.options.onError(error);
+                } catch {
+                    // A failing handler must not stop tracking
+                }
+            }
+        }
+    }
+
+    /**
+     * Create an error for onError
+     *
+     * Its type is one of:
+     * - rejected: the server rejected some events of a batch; events are their results, with errors
+     * - dropped: events were given up on, after an error that a retry can't fix or with a full queue
+     * - retry: the server was unavailable or rate limiting; the events are sent again after retryAt
+     * - network: the request failed; the events are sent again after retryAt
+     * - storage: the queue couldn't be stored or loaded
+     *
+     * @param {string} type - The kind of problem
+     * @param {string} message - What went wrong
+     * @param {Array<Object>} events - The events concerned
+     * @param {number|null} [status=null] - The response status
+     * @param {*} [details=null] - The response's error details
+     * @returns {Error} - The error, with these as properties, and retryAt (a time in milliseconds) for retries
+     */
+    function createError(type, message, events, status = null, details = null) {
+        return Object.assign(new Error(message), { name: 'ApplyticsError', type, events, status, details, retryAt: null });
+    }
+
+    /**
+     * Get localStorage, where there is a usable one
+     *
+     * @returns {Storage|null} - localStorage, or null
+     */
+    function getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch {
+            // Reading localStorage throws where the browser blocks storage
+            return null;
+        }
+    }
+
+    /**
+     * Check whether the browser knows it is offline
+     *
+     * @returns {boolean} - True if offline
+     */
+    function isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Generate an event ID (a random UUID)
+     *
+     * @returns {string} - The ID
+     */
+    function generateId() {
+        if (typeof globalThis.crypto?.randomUUID === 'function') {
+            return globalThis.crypto.randomUUID();
+        }
+
+        // React Native has no crypto by default, and event IDs only need to be unique, not secret
+        const bytes = new Uint8Array(16);
+        if (typeof globalThis.crypto?.getRandomValues === 'function') {
+            globalThis.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    Applytics.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+    return Applytics;
+});
@@ -0,0 +1,361 @@
+/**
+ * Alert rules
+ *
+ * Each rule watches one metric, summed per period with the same aggregation as
+ * /timeseries, and fires when the last complete period is:
+ * - above: Greater than the threshold
+ * - below: Less than the threshold
+ * - deviation: More than threshold standard deviations away from the mean of the
+ *   baseline_periods periods before it
+ *
+ * The scheduled handler evaluates every rule once per period, shortly after the period
+ * ends. A rule that starts firing, and one that stops (resolved), posts to its webhook
+ * and is recorded in the alert history. Rules don't notify again while they keep firing.
+ */
+import { parseTimezone, getTimeBuckets, getOffsetSegments } from './timezone.js';
+import { buildRollupTimeseriesQuery } from './rollups.js';
+import { getTimeGroupExpression } from './utils.js';
+
+/**
+ * Supported alert conditions
+ */
+export const ALERT_CONDITIONS = ['above', 'below', 'deviation'];
+
+/**
+ * Limits on alert rules
+ */
+export const MAX_ALERT_RULES = 50;
+export const MAX_ALERT_NAME_LENGTH = 100;
+export const MAX_WEBHOOK_URL_LENGTH = 2048;
+export const MIN_BASELINE_PERIODS = 2;
+export const MAX_BASELINE_PERIODS = 100;
+
+/**
+ * Number of rules evaluated per run, longest due first
+ */
+const MAX_ALERT_RULES_PER_RUN = 50;
+
+/**
+ * How long a webhook may take to respond, in milliseconds
+ */
+const WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * Fields of an alert rule, with their defaults (undefined for required fields)
+ */
+const ALERT_RULE_FIELDS = {
+    name: undefined,
+    metric: undefined,
+    condition: undefined,
+    threshold: undefined,
+    webhook_url: undefined,
+    country: null,
+    period: 'hour',
+    timezone: 'UTC',
+    baseline_periods: 7,
+    enabled: true
+};
+
+/**
+ * Evaluate the alert rules whose last complete period hasn't been evaluated yet
+ *
+ * Each evaluation is recorded with a guard on the period the rule was last evaluated
+ * for, so overlapping runs never notify twice. Rules are then due again when their
+ * next period completes, so runs only pick up rules with something to evaluate.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<Object>} - { evaluated, fired, resolved }
+ */
+export async function evaluateAlerts(db) {
+    const now = Math.floor(Date.now() / 1000);
+
+    // New and edited rules have no next_due_at, and sort first
+    const { results: rules } = await db.prepare(`
+    SELECT * FROM alert_rules
+    WHERE enabled = 1 AND (next_due_at IS NULL OR next_due_at <= ?)
+    ORDER BY next_due_at
+    LIMIT ?
+  `).bind(now, MAX_ALERT_RULES_PER_RUN).all();
+
+    const summary = { evaluated: 0, fired: 0, resolved: 0 };
+
+    for (const rule of rules || []) {
+        try {
+            const timezone = parseTimezone(rule.timezone);
+            const [ongoing] = getTimeBuckets(rule.period, now, now, timezone, 1);
+            const buckets = getCompletePeriods(rule, timezone, ongoing);
+            const current = buckets[buckets.length - 1];
+
+            // Already evaluated for this period, so it isn't due until the ongoing one ends
+            if (rule.last_period !== null && rule.last_period >= current.start) {
+                await db.prepare(
+                    "UPDATE alert_rules SET next_due_at = ? WHERE id = ? AND last_period IS ?"
+                ).bind(ongoing.end, rule.id, rule.last_period).run();
+                continue;
+            }
+
+            const values = await getPeriodTotals(db, rule, timezone, buckets);
+            const result = checkAlertCondition(rule, values);
+            const state = result.firing ? 'firing' : 'ok';
+            const changed = state !== rule.state;
+
+            const statements = [
+                db.prepare(`
+          UPDATE alert_rules
+          SET state = ?, last_value = ?, last_period = ?, last_evaluated_at = ?, next_due_at = ?
+          WHERE id = ? AND last_period IS ?
+        `).bind(state, result.value, current.start, now, ongoing.end, rule.id, rule.last_period)
+            ];
+            if (changed) {
+                statements.push(db.prepare(`
+          INSERT INTO alert_history (app_id, rule_id, state, value, baseline_mean, baseline_stddev, period_start, period_end, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+                    rule.app_id, rule.id, result.firing ? 'firing' : 'resolved', result.value,
+                    result.baseline?.mean ?? null, result.baseline?.stddev ?? null, current.start, current.end, now
+                ));
+            }
+
+            const [update, history] = await db.batch(statements);
+            if (!update.meta.changes) {
+                // Another run evaluated this period first
+                continue;
+            }
+            summary.evaluated++;
+
+            if (changed) {
+                summary[result.firing ? 'fired' : 'resolved']++;
+                const evaluated = { ...rule, state, last_value: result.value, last_period: current.start, last_evaluated_at: now, next_due_at: ongoing.end };
+                const delivery = await deliverAlert(evaluated, result, current, now);
+                await db.prepare(
+                    "UPDATE alert_history SET delivered = ?, delivery_error = ? WHERE id = ?"
+                ).bind(delivery.delivered ? 1 : 0, delivery.error, history.meta.last_row_id).run();
+            }
+        } catch (error) {
+            console.error(`Alert rule ${rule.id} error:`, error);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Get the rule's last complete period, preceded by its baseline periods for deviation rules
+ *
+ * @param {Object} rule - The alert_rules row
+ * @param {Object} timezone - The rule's time zone (from parseTimezone)
+ * @param {Object} ongoing - The period in progress, as a bucket of { time_period, start, end }
+ * @returns {Array<Object>} - Buckets of { time_period, start, end } in chronological order
+ */
+function getCompletePeriods(rule, timezone, ongoing) {
+    const count = rule.condition === 'deviation' ? rule.baseline_periods + 1 : 1;
+    return getTimeBuckets(rule.period, 0, ongoing.start - 1, timezone, count);
+}
+
+/**
+ * Sum the rule's metric over each period
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} rule - The alert_rules row
+ * @param {Object} timezone - The rule's time zone (from parseTimezone)
+ * @param {Array<Object>} buckets - The periods (from getCompletePeriods)
+ * @returns {Promise<Array<number>>} - The totals, in the order of the periods
+ */
+async function getPeriodTotals(db, rule, timezone, buckets) {
+    const fromDate = buckets[0].start;
+    const toDate = buckets[buckets.length - 1].end - 1;
+    const segments = getOffsetSegments(timezone, fromDate, toDate);
+
+    const { query, params } = buildRollupTimeseriesQuery(
+        rule.app_id, [rule.metric], rule.period, fromDate, toDate, rule.country, segments
+    );
+    const { results } = await db.prepare(query).bind(...params).all();
+
+    const totals = new Map();
+    for (const row of results || []) {
+        totals.set(row.time_period, (totals.get(row.time_period) || 0) + row.total);
+    }
+    return buckets.map(bucket => totals.get(bucket.time_period) || 0);
+}
+
+/**
+ * Check whether a rule's condition holds for the last period
+ *
+ * @param {Object} rule - The alert_rules row
+ * @param {Array<number>} values - Totals per period, the last being the one checked
+ * @returns {Object} - { firing, value, baseline: { mean, stddev } or null }
+ */
+function checkAlertCondition(rule, values) {
+    const value = values[values.length - 1];
+
+    switch (rule.condition) {
+        case 'above':
+            return { firing: value > rule.threshold, value, baseline: null };
+        case 'below':
+            return { firing: value < rule.threshold, value, baseline: null };
+        case 'deviation': {
+            const baseline = values.slice(0, -1);
+            const mean = baseline.reduce((sum, total) => sum + total, 0) / baseline.length;
+            const variance = baseline.reduce((sum, total) => sum + (total - mean) ** 2, 0) / baseline.length;
+            const stddev = Math.sqrt(variance);
+            return { firing: Math.abs(value - mean) > rule.threshold * stddev, value, baseline: { mean, stddev } };
+        }
+        default:
+            throw new Error(`Unknown alert condition: ${rule.condition}`);
+    }
+}
+
+/**
+ * Post an alert to the rule's webhook
+ *
+ * @param {Object} rule - The alert_rules row
+ * @param {Object} result - The evaluation (from checkAlertCondition)
+ * @param {Object} bucket - The period that was checked
+ * @param {number} now - The current Unix timestamp
+ * @returns {Promise<Object>} - { delivered, error }
+ */
+async function deliverAlert(rule, result, bucket, now) {
+    try {
+        const response = await fetch(rule.webhook_url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                app_id: rule.app_id,
+                state: result.firing ? 'firing' : 'resolved',
+                alert: formatAlertRule(rule),
+                value: result.value,
+                baseline: result.baseline,
+                period: {
+                    start: new Date(bucket.start * 1000).toISOString(),
+                    end: new Date(bucket.end * 1000).toISOString()
+                },
+                timestamp: new Date(now * 1000).toISOString()
+            }),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+
+        if (!response.ok) {
+            return { delivered: false, error: `Webhook responded with ${response.status}` };
+        }
+        return { delivered: true, error: null };
+    } catch (error) {
+        return { delivered: false, error: error.message };
+    }
+}
+
+/**
+ * Validate an alert rule from an API request
+ *
+ * @param {Object} data - The rule's fields
+ * @returns {Object} - { rule } with defaults filled in, or { error: { field: message } }
+ */
+export function parseAlertRule(data) {
+    const errors = {};
+
+    for (const field of Object.keys(data)) {
+        if (!(field in ALERT_RULE_FIELDS)) {
+            errors[field] = 'Unknown field';
+        }
+    }
+
+    const rule = {};
+    for (const [field, fallback] of Object.entries(ALERT_RULE_FIELDS)) {
+        rule[field] = data[field] === undefined ? fallback : data[field];
+        if (rule[field] === undefined) {
+            errors[field] = 'Required';
+        }
+    }
+
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length === 0 || rule.name.length > MAX_ALERT_NAME_LENGTH)) {
+        errors.name = `Must be a string of at most ${MAX_ALERT_NAME_LENGTH} characters`;
+    }
+
+    if (rule.metric !== undefined && (typeof rule.metric !== 'string' || rule.metric.length === 0)) {
+        errors.metric = 'Must be a metric (event_type or event_type.qualifier)';
+    }
+
+    if (rule.condition !== undefined && !ALERT_CONDITIONS.includes(rule.condition)) {
+        errors.condition = `Must be one of ${ALERT_CONDITIONS.join(', ')}`;
+    }
+
+    if (rule.threshold !== undefined && (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold) ||
+        (rule.condition === 'deviation' && rule.threshold < 0))) {
+        errors.threshold = rule.condition === 'deviation' ?
+            'Must be a non-negative number of standard deviations' : 'Must be a number';
+    }
+
+    if (rule.webhook_url !== undefined && !isValidWebhookUrl(rule.webhook_url)) {
+        errors.webhook_url = `Must be an http or https URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+    }
+
+    if (rule.country !== null && (typeof rule.country !== 'string' || rule.country.length === 0)) {
+        errors.country = 'Must be null (all countries) or a country code';
+    }
+
+    if (typeof rule.period !== 'string' || !getTimeGroupExpression(rule.period)) {
+        errors.period = "Must be 'hour', 'day', 'week' or 'month'";
+    }
+
+    if (typeof rule.timezone !== 'string' || !parseTimezone(rule.timezone)) {
+        errors.timezone = "Must be an IANA time zone name such as 'Europe/Berlin', or an offset such as '+05:30'";
+    }
+
+    if (!Number.isInteger(rule.baseline_periods) || rule.baseline_periods < MIN_BASELINE_PERIODS ||
+        rule.baseline_periods > MAX_BASELINE_PERIODS) {
+        errors.baseline_periods = `Must be an integer between ${MIN_BASELINE_PERIODS} and ${MAX_BASELINE_PERIODS}`;
+    }
+
+    if (typeof rule.enabled !== 'boolean') {
+        errors.enabled = 'Must be a boolean';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { error: errors };
+    }
+
+    return { rule };
+}
+
+/**
+ * Format an alert_rules row for webhooks and API responses
+ *
+ * @param {Object} row - The alert_rules row
+ * @returns {Object} - The rule
+ */
+export function formatAlertRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        metric: row.metric,
+        condition: row.condition,
+        threshold: row.threshold,
+        baseline_periods: row.condition === 'deviation' ? row.baseline_periods : null,
+        period: row.period,
+        timezone: row.timezone,
+        country: row.country,
+        webhook_url: row.webhook_url,
+        enabled: Boolean(row.enabled),
+        state: row.state,
+        last_value: row.last_value,
+        last_period: row.last_period !== null ? new Date(row.last_period * 1000).toISOString() : null,
+        last_evaluated_at: row.last_evaluated_at !== null ? new Date(row.last_evaluated_at * 1000).toISOString() : null
+    };
+}
+
+/**
+ * Check that a webhook URL is a reasonably sized http or https URL
+ *
+ * @param {*} value - The URL
+ * @returns {boolean} - True if valid
+ */
+export function isValidWebhookUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_WEBHOOK_URL_LENGTH) {
+        return false;
+    }
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+        return false;
+    }
+}
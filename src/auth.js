@@ -1,37 +1,304 @@
 // Authentication utilities
+import { getAppSettings } from './utils.js';
+
+/**
+ * Scopes that can be granted to an API key
+ * - ingest: Track events (POST /track, POST /track/batch)
+ * - read: Query data (GET /app, /apps, /events, /stats, /timeseries, /users, ...)
+ * - admin: Everything above, plus key management, settings, category rules, event schemas, quarantined events, alert rules, destinations, signing secrets, imports and stats rebuilds
+ */
+export const API_KEY_SCOPES = ['ingest', 'read', 'admin'];
+
+/**
+ * Maximum age (in seconds) of a signed request's timestamp, in either direction
+ */
+export const SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Generate a new random API key
+ *
+ * @returns {string} A new API key in plain text
+ */
+export function generateApiKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    return `apk_${toHex(bytes)}`;
+}
+
+/**
+ * Generate a new random request signing secret
+ *
+ * @returns {string} A new signing secret in plain text
+ */
+export function generateSigningSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return `sig_${toHex(bytes)}`;
+}
+
+/**
+ * Compute an HMAC-SHA256 signature
+ *
+ * @param {string} secret - The signing secret
+ * @param {string} message - The message to sign
+ * @returns {Promise<string>} Hex encoded signature
+ */
+export async function hmacSha256Hex(secret, message) {
+    const encoder = new TextEncoder();
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw', encoder.encode(secret), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+    return toHex(new Uint8Array(signature));
+}
+
+/**
+ * Hash an API key for storage and lookup
+ *
+ * Only the hash of a key is ever stored, so a leaked database does not leak usable keys.
+ *
+ * @param {string} apiKey - The API key in plain text
+ * @returns {Promise<string>} Hex encoded SHA-256 hash of the key
+ */
+export async function hashApiKey(apiKey) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+    return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Check whether a key has been granted a scope
+ *
+ * @param {Object} key - The authenticated key (from verifyApiRequest)
+ * @param {string} scope - The required scope
+ * @returns {boolean} True if the key has the scope (admin implies every scope)
+ */
+export function hasScope(key, scope) {
+    return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
 
 /**
  * Validates request authentication for API endpoints
  *
+ * Keys are looked up by hash in the api_keys table. The API_KEY environment variable
+ * is still accepted as a master key with admin scope for all apps, so the first
+ * per-app keys can be created.
+ *
  * @param {Request} request - The incoming request object containing headers
- * @param {Object} env - Environment variables containing API_KEY for validation
+ * @param {Object} env - Environment variables containing the DB binding and master API_KEY
+ * @param {string} scope - The scope required by the endpoint ('ingest', 'read' or 'admin')
  * @param {boolean} [skipAppIdCheck=false] - Optional flag to bypass app_id validation
- * @returns {Object} Authentication result with properties:
+ * @param {boolean} [allowBodyCredentials=false] - Also accept the app ID and key in the JSON body (see getRequestCredentials)
+ * @returns {Promise<Object>} Authentication result with properties:
  *   - {boolean} success - Indicates if authentication was successful
  *   - {string} [app_id] - The application ID from headers (if authentication successful)
+ *   - {Object} [key] - The authenticated key: id, app_id (null for all apps), scopes and rate_limit
  *   - {string} [error] - Error message (if authentication failed)
  * @throws {Error} Catches and handles any exceptions during verification
  */
-export function verifyApiRequest(request, env, skipAppIdCheck = false) {
+export async function verifyApiRequest(request, env, scope, skipAppIdCheck = false, allowBodyCredentials = false) {
     try {
-        // Get app_id and API key from headers
-        const app_id = request.headers.get('X-App-ID');
-        const apiKey = request.headers.get('X-API-Key');
+        // Get app_id and API key from the headers, or the body of a beacon
+        const {app_id, apiKey} = await getRequestCredentials(request, allowBodyCredentials);
 
         // Validate app_id is present (unless skipped)
         if (!skipAppIdCheck && !app_id) {
             return {success: false, error: 'Missing app_id header'};
         }
 
-        // Validate API key is present and matches
-        if (!apiKey || apiKey !== env.API_KEY) {
+        if (!apiKey) {
+            return {success: false, error: 'Invalid API key'};
+        }
+
+        const key = await findApiKey(env, apiKey);
+
+        if (!key) {
             return {success: false, error: 'Invalid API key'};
         }
 
+        if (key.revoked_at) {
+            return {success: false, error: 'API key has been revoked'};
+        }
+
+        // Keys bound to an app can only be used for that app
+        if (key.app_id && app_id && key.app_id !== app_id) {
+            return {success: false, error: 'API key is not valid for this app'};
+        }
+
+        if (!hasScope(key, scope)) {
+            return {success: false, error: `API key is missing the '${scope}' scope`};
+        }
+
+        // Ingest requests must be signed if they carry a signature or the app requires one
+        if (scope === 'ingest') {
+            const settings = await getAppSettings(env.DB, app_id);
+            if (settings.signing_required || request.headers.has('X-Signature')) {
+                const signatureResult = await verifyRequestSignature(request, env.DB, app_id);
+                if (!signatureResult.success) {
+                    return signatureResult;
+                }
+            }
+        }
+
         // Authentication successful
-        return {success: true, app_id};
+        return {
+            success: true,
+            app_id: app_id || key.app_id,
+            key: {id: key.id, app_id: key.app_id, scopes: key.scopes, rate_limit: key.rate_limit}
+        };
     } catch (error) {
         console.error('Auth verification error:', error);
         return {success: false, error: 'Authentication error'};
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the app ID and API key of a request
+ *
+ * They are sent in the X-App-ID and X-API-Key headers. Beacons (navigator.sendBeacon)
+ * can't set headers, so routes that take them may instead read app_id and api_key fields
+ * of the JSON body, when the request has no X-API-Key header.
+ *
+ * @param {Request} request - The incoming request
+ * @param {boolean} allowBodyCredentials - Whether to look in the body
+ * @returns {Promise<Object>} The app_id and apiKey, each null if missing
+ */
+async function getRequestCredentials(request, allowBodyCredentials) {
+    const app_id = request.headers.get('X-App-ID');
+    const apiKey = request.headers.get('X-API-Key');
+
+    if (apiKey || !allowBodyCredentials) {
+        return {app_id, apiKey};
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await request.clone().text());
+    } catch {
+        return {app_id, apiKey};
+    }
+
+    const getString = value => typeof value === 'string' && value !== '' ? value : null;
+    return {app_id: app_id || getString(body?.app_id), apiKey: getString(body?.api_key)};
+}
+
+/**
+ * Verify an HMAC signed ingest request
+ *
+ * The client signs `${timestamp}.${nonce}.${body}` with one of the app's signing secrets
+ * and sends the result in X-Signature, alongside X-Timestamp (Unix seconds) and X-Nonce.
+ * Requests are rejected if they are stale, if the nonce has been seen before, or if the
+ * signature does not match any of the app's active secrets.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Promise<Object>} Result with success flag and error message on failure
+ */
+export async function verifyRequestSignature(request, db, app_id) {
+    const signature = request.headers.get('X-Signature');
+    const timestamp = parseInt(request.headers.get('X-Timestamp'));
+    const nonce = request.headers.get('X-Nonce');
+
+    if (!signature || !timestamp || !nonce) {
+        return {success: false, error: 'Missing request signature headers'};
+    }
+
+    if (!/^[A-Za-z0-9_-]{8,64}$/.test(nonce)) {
+        return {success: false, error: 'Invalid nonce'};
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE) {
+        return {success: false, error: 'Request timestamp outside allowed window'};
+    }
+
+    // Both the current secret and any rotated-out secret still in its grace window are accepted
+    const { results: secrets } = await db.prepare(
+        "SELECT secret FROM signing_secrets WHERE app_id = ? AND (expires_at IS NULL OR expires_at > ?)"
+    ).bind(app_id, now).all();
+
+    if (!secrets || secrets.length === 0) {
+        return {success: false, error: 'No signing secret configured for this app'};
+    }
+
+    const body = await request.clone().text();
+    const message = `${timestamp}.${nonce}.${body}`;
+
+    let valid = false;
+    for (const row of secrets) {
+        if (timingSafeEqual(await hmacSha256Hex(row.secret, message), signature.toLowerCase())) {
+            valid = true;
+            break;
+        }
+    }
+
+    if (!valid) {
+        return {success: false, error: 'Invalid request signature'};
+    }
+
+    // Record the nonce, expiring it once the timestamp could no longer be accepted anyway
+    const [, nonceResult] = await db.batch([
+        db.prepare("DELETE FROM request_nonces WHERE app_id = ? AND expires_at < ?").bind(app_id, now),
+        db.prepare(
+            "INSERT INTO request_nonces (app_id, nonce, expires_at) VALUES (?, ?, ?) ON CONFLICT (app_id, nonce) DO NOTHING"
+        ).bind(app_id, nonce, timestamp + SIGNATURE_TOLERANCE)
+    ]);
+
+    if (!nonceResult.meta.changes) {
+        return {success: false, error: 'Request has already been processed'};
+    }
+
+    return {success: true};
+}
+
+/**
+ * Look up an API key, falling back to the master key from the environment
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} apiKey - The API key from the request
+ * @returns {Promise<Object|null>} The key record or null if unknown
+ */
+async function findApiKey(env, apiKey) {
+    if (env.API_KEY && apiKey === env.API_KEY) {
+        return {id: null, app_id: null, scopes: ['admin'], rate_limit: null, revoked_at: null};
+    }
+
+    const row = await env.DB.prepare(
+        "SELECT id, app_id, scopes, rate_limit, revoked_at FROM api_keys WHERE key_hash = ?"
+    ).bind(await hashApiKey(apiKey)).first();
+
+    if (!row) {
+        return null;
+    }
+
+    return {
+        ...row,
+        scopes: row.scopes.split(',')
+    };
+}
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/**
+ * Convert bytes to a hex string
+ *
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} Hex encoded string
+ */
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,491 @@
+/**
+ * Event categorisation rules
+ *
+ * Events tracked without a category are given one by matching their event_type against
+ * the app's rules, in priority order. If none matches, the app's default_category
+ * setting is used, and apps without one fall back to the built-in rules below.
+ *
+ * Rules match in one of four ways:
+ * - exact: The event type equals the pattern
+ * - prefix: The event type starts with the pattern
+ * - glob: The whole event type matches a pattern with * (any characters) and ? (one character)
+ * - regex: The event type contains a match of a JavaScript regular expression
+ *
+ * When the rules change, events and stats can be recategorised with them. This is done
+ * in chunks by a recategorisation job per app, which the request that changed the rules
+ * starts and the scheduled job finishes.
+ */
+import { getMetricEventCondition, getMetricEventTypes } from './utils.js';
+
+/**
+ * Supported rule match types
+ */
+export const CATEGORY_MATCH_TYPES = ['exact', 'prefix', 'glob', 'regex'];
+
+/**
+ * Limits on the rules of an app
+ */
+export const MAX_CATEGORY_RULES = 100;
+export const MAX_CATEGORY_LENGTH = 64;
+export const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * The built-in rules, used when an app has no rule that matches and no default
+ */
+export const BUILTIN_CATEGORY_RULES = [
+    { match: 'prefix', pattern: 'purchase', category: 'revenue' },
+    { match: 'glob', pattern: '*payment*', category: 'revenue' },
+    { match: 'glob', pattern: '*subscription*', category: 'revenue' },
+    { match: 'exact', pattern: 'install', category: 'lifecycle' },
+    { match: 'exact', pattern: 'uninstall', category: 'lifecycle' },
+    { match: 'glob', pattern: '*update*', category: 'lifecycle' },
+    { match: 'glob', pattern: '*view*', category: 'engagement' },
+    { match: 'glob', pattern: '*screen*', category: 'engagement' },
+    { match: 'glob', pattern: '*page*', category: 'engagement' },
+    { match: 'glob', pattern: '*click*', category: 'interaction' },
+    { match: 'glob', pattern: '*tap*', category: 'interaction' },
+    { match: 'glob', pattern: '*swipe*', category: 'interaction' },
+    { match: 'glob', pattern: '*error*', category: 'error' },
+    { match: 'glob', pattern: '*crash*', category: 'error' },
+    { match: 'glob', pattern: '*exception*', category: 'error' },
+    { match: 'glob', pattern: '*user*', category: 'user' },
+    { match: 'glob', pattern: '*account*', category: 'user' },
+    { match: 'glob', pattern: '*login*', category: 'user' }
+];
+
+/**
+ * Category of events that match no built-in rule
+ */
+export const BUILTIN_DEFAULT_CATEGORY = 'general';
+
+/**
+ * Create a function that categorises event types
+ *
+ * @param {Array<Object>} [rules=[]] - The app's rules of { match, pattern, category }, in priority order
+ * @param {string|null} [defaultCategory=null] - The app's default category, or null to fall back to the built-in rules
+ * @returns {Function} - Takes an event type and returns its category
+ */
+export function createCategorizer(rules = [], defaultCategory = null) {
+    const matchers = rules.map(rule => ({ test: compileRule(rule), category: rule.category }));
+    const fallback = defaultCategory === null ?
+        BUILTIN_CATEGORY_RULES.map(rule => ({ test: compileRule(rule), category: rule.category })) : [];
+
+    return eventType => {
+        for (const { test, category } of matchers) {
+            if (test(eventType)) {
+                return category;
+            }
+        }
+
+        if (defaultCategory !== null) {
+            return defaultCategory;
+        }
+
+        for (const { test, category } of fallback) {
+            if (test(eventType)) {
+                return category;
+            }
+        }
+
+        return BUILTIN_DEFAULT_CATEGORY;
+    };
+}
+
+/**
+ * Get an app's categorisation rules
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @returns {Promise<Array<Object>>} - Rules of { match, pattern, category } in priority order
+ */
+export async function getCategoryRules(db, app_id) {
+    const { results } = await db.prepare(
+        "SELECT match_type, pattern, category FROM category_rules WHERE app_id = ? ORDER BY priority"
+    ).bind(app_id).all();
+
+    return (results || []).map(row => ({ match: row.match_type, pattern: row.pattern, category: row.category }));
+}
+
+/**
+ * Get the categoriser for an app, from its rules and default_category setting
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {Object} settings - The app settings (from getAppSettings)
+ * @returns {Promise<Function>} - Takes an event type and returns its category
+ */
+export async function getCategorizer(db, app_id, settings) {
+    return createCategorizer(await getCategoryRules(db, app_id), settings.default_category);
+}
+
+/**
+ * Check that a category name is a reasonably sized string
+ *
+ * @param {*} value - The category
+ * @returns {boolean} - True if valid
+ */
+export function isValidCategory(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_CATEGORY_LENGTH;
+}
+
+/**
+ * Validate a rule from an API request
+ *
+ * @param {*} rule - The rule
+ * @returns {string|null} - An error message, or null if the rule is valid
+ */
+export function validateCategoryRule(rule) {
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'Must be an object with match, pattern and category';
+    }
+    if (!CATEGORY_MATCH_TYPES.includes(rule.match)) {
+        return `match must be one of ${CATEGORY_MATCH_TYPES.join(', ')}`;
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern.length === 0 || rule.pattern.length > MAX_PATTERN_LENGTH) {
+        return `pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (!isValidCategory(rule.category)) {
+        return `category must be a string of at most ${MAX_CATEGORY_LENGTH} characters`;
+    }
+    if (rule.match === 'regex') {
+        try {
+            new RegExp(rule.pattern);
+        } catch {
+            return 'pattern is not a valid regular expression';
+        }
+    }
+    return null;
+}
+
+/**
+ * Compile a rule into a test function
+ *
+ * Patterns are validated when rules are saved, so an invalid regex here is a bug.
+ *
+ * @param {Object} rule - The rule of { match, pattern }
+ * @returns {Function} - Takes an event type and returns whether the rule matches
+ */
+function compileRule(rule) {
+    switch (rule.match) {
+        case 'exact':
+            return eventType => eventType === rule.pattern;
+        case 'prefix':
+            return eventType => eventType.startsWith(rule.pattern);
+        case 'glob': {
+            const source = rule.pattern
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\?/g, '.');
+            const regex = new RegExp(`^${source}$`, 's');
+            return eventType => regex.test(eventType);
+        }
+        case 'regex': {
+            const regex = new RegExp(rule.pattern);
+            return eventType => regex.test(eventType);
+        }
+        default:
+            throw new Error(`Unknown category rule match type: ${rule.match}`);
+    }
+}
+
+/**
+ * Number of events recategorised per statement, and of event types and metrics looked
+ * at per transaction
+ */
+const RECATEGORISE_CHUNK_SIZE = 5000;
+const RECATEGORISE_TYPES_CHUNK_SIZE = 100;
+const RECATEGORISE_STATS_CHUNK_SIZE = 30;
+
+/**
+ * Number of transactions per scheduled run across all apps
+ */
+const MAX_RECATEGORISE_CHUNKS_PER_RUN = 20;
+
+/**
+ * Seconds after which a recategorisation claimed by a request or run that never released
+ * it may be claimed again
+ */
+const RECATEGORISE_CLAIM_TIMEOUT = 60;
+
+/**
+ * Create the statement that starts recategorising an app's events and stats, to run in
+ * the same transaction as the rule change
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {Object} previous - The previous { rules, default }
+ * @param {Object} next - The new { rules, default }
+ * @param {number} now - The current timestamp
+ * @returns {D1PreparedStatement} - The statement
+ */
+export function createRecategorisationStatement(db, app_id, previous, next, now) {
+    return db.prepare(`
+    INSERT INTO recategorisations (app_id, previous_rules, next_rules, stage, cursor, created_at, updated_at)
+    VALUES (?, ?, ?, 'events', '', ?, ?)
+    ON CONFLICT (app_id) DO
+    UPDATE
+      SET previous_rules = excluded.previous_rules,
+          next_rules = excluded.next_rules,
+          stage = 'events',
+          cursor = '',
+          event_types = 0,
+          events = 0,
+          stats = 0,
+          claimed_at = NULL,
+          created_at = excluded.created_at,
+          updated_at = excluded.updated_at
+  `).bind(app_id, JSON.stringify(previous), JSON.stringify(next), now, now);
+}
+
+/**
+ * Get an app's latest recategorisation
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @returns {Promise<Object|null>} - The recategorisation row, or null if there was none
+ */
+export async function getRecategorisation(db, app_id) {
+    return await db.prepare(
+        "SELECT * FROM recategorisations WHERE app_id = ?"
+    ).bind(app_id).first();
+}
+
+/**
+ * Format a recategorisation row for API responses
+ *
+ * @param {Object} row - The recategorisation row
+ * @returns {Object} - The recategorisation
+ */
+export function formatRecategorisation(row) {
+    return {
+        status: row.stage === 'complete' ? 'complete' : 'running',
+        event_types: row.event_types,
+        events: row.events,
+        stats: row.stats,
+        created_at: new Date(row.created_at * 1000).toISOString(),
+        updated_at: new Date(row.updated_at * 1000).toISOString()
+    };
+}
+
+/**
+ * Continue the unfinished recategorisations of all apps (for the scheduled job)
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<Object>} - { apps, complete } where complete is false if the run stopped early
+ */
+export async function runRecategorisations(db) {
+    const { results: jobs } = await db.prepare(
+        "SELECT app_id FROM recategorisations WHERE stage != 'complete' ORDER BY updated_at"
+    ).all();
+
+    let chunks = 0;
+    for (const { app_id } of jobs || []) {
+        if (chunks >= MAX_RECATEGORISE_CHUNKS_PER_RUN) {
+            return { apps: (jobs || []).length, complete: false };
+        }
+
+        const result = await continueRecategorisation(db, app_id, MAX_RECATEGORISE_CHUNKS_PER_RUN - chunks);
+        chunks += result?.chunks || 0;
+    }
+
+    return { apps: (jobs || []).length, complete: true };
+}
+
+/**
+ * Continue an app's recategorisation for up to maxChunks transactions
+ *
+ * Events are moved one event type at a time, in order, and then the stats of every
+ * metric. The stage and cursor (the last event type or metric done) are saved with each
+ * chunk, so an interrupted recategorisation resumes where it stopped. The job is claimed
+ * while it runs, so a request and the scheduled job can't work on it at once.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {number} maxChunks - Most transactions to run
+ * @returns {Promise<Object|null>} - { chunks, job } with the updated job row, or null if
+ *   there is no unfinished job or something else has claimed it
+ */
+export async function continueRecategorisation(db, app_id, maxChunks) {
+    const now = Math.floor(Date.now() / 1000);
+
+    let job = await db.prepare(`
+    UPDATE recategorisations
+    SET claimed_at = ?
+    WHERE app_id = ?
+      AND stage != 'complete'
+      AND (claimed_at IS NULL OR claimed_at < ?)
+    RETURNING *
+  `).bind(now, app_id, now - RECATEGORISE_CLAIM_TIMEOUT).first();
+
+    if (!job) {
+        return null;
+    }
+
+    const previousRules = JSON.parse(job.previous_rules);
+    const nextRules = JSON.parse(job.next_rules);
+    const previous = createCategorizer(previousRules.rules, previousRules.default);
+    const next = createCategorizer(nextRules.rules, nextRules.default);
+
+    let chunks = 0;
+    try {
+        while (chunks < maxChunks && job.stage !== 'complete') {
+            chunks++;
+            job = job.stage === 'events' ?
+                await recategoriseEvents(db, job, previous, next) :
+                await recategoriseStats(db, job, previous, next);
+        }
+    } finally {
+        job = await db.prepare(
+            "UPDATE recategorisations SET claimed_at = NULL WHERE app_id = ? AND claimed_at = ? RETURNING *"
+        ).bind(app_id, now).first() || job;
+    }
+
+    return { chunks, job };
+}
+
+/**
+ * Move the events of the next event type whose category changes, up to
+ * RECATEGORISE_CHUNK_SIZE of them, recording the progress in the same transaction
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} job - The recategorisation row
+ * @param {Function} previous - Categoriser for the previous rules
+ * @param {Function} next - Categoriser for the new rules
+ * @returns {Promise<Object>} - The updated recategorisation row
+ */
+async function recategoriseEvents(db, job, previous, next) {
+    const now = Math.floor(Date.now() / 1000);
+    const { results } = await db.prepare(`
+    SELECT DISTINCT event_type FROM events
+    WHERE app_id = ? AND event_type > ?
+    ORDER BY event_type
+    LIMIT ?
+  `).bind(job.app_id, job.cursor, RECATEGORISE_TYPES_CHUNK_SIZE).all();
+
+    const types = (results || []).map(row => row.event_type);
+    const index = types.findIndex(eventType => previous(eventType) !== next(eventType));
+
+    // No event type in this chunk changes category, so skip past all of them
+    if (index === -1) {
+        const done = types.length < RECATEGORISE_TYPES_CHUNK_SIZE;
+        return await createProgressStatement(db, job, done ? 'stats' : 'events', done ? '' : types[types.length - 1], now).first();
+    }
+
+    const eventType = types[index];
+    const [result, progress] = await db.batch([
+        db.prepare(`
+      UPDATE events SET event_category = ?
+      WHERE id IN (
+        SELECT id FROM events
+        WHERE app_id = ? AND event_type = ? AND event_category = ?
+        LIMIT ?
+      )
+    `).bind(next(eventType), job.app_id, eventType, previous(eventType), RECATEGORISE_CHUNK_SIZE),
+        db.prepare(`
+      UPDATE recategorisations
+      SET events = events + changes(), cursor = ?, updated_at = ?
+      WHERE app_id = ?
+      RETURNING *
+    `).bind(index > 0 ? types[index - 1] : job.cursor, now, job.app_id)
+    ]);
+
+    // The event type is done once a chunk leaves nothing behind
+    if (result.meta.changes < RECATEGORISE_CHUNK_SIZE) {
+        return await db.prepare(`
+      UPDATE recategorisations
+      SET event_types = event_types + 1, cursor = ?, updated_at = ?
+      WHERE app_id = ?
+      RETURNING *
+    `).bind(eventType, now, job.app_id).first();
+    }
+
+    return progress.results[0];
+}
+
+/**
+ * Move the stats and daily stats of the next RECATEGORISE_STATS_CHUNK_SIZE metrics,
+ * recording the progress in the same transaction
+ *
+ * A metric's stats row has the category of its first event, so that event's type decides
+ * whether it moves. Metrics whose events have all been pruned try every event type the
+ * metric could come from (its key up to each dot), and only move if those that could have
+ * given it its category agree on the new one.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} job - The recategorisation row
+ * @param {Function} previous - Categoriser for the previous rules
+ * @param {Function} next - Categoriser for the new rules
+ * @returns {Promise<Object>} - The updated recategorisation row
+ */
+async function recategoriseStats(db, job, previous, next) {
+    const now = Math.floor(Date.now() / 1000);
+    const { results } = await db.prepare(`
+    SELECT metric, category FROM stats
+    WHERE app_id = ? AND metric > ?
+    ORDER BY metric
+    LIMIT ?
+  `).bind(job.app_id, job.cursor, RECATEGORISE_STATS_CHUNK_SIZE).all();
+
+    const metrics = results || [];
+    if (metrics.length === 0) {
+        return await createProgressStatement(db, job, 'complete', '', now).first();
+    }
+
+    const firstEvents = await db.batch(metrics.map(({ metric }) => {
+        const condition = getMetricEventCondition(metric);
+        return db.prepare(
+            `SELECT event_type FROM events WHERE app_id = ? AND ${condition.clause} ORDER BY id LIMIT 1`
+        ).bind(job.app_id, ...condition.params);
+    }));
+
+    const statements = [];
+    metrics.forEach(({ metric, category }, i) => {
+        const first = firstEvents[i].results?.[0];
+        const eventTypes = first ? [first.event_type] : getMetricEventTypes(metric);
+        const targets = new Set(eventTypes.filter(eventType => previous(eventType) === category).map(next));
+
+        if (targets.size !== 1 || targets.has(category)) {
+            return;
+        }
+
+        const [to] = targets;
+        statements.push(
+            db.prepare(
+                "UPDATE stats_daily SET category = ? WHERE app_id = ? AND metric = ? AND category = ?"
+            ).bind(to, job.app_id, metric, category),
+            db.prepare(
+                "UPDATE stats SET category = ? WHERE app_id = ? AND metric = ? AND category = ?"
+            ).bind(to, job.app_id, metric, category),
+            db.prepare(
+                "UPDATE recategorisations SET stats = stats + changes() WHERE app_id = ?"
+            ).bind(job.app_id)
+        );
+    });
+
+    const done = metrics.length < RECATEGORISE_STATS_CHUNK_SIZE;
+    const batchResults = await db.batch([
+        ...statements,
+        createProgressStatement(db, job, done ? 'complete' : 'stats', done ? '' : metrics[metrics.length - 1].metric, now)
+    ]);
+
+    return batchResults[batchResults.length - 1].results[0];
+}
+
+/**
+ * Record a recategorisation's stage and cursor
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} job - The recategorisation row
+ * @param {string} stage - The stage: events, stats or complete
+ * @param {string} cursor - The last event type or metric done in the stage
+ * @param {number} now - The current timestamp
+ * @returns {D1PreparedStatement} - The statement, returning the updated row
+ */
+function createProgressStatement(db, job, stage, cursor, now) {
+    return db.prepare(`
+    UPDATE recategorisations
+    SET stage = ?, cursor = ?, updated_at = ?
+    WHERE app_id = ?
+    RETURNING *
+  `).bind(stage, cursor, now, job.app_id);
+}
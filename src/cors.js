@@ -0,0 +1,123 @@
+/**
+ * Cross-origin requests
+ *
+ * Browsers and web views may only call the API from origins listed in an app's
+ * cors_origins setting ('*' allows any origin). Preflight requests carry no X-App-ID,
+ * so they are answered for origins that at least one app allows; the actual request is
+ * then only readable if its own app allows the origin.
+ */
+import { getAppSettings } from './utils.js';
+
+/**
+ * Maximum number of origins per app
+ */
+export const MAX_CORS_ORIGINS = 20;
+
+/**
+ * Request headers clients may send
+ */
+const CORS_ALLOWED_HEADERS = ['Content-Type', 'X-App-ID', 'X-API-Key', 'X-Timestamp', 'X-Nonce', 'X-Signature'];
+
+/**
+ * Response headers clients may read
+ */
+const CORS_EXPOSED_HEADERS = [
+    'Allow', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Pruned-Before'
+];
+
+/**
+ * How long browsers may cache a preflight response, in seconds
+ */
+const CORS_MAX_AGE = 86400;
+
+/**
+ * Check that a cors_origins entry is '*' or a bare origin such as https://example.com
+ *
+ * @param {*} value - The entry
+ * @returns {boolean} - True if valid
+ */
+export function isValidCorsOrigin(value) {
+    if (value === '*') {
+        return true;
+    }
+    if (typeof value !== 'string') {
+        return false;
+    }
+    try {
+        const url = new URL(value);
+        return (url.protocol === 'https:' || url.protocol === 'http:') && url.origin === value;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the origin to allow for a cross-origin request
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<string|null>} - The request's Origin if it is allowed, or null for
+ *   same-origin requests and origins that aren't allowed
+ */
+export async function getAllowedOrigin(request, db) {
+    const origin = request.headers.get('Origin');
+    if (!origin || origin === new URL(request.url).origin) {
+        return null;
+    }
+
+    // Requests for an app need that app to allow the origin
+    const app_id = request.headers.get('X-App-ID');
+    if (app_id) {
+        const settings = await getAppSettings(db, app_id);
+        return settings.cors_origins.includes(origin) || settings.cors_origins.includes('*') ? origin : null;
+    }
+
+    // Preflights, and requests that aren't for an app, need any app to allow it
+    const row = await db.prepare(`
+    SELECT 1 AS allowed
+    FROM app_settings, json_each(app_settings.cors_origins)
+    WHERE json_each.value IN (?, '*')
+    LIMIT 1
+  `).bind(origin).first();
+
+    return row ? origin : null;
+}
+
+/**
+ * Answer a preflight (OPTIONS) request
+ *
+ * @param {string|null} origin - The allowed origin (from getAllowedOrigin)
+ * @param {Array<string>} methods - The methods the path supports
+ * @returns {Response} - An empty response, with CORS headers if the origin is allowed
+ */
+export function createPreflightResponse(origin, methods) {
+    const headers = {
+        'Allow': [...methods, 'OPTIONS'].join(', '),
+        'Vary': 'Origin'
+    };
+
+    if (origin) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Access-Control-Allow-Methods'] = headers['Allow'];
+        headers['Access-Control-Allow-Headers'] = CORS_ALLOWED_HEADERS.join(', ');
+        headers['Access-Control-Max-Age'] = String(CORS_MAX_AGE);
+    }
+
+    return new Response(null, { status: 204, headers });
+}
+
+/**
+ * Add the CORS headers for an allowed origin to a response
+ *
+ * @param {Response} response - The response
+ * @param {string|null} origin - The allowed origin (from getAllowedOrigin)
+ * @returns {Response} - The response
+ */
+export function addCorsHeaders(response, origin) {
+    response.headers.append('Vary', 'Origin');
+    if (origin) {
+        response.headers.set('Access-Control-Allow-Origin', origin);
+        response.headers.set('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+    }
+    return response;
+}
@@ -0,0 +1,465 @@
+/**
+ * Query parameter and request body definitions
+ *
+ * Routes in routes.js list the query parameters and body they accept with these
+ * definitions. The same definitions validate requests (validation.js) and describe the
+ * API in /openapi.json (openapi.js).
+ *
+ * Parameters are OpenAPI parameter objects without `in`. Parameters with a prefix
+ * (such as prop.<key>) match every query parameter starting with it. Schemas use the
+ * subset of OpenAPI 3.0 that validation.js understands, plus these string formats:
+ * timestamp (Unix or ISO 8601), duration (3600, 24h, 7d), timezone, property-key and origin.
+ * In query strings, arrays are comma-separated lists.
+ */
+import { MAX_DATA_POINTS, MAX_PROPERTY_FILTERS, MAX_PROPERTY_KEYS, MAX_IDENTIFIER_LENGTH } from './utils.js';
+import { API_KEY_SCOPES } from './auth.js';
+import { CATEGORY_MATCH_TYPES, MAX_CATEGORY_RULES, MAX_CATEGORY_LENGTH, MAX_PATTERN_LENGTH } from './categories.js';
+import { SCHEMA_MODES, MAX_SCHEMA_QUALIFIERS, MAX_SCHEMA_SKEW } from './schemas.js';
+import { MAX_CORS_ORIGINS } from './cors.js';
+import { ALERT_CONDITIONS, MAX_ALERT_NAME_LENGTH, MAX_WEBHOOK_URL_LENGTH, MIN_BASELINE_PERIODS, MAX_BASELINE_PERIODS } from './alerts.js';
+import { MAX_DESTINATION_NAME_LENGTH, MAX_DESTINATION_BATCH_SIZE, MAX_FILTER_VALUES } from './destinations.js';
+
+/**
+ * Maximum number of later periods reported per retention cohort
+ */
+const MAX_RETENTION_PERIODS = 52;
+
+/**
+ * Limits for funnel steps
+ */
+const MIN_FUNNEL_STEPS = 2;
+const MAX_FUNNEL_STEPS = 10;
+
+/**
+ * Maximum number of metrics compared in one timeseries or active users query
+ */
+const MAX_COMPARED_METRICS = 5;
+
+/**
+ * Maximum grace period (in seconds) of a rotated-out signing secret
+ */
+const MAX_GRACE_PERIOD = 60 * 60 * 24 * 30;
+
+/**
+ * Maximum number of events per batch
+ */
+const MAX_BATCH_SIZE = 100;
+
+const PERIODS = ['hour', 'day', 'week', 'month'];
+
+/**
+ * Build a result limit parameter
+ *
+ * @param {number} maximum - The largest allowed limit
+ * @param {number} fallback - The limit used when none is given
+ * @returns {Object} - The parameter
+ */
+function limitParameter(maximum, fallback) {
+    return {
+        name: 'limit',
+        description: 'Maximum number of results',
+        schema: { type: 'integer', minimum: 1, maximum, default: fallback }
+    };
+}
+
+/**
+ * Build a from or to date parameter
+ *
+ * @param {string} name - 'from' or 'to'
+ * @param {string} fallback - What the range starts or ends at when the parameter is omitted
+ * @returns {Object} - The parameter
+ */
+function dateParameter(name, fallback) {
+    return {
+        name,
+        description: `${name === 'from' ? 'Start' : 'End'} of the date range, as a Unix timestamp or ISO 8601 date (default ${fallback})`,
+        schema: { type: 'string', format: 'timestamp' }
+    };
+}
+
+const CURSOR = {
+    name: 'cursor',
+    description: 'The next_cursor of the previous page',
+    schema: { type: 'string' }
+};
+
+const COUNTRY = {
+    name: 'country',
+    description: 'Only count events from this country (ISO 3166-1 alpha-2 code)',
+    schema: { type: 'string' }
+};
+
+const PROPERTY_FILTERS = {
+    name: 'prop.{key}',
+    prefix: 'prop.',
+    keyFormat: 'property-key',
+    maxCount: MAX_PROPERTY_FILTERS,
+    description: `Only count events whose property <key> equals the value, e.g. prop.plan=pro (at most ${MAX_PROPERTY_FILTERS})`,
+    schema: { type: 'string' }
+};
+
+const GROUP_BY = {
+    name: 'group_by',
+    description: 'Property key to break the results down by',
+    schema: { type: 'string', format: 'property-key' }
+};
+
+/**
+ * Filters shared by /events and /export
+ */
+const EVENT_FILTERS = [
+    { name: 'type', description: 'Only events of this event_type', schema: { type: 'string' } },
+    { name: 'category', description: 'Only events in this category', schema: { type: 'string' } },
+    { ...COUNTRY, description: 'Only events from this country (ISO 3166-1 alpha-2 code)' },
+    { name: 'flagged', description: 'Only events with schema warnings', schema: { type: 'boolean' } },
+    PROPERTY_FILTERS
+];
+
+/**
+ * Query parameters, by route
+ */
+export const APPS_QUERY = [
+    { name: 'stats', description: 'Include each app\'s summary', schema: { type: 'boolean', default: false } }
+];
+
+export const KEYS_QUERY = [
+    { name: 'app_id', description: 'Only list the keys of this app (keys bound to an app only ever see their own)', schema: { type: 'string' } }
+];
+
+export const APP_QUERY = [
+    { name: 'view', description: 'Summary with recent events, or the dashboard KPIs', schema: { type: 'string', enum: ['summary', 'dashboard'], default: 'summary' } }
+];
+
+export const EVENTS_QUERY = [
+    GROUP_BY,
+    limitParameter(100, 50),
+    dateParameter('from', '24 hours ago'),
+    dateParameter('to', 'no upper bound'),
+    { name: 'order', description: 'Sort order by timestamp', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+    CURSOR,
+    ...EVENT_FILTERS
+];
+
+export const EXPORT_QUERY = [
+    { name: 'format', description: 'Export format', schema: { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' } },
+    { name: 'gzip', description: 'Compress the export with gzip', schema: { type: 'boolean', default: false } },
+    dateParameter('from', '30 days ago'),
+    dateParameter('to', 'now'),
+    ...EVENT_FILTERS
+];
+
+export const STATS_QUERY = [
+    { name: 'view', description: 'All metrics, top metrics by value, or totals per category', schema: { type: 'string', enum: ['default', 'top', 'category'], default: 'default' } },
+    { name: 'prefix', description: 'Only metrics starting with this prefix (default view)', schema: { type: 'string' } },
+    { name: 'category', description: 'Only metrics in this category', schema: { type: 'string' } },
+    COUNTRY,
+    { name: 'window', description: 'Days counted, ending today (UTC)', schema: { type: 'string', enum: ['today', '7d', '30d', 'all'], default: 'all' } },
+    { name: 'format', description: 'Metric values only, or with their category and last update (default view)', schema: { type: 'string', enum: ['simple', 'detailed'], default: 'simple' } },
+    { name: 'paginate', description: 'Page by page number, or by cursor (default view)', schema: { type: 'string', enum: ['true', 'cursor'] } },
+    { name: 'page', description: 'Page number, with paginate=true', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'pageSize', description: 'Metrics per page', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+    CURSOR,
+    { ...limitParameter(100, 10), description: 'Number of metrics (top view)' },
+    { name: 'sort', description: 'Sort order by value (top view)', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } }
+];
+
+export const TIMESERIES_QUERY = [
+    { name: 'metric', description: 'Metric (event_type or event_type.qualifier), required unless metrics is given', schema: { type: 'string' } },
+    {
+        name: 'metrics',
+        description: 'Metrics to compare, required unless metric is given',
+        schema: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: MAX_COMPARED_METRICS }
+    },
+    { name: 'tz', description: 'Time zone for the periods and for from and to without an offset', schema: { type: 'string', format: 'timezone', default: 'UTC' } },
+    { name: 'period', description: 'Length of each data point', schema: { type: 'string', enum: PERIODS, default: 'day' } },
+    { ...limitParameter(MAX_DATA_POINTS, 30), description: 'Maximum number of data points, keeping the latest' },
+    dateParameter('from', '30 days ago'),
+    dateParameter('to', 'now'),
+    COUNTRY,
+    { ...GROUP_BY, description: 'Property key to break each data point down by (single metric only)' },
+    PROPERTY_FILTERS
+];
+
+export const USERS_QUERY = [
+    { name: 'period', description: 'Length of each data point (hour in exact mode only)', schema: { type: 'string', enum: PERIODS, default: 'day' } },
+    { ...limitParameter(MAX_DATA_POINTS, 30), description: 'Maximum number of data points' },
+    dateParameter('from', '30 days ago'),
+    dateParameter('to', 'now'),
+    { ...COUNTRY, description: 'Only count events from this country (exact mode only)' },
+    { name: 'mode', description: 'Exact counts from raw events, or approximate counts from sketches', schema: { type: 'string', enum: ['exact', 'approx'], default: 'exact' } },
+    {
+        name: 'metrics',
+        description: 'Count the users of these metrics separately',
+        schema: { type: 'array', items: { type: 'string' }, maxItems: MAX_COMPARED_METRICS }
+    }
+];
+
+export const RETENTION_QUERY = [
+    { name: 'start_event', description: 'Metric that puts users in a cohort', schema: { type: 'string', default: 'install' } },
+    { name: 'return_event', description: 'Metric that counts as returning (default any event)', schema: { type: 'string' } },
+    { name: 'period', description: 'Length of each cohort', schema: { type: 'string', enum: ['day', 'week', 'month'], default: 'week' } },
+    { name: 'periods', description: 'Number of later periods per cohort', schema: { type: 'integer', minimum: 1, maximum: MAX_RETENTION_PERIODS, default: 8 } },
+    dateParameter('from', '90 days ago'),
+    dateParameter('to', 'now'),
+    { ...COUNTRY, description: 'Only count start events from this country' }
+];
+
+export const FUNNEL_QUERY = [
+    {
+        name: 'steps',
+        description: 'Metrics of the funnel steps, in order',
+        required: true,
+        schema: { type: 'array', items: { type: 'string' }, minItems: MIN_FUNNEL_STEPS, maxItems: MAX_FUNNEL_STEPS }
+    },
+    { name: 'window', description: 'Time to complete the funnel after the first step, at most 90 days', schema: { type: 'string', format: 'duration', default: '7d' } },
+    dateParameter('from', '30 days ago'),
+    dateParameter('to', 'now'),
+    { ...COUNTRY, description: 'Only count first steps from this country' }
+];
+
+export const ALERT_HISTORY_QUERY = [
+    limitParameter(100, 50),
+    { name: 'rule_id', description: 'Only this rule\'s history', schema: { type: 'integer', minimum: 1 } },
+    { name: 'state', description: 'Only firing or resolved entries', schema: { type: 'string', enum: ['firing', 'resolved'] } },
+    CURSOR
+];
+
+export const IMPORT_QUERY = [
+    { name: 'import_id', description: 'Continue this import', schema: { type: 'string' } },
+    { name: 'format', description: 'Format of a new import (default ndjson)', schema: { type: 'string', enum: ['csv', 'ndjson'] } }
+];
+
+export const QUARANTINE_QUERY = [
+    limitParameter(100, 50),
+    { name: 'type', description: 'Only events of this event_type', schema: { type: 'string' } },
+    dateParameter('from', 'no lower bound'),
+    dateParameter('to', 'no upper bound'),
+    CURSOR
+];
+
+export const DESTINATION_FAILURES_QUERY = [
+    limitParameter(100, 50),
+    { name: 'destination_id', description: 'Only this destination\'s failures', schema: { type: 'integer', minimum: 1 } },
+    CURSOR
+];
+
+/**
+ * A tracked event
+ */
+const EVENT_SCHEMA = {
+    type: 'object',
+    required: ['event_type'],
+    properties: {
+        event_type: { type: 'string', minLength: 1, maxLength: MAX_IDENTIFIER_LENGTH, description: 'Event type, e.g. purchase' },
+        qualifier: { type: 'string', nullable: true, description: 'Variant of the event type, e.g. pro (metric purchase.pro)' },
+        value: { type: 'number', default: 1, description: 'Value added to the metric' },
+        category: { type: 'string', nullable: true, maxLength: MAX_CATEGORY_LENGTH, description: 'Category (default from the app\'s categorisation rules)' },
+        timestamp: { type: 'number', description: 'Unix timestamp in seconds (default the time received), at most 1 day in the future' },
+        country: { type: 'string', nullable: true, description: 'Country code (default detected from the request)' },
+        event_id: { type: 'string', nullable: true, maxLength: MAX_IDENTIFIER_LENGTH, description: 'Client-supplied ID, duplicates of which are ignored' },
+        user_id: { type: 'string', nullable: true, maxLength: MAX_IDENTIFIER_LENGTH, description: 'Pseudonymous user or install ID' },
+        properties: {
+            type: 'object',
+            nullable: true,
+            maxProperties: MAX_PROPERTY_KEYS,
+            description: 'Flat object of string, number, boolean or null values',
+            additionalProperties: { nullable: true }
+        }
+    }
+};
+
+/**
+ * Request bodies. Bodies with validate: false are checked by their handlers, such as
+ * tracked events, which are quarantined rather than rejected when they are invalid.
+ */
+export const EVENT_BODY = {
+    required: true,
+    validate: false,
+    schema: EVENT_SCHEMA
+};
+
+export const BATCH_BODY = {
+    required: true,
+    validate: false,
+    schema: {
+        type: 'object',
+        required: ['events'],
+        properties: {
+            events: { type: 'array', items: EVENT_SCHEMA, minItems: 1, maxItems: MAX_BATCH_SIZE },
+            app_id: { type: 'string', description: 'App ID, for beacons, which can\'t send the X-App-ID header' },
+            api_key: { type: 'string', description: 'API key, for beacons, which can\'t send the X-API-Key header' }
+        }
+    }
+};
+
+export const IMPORT_BODY = {
+    required: true,
+    validate: false,
+    mediaTypes: ['text/csv', 'application/x-ndjson'],
+    schema: { type: 'string', description: 'CSV with a header row, or one JSON event per line' }
+};
+
+export const KEY_BODY = {
+    required: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', nullable: true, description: 'Label for the key' },
+            scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES }, minItems: 1, default: ['ingest'] },
+            rate_limit: { type: 'integer', nullable: true, minimum: 1, maximum: 1000000, description: 'Events per minute (null for unlimited)' },
+            app_id: { type: 'string', nullable: true, description: 'App the key is bound to (null for all apps)' }
+        }
+    }
+};
+
+export const REBUILD_BODY = {
+    required: false,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            prefix: { type: 'string', nullable: true, description: 'Only rebuild metrics starting with this prefix' },
+            dry_run: { type: 'boolean', default: false, description: 'Report the changes without making them' },
+            cursor: { type: 'string', nullable: true, description: 'The next_cursor of the previous response' }
+        }
+    }
+};
+
+export const SETTINGS_BODY = {
+    required: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+            signing_required: { type: 'boolean' },
+            dedupe_window: { type: 'integer', minimum: 60, maximum: 60 * 60 * 24 * 30, description: 'Seconds' },
+            approx_uniques: { type: 'boolean' },
+            raw_retention_days: { type: 'integer', nullable: true, minimum: 1, maximum: 3650, description: 'Days (null to keep forever)' },
+            rate_limit: { type: 'integer', nullable: true, minimum: 1, maximum: 1000000, description: 'Events per minute (null for unlimited)' },
+            default_category: { type: 'string', nullable: true, minLength: 1, maxLength: MAX_CATEGORY_LENGTH, description: 'null to use the built-in rules' },
+            schema_mode: { type: 'string', enum: SCHEMA_MODES },
+            cors_origins: { type: 'array', items: { type: 'string', format: 'origin' }, maxItems: MAX_CORS_ORIGINS }
+        }
+    }
+};
+
+export const ROTATE_BODY = {
+    required: false,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            grace_period: { type: 'integer', minimum: 0, maximum: MAX_GRACE_PERIOD, default: 60 * 60 * 24, description: 'Seconds the current secrets remain valid' }
+        }
+    }
+};
+
+export const CATEGORIES_BODY = {
+    required: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['rules'],
+        properties: {
+            rules: {
+                type: 'array',
+                maxItems: MAX_CATEGORY_RULES,
+                description: 'Rules in order of priority',
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['match', 'pattern', 'category'],
+                    properties: {
+                        match: { type: 'string', enum: CATEGORY_MATCH_TYPES },
+                        pattern: { type: 'string', minLength: 1, maxLength: MAX_PATTERN_LENGTH },
+                        category: { type: 'string', minLength: 1, maxLength: MAX_CATEGORY_LENGTH }
+                    }
+                }
+            },
+            default: { type: 'string', nullable: true, minLength: 1, maxLength: MAX_CATEGORY_LENGTH, description: 'null to use the built-in rules' },
+            apply: { type: 'boolean', default: false, description: 'Recategorise existing events and stats' }
+        }
+    }
+};
+
+export const SCHEMA_BODY = {
+    required: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            qualifiers: {
+                type: 'array',
+                nullable: true,
+                maxItems: MAX_SCHEMA_QUALIFIERS,
+                items: { type: 'string', nullable: true, minLength: 1 },
+                description: 'Allowed qualifiers, with null allowing events without one (null for any)'
+            },
+            min_value: { type: 'number', nullable: true },
+            max_value: { type: 'number', nullable: true },
+            category: { type: 'string', nullable: true, minLength: 1, maxLength: MAX_CATEGORY_LENGTH },
+            max_skew: { type: 'integer', nullable: true, minimum: 0, maximum: MAX_SCHEMA_SKEW, description: 'Seconds' }
+        }
+    }
+};
+
+export const REPLAY_BODY = {
+    required: false,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            // Checked like a tracked event by the handler, which records why it is still invalid
+            event: { type: 'object', description: 'Corrected event, in the shape of a /track body, to track instead of the quarantined payload' }
+        }
+    }
+};
+
+export const ALERT_RULE_BODY = {
+    required: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'metric', 'condition', 'threshold', 'webhook_url'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: MAX_ALERT_NAME_LENGTH },
+            metric: { type: 'string', minLength: 1 },
+            condition: { type: 'string', enum: ALERT_CONDITIONS },
+            threshold: { type: 'number', description: 'Value, or standard deviations for deviation rules' },
+            webhook_url: { type: 'string', maxLength: MAX_WEBHOOK_URL_LENGTH },
+            country: { type: 'string', nullable: true, minLength: 1 },
+            period: { type: 'string', enum: PERIODS, default: 'hour' },
+            timezone: { type: 'string', format: 'timezone', default: 'UTC' },
+            baseline_periods: { type: 'integer', minimum: MIN_BASELINE_PERIODS, maximum: MAX_BASELINE_PERIODS, default: 7 },
+            enabled: { type: 'boolean', default: true }
+        }
+    }
+};
+
+export const DESTINATION_BODY = {
+    required: true,
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'url'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: MAX_DESTINATION_NAME_LENGTH },
+            url: { type: 'string', maxLength: MAX_WEBHOOK_URL_LENGTH },
+            filter: {
+                type: 'object',
+                nullable: true,
+                additionalProperties: false,
+                description: 'Only forward these event types and/or categories (null for all events)',
+                properties: {
+                    event_types: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: MAX_FILTER_VALUES },
+                    categories: { type: 'array', items: { type: 'string', minLength: 1, maxLength: MAX_CATEGORY_LENGTH }, minItems: 1, maxItems: MAX_FILTER_VALUES }
+                }
+            },
+            template: { nullable: true, description: 'JSON object or array with {{field}} placeholders (null for the default payload)' },
+            batch_size: { type: 'integer', minimum: 1, maximum: MAX_DESTINATION_BATCH_SIZE, default: MAX_DESTINATION_BATCH_SIZE },
+            enabled: { type: 'boolean', default: true }
+        }
+    }
+};
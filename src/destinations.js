@@ -0,0 +1,569 @@
+/**
+ * Event destinations
+ *
+ * Each app can forward the events it accepts to its own HTTP endpoints. After /track or
+ * /track/batch has stored the events, they are filtered per destination, split into
+ * chunks of the destination's batch_size and queued in destination_outbox. The request
+ * then tries each chunk once in the background, and the scheduled job tries whatever is
+ * left, so chunks the background work didn't get to are not lost. Each request is
+ * signed with the destination's secret: X-Signature is the hex encoded HMAC-SHA256 of
+ * `${timestamp}.${body}`, with the Unix timestamp in X-Timestamp.
+ *
+ * Network errors, 429 and 5xx responses are retried with exponential backoff. Chunks
+ * that still fail are recorded in destination_failures, which is kept for
+ * FAILURE_RETENTION_DAYS.
+ */
+import { hmacSha256Hex } from './auth.js';
+import { isValidWebhookUrl, MAX_WEBHOOK_URL_LENGTH } from './alerts.js';
+import { isValidCategory } from './categories.js';
+
+/**
+ * Limits on destinations
+ */
+export const MAX_DESTINATIONS = 10;
+export const MAX_DESTINATION_NAME_LENGTH = 100;
+export const MAX_DESTINATION_BATCH_SIZE = 100;
+export const MAX_FILTER_VALUES = 100;
+export const MAX_TEMPLATE_SIZE = 8192;
+
+/**
+ * Days failed deliveries are kept
+ */
+export const FAILURE_RETENTION_DAYS = 30;
+
+/**
+ * Delivery attempts per chunk, and the delay before the first retry in seconds
+ * (doubled for each retry after it)
+ */
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_DELAY = 60;
+
+/**
+ * Seconds after which a chunk claimed by a delivery that never finished may be tried again
+ */
+const DELIVERY_CLAIM_TIMEOUT = 60;
+
+/**
+ * Number of queued chunks tried per scheduled run
+ */
+const MAX_DELIVERIES_PER_RUN = 100;
+
+/**
+ * How long a destination may take to respond, in milliseconds
+ */
+const DELIVERY_TIMEOUT = 10000;
+
+/**
+ * Maximum size of a failed chunk's payload kept in the log, in characters
+ */
+const MAX_FAILURE_PAYLOAD_SIZE = 65536;
+
+/**
+ * Fields of a destination, with their defaults (undefined for required fields)
+ */
+const DESTINATION_FIELDS = {
+    name: undefined,
+    url: undefined,
+    filter: null,
+    template: null,
+    batch_size: MAX_DESTINATION_BATCH_SIZE,
+    enabled: true
+};
+
+/**
+ * Fields of an event that templates can refer to as {{field}}, besides {{properties.key}}
+ */
+const TEMPLATE_FIELDS = [
+    'app_id', 'event_type', 'qualifier', 'metric', 'category', 'value', 'timestamp', 'unix_timestamp',
+    'country', 'event_id', 'user_id', 'properties'
+];
+
+/**
+ * Queue accepted events for the app's enabled destinations
+ *
+ * Meant to run once the events are stored, so it never throws: events that can't be
+ * queued are logged and not forwarded. The chunks are returned claimed, for the request
+ * to try them with deliverQueued in ctx.waitUntil.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {Array<Object>} events - The stored events (from getAcceptedEvents)
+ * @returns {Promise<Array<Object>>} - The queued chunks, with their destination's url and secret
+ */
+export async function queueDeliveries(db, app_id, events) {
+    if (events.length === 0) {
+        return [];
+    }
+
+    try {
+        const { results: destinations } = await db.prepare(
+            "SELECT * FROM destinations WHERE app_id = ? AND enabled = 1"
+        ).bind(app_id).all();
+
+        const now = Math.floor(Date.now() / 1000);
+        const statements = [];
+        const targets = [];
+
+        for (const destination of destinations || []) {
+            const filter = destination.filter ? JSON.parse(destination.filter) : null;
+            const template = destination.template ? JSON.parse(destination.template) : null;
+            const matching = events.filter(event => matchesFilter(event, filter));
+
+            for (let i = 0; i < matching.length; i += destination.batch_size) {
+                const chunk = matching.slice(i, i + destination.batch_size);
+                const body = JSON.stringify(renderPayload(app_id, chunk, template, destination.batch_size));
+
+                statements.push(db.prepare(`
+          INSERT INTO destination_outbox (app_id, destination_id, events, payload, next_attempt_at, claimed_at, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          RETURNING *
+        `).bind(app_id, destination.id, chunk.length, body, now, now, now));
+                targets.push(destination);
+            }
+        }
+
+        if (statements.length === 0) {
+            return [];
+        }
+
+        const results = await db.batch(statements);
+        return results.map((result, index) => ({
+            ...result.results[0],
+            url: targets[index].url,
+            secret: targets[index].secret
+        }));
+    } catch (error) {
+        console.error('Queue deliveries error:', error);
+        return [];
+    }
+}
+
+/**
+ * Try the queued chunks that are due, for the scheduled job
+ *
+ * Chunks of destinations that have been deleted are skipped (they are deleted with the
+ * destination).
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<Object>} - { delivered, retrying, failed } chunk counts
+ */
+export async function deliverOutbox(db) {
+    const now = Math.floor(Date.now() / 1000);
+
+    const { results } = await db.prepare(`
+    SELECT o.*, d.url, d.secret
+    FROM destination_outbox o
+    JOIN destinations d ON d.id = o.destination_id
+    WHERE o.next_attempt_at <= ?
+      AND (o.claimed_at IS NULL OR o.claimed_at < ?)
+    ORDER BY o.next_attempt_at
+    LIMIT ?
+  `).bind(now, now - DELIVERY_CLAIM_TIMEOUT, MAX_DELIVERIES_PER_RUN).all();
+
+    const due = results || [];
+    if (due.length === 0) {
+        return { delivered: 0, retrying: 0, failed: 0 };
+    }
+
+    // Claim the chunks, so an overlapping run or request can't deliver them too
+    const claims = await db.batch(due.map(chunk => db.prepare(`
+    UPDATE destination_outbox
+    SET claimed_at = ?
+    WHERE id = ? AND (claimed_at IS NULL OR claimed_at < ?)
+  `).bind(now, chunk.id, now - DELIVERY_CLAIM_TIMEOUT)));
+
+    const claimed = due
+        .filter((chunk, index) => claims[index].meta.changes)
+        .map(chunk => ({ ...chunk, claimed_at: now }));
+
+    return await deliverQueued(db, claimed);
+}
+
+/**
+ * Try claimed chunks once each, then delete the delivered ones, reschedule those to
+ * retry and move those that failed for good to destination_failures
+ *
+ * Never throws, so it can run in ctx.waitUntil. Chunks left claimed when it is cut
+ * short are tried again by the scheduled job once their claim times out.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Array<Object>} chunks - destination_outbox rows with their destination's url and secret
+ * @returns {Promise<Object>} - { delivered, retrying, failed } chunk counts
+ */
+export async function deliverQueued(db, chunks) {
+    const summary = { delivered: 0, retrying: 0, failed: 0 };
+
+    const byDestination = new Map();
+    for (const chunk of chunks) {
+        byDestination.set(chunk.destination_id, [...(byDestination.get(chunk.destination_id) || []), chunk]);
+    }
+
+    // Destinations are independent, so a slow one doesn't hold up the others
+    await Promise.all([...byDestination.values()].map(async queued => {
+        for (const chunk of queued) {
+            try {
+                const outcome = await settleDelivery(db, chunk, await deliverChunk(chunk, chunk.payload));
+                summary[outcome]++;
+            } catch (error) {
+                console.error(`Destination delivery ${chunk.id} error:`, error);
+            }
+        }
+    }));
+
+    return summary;
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ *
+ * Each statement checks the chunk's claim, so a delivery whose claim timed out and was
+ * taken over doesn't record its outcome twice.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} chunk - The claimed destination_outbox row
+ * @param {Object} result - The attempt's outcome (from deliverChunk)
+ * @returns {Promise<string>} - delivered, retrying or failed
+ */
+async function settleDelivery(db, chunk, result) {
+    const now = Math.floor(Date.now() / 1000);
+    const attempts = chunk.attempts + 1;
+    const remove = db.prepare(
+        "DELETE FROM destination_outbox WHERE id = ? AND claimed_at = ?"
+    ).bind(chunk.id, chunk.claimed_at);
+
+    if (result.delivered) {
+        await remove.run();
+        return 'delivered';
+    }
+
+    if (result.retryable && attempts < MAX_DELIVERY_ATTEMPTS) {
+        await db.prepare(`
+      UPDATE destination_outbox
+      SET attempts = ?, status = ?, error = ?, next_attempt_at = ?, claimed_at = NULL
+      WHERE id = ? AND claimed_at = ?
+    `).bind(
+            attempts, result.status, result.error, now + RETRY_DELAY * 2 ** (attempts - 1), chunk.id, chunk.claimed_at
+        ).run();
+        return 'retrying';
+    }
+
+    await db.batch([
+        db.prepare(`
+      INSERT INTO destination_failures (app_id, destination_id, events, attempts, status, error, payload, truncated, created_at)
+      SELECT app_id, destination_id, events, ?, ?, ?, substr(payload, 1, ?), length(payload) > ?, ?
+      FROM destination_outbox
+      WHERE id = ? AND claimed_at = ?
+    `).bind(
+            attempts, result.status, result.error, MAX_FAILURE_PAYLOAD_SIZE, MAX_FAILURE_PAYLOAD_SIZE, now,
+            chunk.id, chunk.claimed_at
+        ),
+        remove
+    ]);
+    return 'failed';
+}
+
+/**
+ * Post one chunk of events to a destination
+ *
+ * @param {Object} destination - The destination's url and secret
+ * @param {string} body - The JSON payload
+ * @returns {Promise<Object>} - { delivered, retryable, status, error }
+ */
+async function deliverChunk(destination, body) {
+    // Each attempt is signed afresh, so receivers can reject stale timestamps
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        const response = await fetch(destination.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Timestamp': String(timestamp),
+                'X-Signature': await hmacSha256Hex(destination.secret, `${timestamp}.${body}`)
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+        });
+
+        if (response.ok) {
+            return { delivered: true, retryable: false, status: response.status, error: null };
+        }
+
+        return {
+            delivered: false,
+            retryable: response.status === 429 || response.status >= 500,
+            status: response.status,
+            error: `Destination responded with ${response.status}`
+        };
+    } catch (error) {
+        return { delivered: false, retryable: true, status: null, error: error.message };
+    }
+}
+
+/**
+ * Check whether an event passes a destination's filter
+ *
+ * @param {Object} event - The stored event
+ * @param {Object|null} filter - { event_types, categories }, each optional; null passes every event
+ * @returns {boolean} - True if the event should be forwarded
+ */
+function matchesFilter(event, filter) {
+    if (!filter) {
+        return true;
+    }
+    if (filter.event_types && !filter.event_types.includes(event.event_type)) {
+        return false;
+    }
+    if (filter.categories && !filter.categories.includes(event.category)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Build the payload of a chunk of events
+ *
+ * Without a template the payload is { app_id, events }. With one, each event is rendered
+ * through the template, and the payload is the rendered event for destinations with a
+ * batch_size of 1, otherwise the array of rendered events.
+ *
+ * @param {string} app_id - Application ID
+ * @param {Array<Object>} chunk - The stored events
+ * @param {*} template - The destination's template, or null
+ * @param {number} batchSize - The destination's batch_size
+ * @returns {*} - The payload
+ */
+function renderPayload(app_id, chunk, template, batchSize) {
+    const events = chunk.map(event => ({
+        app_id,
+        event_type: event.event_type,
+        qualifier: event.qualifier,
+        metric: event.metric,
+        category: event.category,
+        value: event.value,
+        timestamp: new Date(event.timestamp * 1000).toISOString(),
+        unix_timestamp: event.timestamp,
+        country: event.country,
+        event_id: event.event_id,
+        user_id: event.user_id,
+        properties: event.properties
+    }));
+
+    if (template === null) {
+        return { app_id, events: events.map(({ app_id, unix_timestamp, ...event }) => event) };
+    }
+
+    const rendered = events.map(event => renderTemplate(template, event));
+    return batchSize === 1 ? rendered[0] : rendered;
+}
+
+/**
+ * Render a template for one event
+ *
+ * Strings that are a single placeholder are replaced by the field's value as is, so
+ * numbers and objects keep their type. Placeholders inside longer strings are
+ * replaced by the value as text, or nothing if it is null.
+ *
+ * @param {*} template - The template, or part of it
+ * @param {Object} event - The event's template fields
+ * @returns {*} - The rendered value
+ */
+function renderTemplate(template, event) {
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, event));
+    }
+
+    if (template !== null && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, event)]));
+    }
+
+    if (typeof template !== 'string') {
+        return template;
+    }
+
+    const whole = template.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+    if (whole) {
+        return getTemplateValue(whole[1], event) ?? null;
+    }
+
+    return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, path) => {
+        const value = getTemplateValue(path, event);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+/**
+ * Look up a template placeholder
+ *
+ * @param {string} path - A field name, or properties.key
+ * @param {Object} event - The event's template fields
+ * @returns {*} - The value, or undefined if the event has none
+ */
+function getTemplateValue(path, event) {
+    if (path.startsWith('properties.')) {
+        return event.properties?.[path.slice('properties.'.length)];
+    }
+    return event[path];
+}
+
+/**
+ * Delete failed deliveries older than FAILURE_RETENTION_DAYS
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<number>} - Number of failures deleted
+ */
+export async function pruneDestinationFailures(db) {
+    const cutoff = Math.floor(Date.now() / 1000) - FAILURE_RETENTION_DAYS * 86400;
+    const result = await db.prepare(
+        "DELETE FROM destination_failures WHERE created_at < ?"
+    ).bind(cutoff).run();
+    return result.meta.changes;
+}
+
+/**
+ * Validate a destination from an API request
+ *
+ * @param {Object} data - The destination's fields
+ * @returns {Object} - { destination } with defaults filled in, or { error: { field: message } }
+ */
+export function parseDestination(data) {
+    const errors = {};
+
+    for (const field of Object.keys(data)) {
+        if (!(field in DESTINATION_FIELDS)) {
+            errors[field] = 'Unknown field';
+        }
+    }
+
+    const destination = {};
+    for (const [field, fallback] of Object.entries(DESTINATION_FIELDS)) {
+        destination[field] = data[field] === undefined ? fallback : data[field];
+        if (destination[field] === undefined) {
+            errors[field] = 'Required';
+        }
+    }
+
+    if (destination.name !== undefined && (typeof destination.name !== 'string' || destination.name.length === 0 ||
+        destination.name.length > MAX_DESTINATION_NAME_LENGTH)) {
+        errors.name = `Must be a string of at most ${MAX_DESTINATION_NAME_LENGTH} characters`;
+    }
+
+    if (destination.url !== undefined && !isValidWebhookUrl(destination.url)) {
+        errors.url = `Must be an http or https URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+    }
+
+    const filterError = validateFilter(destination.filter);
+    if (filterError) {
+        errors.filter = filterError;
+    }
+
+    if (destination.template !== null && (typeof destination.template !== 'object' ||
+        JSON.stringify(destination.template).length > MAX_TEMPLATE_SIZE)) {
+        errors.template = `Must be null (the default payload), or a JSON object or array of at most ${MAX_TEMPLATE_SIZE} characters`;
+    } else if (destination.template !== null) {
+        const unknown = findUnknownPlaceholder(destination.template);
+        if (unknown) {
+            errors.template = `Unknown placeholder {{${unknown}}}, use one of ${TEMPLATE_FIELDS.join(', ')} or properties.<key>`;
+        }
+    }
+
+    if (!Number.isInteger(destination.batch_size) || destination.batch_size < 1 ||
+        destination.batch_size > MAX_DESTINATION_BATCH_SIZE) {
+        errors.batch_size = `Must be an integer between 1 and ${MAX_DESTINATION_BATCH_SIZE}`;
+    }
+
+    if (typeof destination.enabled !== 'boolean') {
+        errors.enabled = 'Must be a boolean';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { error: errors };
+    }
+
+    return { destination };
+}
+
+/**
+ * Validate a destination's event filter
+ *
+ * @param {*} filter - The filter
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateFilter(filter) {
+    if (filter === null) {
+        return null;
+    }
+
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+        return 'Must be null (all events) or an object of event_types and/or categories';
+    }
+
+    for (const key of Object.keys(filter)) {
+        if (key !== 'event_types' && key !== 'categories') {
+            return `Unknown filter ${key}, use event_types or categories`;
+        }
+
+        const values = filter[key];
+        if (!Array.isArray(values) || values.length === 0 || values.length > MAX_FILTER_VALUES ||
+            !values.every(value => typeof value === 'string' && value.length > 0)) {
+            return `${key} must be an array of 1 to ${MAX_FILTER_VALUES} strings`;
+        }
+
+        if (key === 'categories' && !values.every(isValidCategory)) {
+            return 'categories must only contain valid category names';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find the first placeholder in a template that doesn't name an event field
+ *
+ * @param {*} template - The template, or part of it
+ * @returns {string|null} - The placeholder, or null if all are known
+ */
+function findUnknownPlaceholder(template) {
+    if (template !== null && typeof template === 'object') {
+        for (const value of Object.values(template)) {
+            const unknown = findUnknownPlaceholder(value);
+            if (unknown) {
+                return unknown;
+            }
+        }
+        return null;
+    }
+
+    if (typeof template !== 'string') {
+        return null;
+    }
+
+    for (const [, path] of template.matchAll(/\{\{\s*([\w.-]+)\s*\}\}/g)) {
+        if (!TEMPLATE_FIELDS.includes(path) && !/^properties\.[\w.-]+$/.test(path)) {
+            return path;
+        }
+    }
+    return null;
+}
+
+/**
+ * Format a destinations row for API responses, without its secret
+ *
+ * @param {Object} row - The destinations row
+ * @returns {Object} - The destination
+ */
+export function formatDestination(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        url: row.url,
+        filter: row.filter ? JSON.parse(row.filter) : null,
+        template: row.template ? JSON.parse(row.template) : null,
+        batch_size: row.batch_size,
+        enabled: Boolean(row.enabled),
+        created_at: new Date(row.created_at * 1000).toISOString(),
+        updated_at: new Date(row.updated_at * 1000).toISOString()
+    };
+}
@@ -0,0 +1,244 @@
+/**
+ * Alert rules API handlers
+ */
+import { errorResponse, successResponse, encodeCursor, decodeCursor } from '../utils.js';
+import { parseAlertRule, formatAlertRule, MAX_ALERT_RULES } from '../alerts.js';
+
+/**
+ * Handles alert rule listing (GET /alerts)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleListAlerts(request, db, app_id) {
+    try {
+        const { results } = await db.prepare(
+            "SELECT * FROM alert_rules WHERE app_id = ? ORDER BY id"
+        ).bind(app_id).all();
+
+        return successResponse({
+            app_id,
+            alerts: (results || []).map(formatAlertRule)
+        });
+    } catch (error) {
+        console.error('List alerts error:', error);
+        return errorResponse('Failed to retrieve alert rules', 500, error.message);
+    }
+}
+
+/**
+ * Handles alert rule creation (POST /alerts)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleCreateAlert(request, db, app_id) {
+    try {
+        const data = await request.json();
+
+        const { rule, error } = parseAlertRule(data);
+        if (error) {
+            return errorResponse('Invalid alert rule', 400, error);
+        }
+
+        const count = await db.prepare(
+            "SELECT COUNT(*) AS count FROM alert_rules WHERE app_id = ?"
+        ).bind(app_id).first();
+        if (count.count >= MAX_ALERT_RULES) {
+            return errorResponse('Too many alert rules', 400, `Apps can have at most ${MAX_ALERT_RULES} alert rules`);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const row = await db.prepare(`
+            INSERT INTO alert_rules (app_id, name, metric, condition, threshold, baseline_periods, period, timezone,
+                                     country, webhook_url, enabled, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).bind(
+            app_id, rule.name, rule.metric, rule.condition, rule.threshold, rule.baseline_periods, rule.period,
+            rule.timezone, rule.country, rule.webhook_url, rule.enabled ? 1 : 0, now, now
+        ).first();
+
+        return successResponse({
+            success: true,
+            app_id,
+            alert: formatAlertRule(row)
+        }, 201);
+    } catch (error) {
+        console.error('Create alert error:', error);
+        return errorResponse('Failed to create alert rule', 500, error.message);
+    }
+}
+
+/**
+ * Handles alert rule updates (PUT /alerts/:id)
+ *
+ * Replaces the rule. It keeps its firing or ok state, and its latest period is
+ * evaluated again on the next run with the new settings.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The alert rule ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleUpdateAlert(request, db, app_id, id) {
+    try {
+        const data = await request.json();
+
+        const { rule, error } = parseAlertRule(data);
+        if (error) {
+            return errorResponse('Invalid alert rule', 400, error);
+        }
+
+        const row = await db.prepare(`
+            UPDATE alert_rules
+            SET name = ?, metric = ?, condition = ?, threshold = ?, baseline_periods = ?, period = ?, timezone = ?,
+                country = ?, webhook_url = ?, enabled = ?, last_period = NULL, next_due_at = NULL, updated_at = ?
+            WHERE app_id = ? AND id = ?
+            RETURNING *
+        `).bind(
+            rule.name, rule.metric, rule.condition, rule.threshold, rule.baseline_periods, rule.period, rule.timezone,
+            rule.country, rule.webhook_url, rule.enabled ? 1 : 0, Math.floor(Date.now() / 1000), app_id, parseInt(id)
+        ).first();
+
+        if (!row) {
+            return errorResponse('Alert rule not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            app_id,
+            alert: formatAlertRule(row)
+        });
+    } catch (error) {
+        console.error('Update alert error:', error);
+        return errorResponse('Failed to update alert rule', 500, error.message);
+    }
+}
+
+/**
+ * Handles alert rule removal (DELETE /alerts/:id)
+ *
+ * The rule's history is deleted with it.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The alert rule ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleDeleteAlert(request, db, app_id, id) {
+    try {
+        const [result] = await db.batch([
+            db.prepare("DELETE FROM alert_rules WHERE app_id = ? AND id = ?").bind(app_id, parseInt(id)),
+            db.prepare("DELETE FROM alert_history WHERE app_id = ? AND rule_id = ?").bind(app_id, parseInt(id))
+        ]);
+
+        if (!result.meta.changes) {
+            return errorResponse('Alert rule not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            app_id,
+            id: parseInt(id),
+            deleted: true
+        });
+    } catch (error) {
+        console.error('Delete alert error:', error);
+        return errorResponse('Failed to delete alert rule', 500, error.message);
+    }
+}
+
+/**
+ * Handles alert history retrieval (GET /alerts/history)
+ *
+ * Lists the times alert rules started firing or were resolved, newest first.
+ *
+ * Supports:
+ * - Rule filter: ?rule_id=
+ * - State filter: ?state=firing|resolved
+ * - Cursor pagination: ?cursor= with the next_cursor of the previous page
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleAlertHistory(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        const limit = parseInt(url.searchParams.get('limit') || '50');
+        const ruleId = url.searchParams.get('rule_id');
+        const state = url.searchParams.get('state');
+        const cursorParam = url.searchParams.get('cursor');
+
+        // The cursor is the ID of the last entry of the previous page
+        const cursor = cursorParam ? decodeCursor(cursorParam, ['number']) : null;
+        if (cursorParam && !cursor) {
+            return errorResponse('Invalid query parameters', 400, { cursor: 'Invalid cursor' });
+        }
+
+        let conditions = "WHERE h.app_id = ?";
+        const params = [app_id];
+
+        if (ruleId !== null) {
+            conditions += " AND h.rule_id = ?";
+            params.push(parseInt(ruleId));
+        }
+
+        if (state !== null) {
+            conditions += " AND h.state = ?";
+            params.push(state);
+        }
+
+        if (cursor) {
+            conditions += " AND h.id < ?";
+            params.push(cursor[0]);
+        }
+
+        // Fetch one extra entry to tell whether there is another page
+        const { results } = await db.prepare(`
+            SELECT h.*, r.name, r.metric
+            FROM alert_history h
+            LEFT JOIN alert_rules r ON r.id = h.rule_id
+            ${conditions}
+            ORDER BY h.id DESC
+            LIMIT ?
+        `).bind(...params, limit + 1).all();
+
+        const rows = (results || []).slice(0, limit);
+        const nextCursor = results?.length > limit ? encodeCursor([rows[rows.length - 1].id]) : null;
+
+        return successResponse({
+            app_id,
+            count: rows.length,
+            history: rows.map(row => ({
+                id: row.id,
+                rule_id: row.rule_id,
+                name: row.name,
+                metric: row.metric,
+                state: row.state,
+                value: row.value,
+                baseline: row.baseline_mean !== null ? { mean: row.baseline_mean, stddev: row.baseline_stddev } : null,
+                period: {
+                    start: new Date(row.period_start * 1000).toISOString(),
+                    end: new Date(row.period_end * 1000).toISOString()
+                },
+                delivered: row.delivered === null ? null : Boolean(row.delivered),
+                delivery_error: row.delivery_error,
+                created_at: new Date(row.created_at * 1000).toISOString()
+            })),
+            next_cursor: nextCursor
+        });
+    } catch (error) {
+        console.error('Alert history error:', error);
+        return errorResponse('Failed to retrieve alert history', 500, error.message);
+    }
+}
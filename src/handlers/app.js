@@ -2,7 +2,8 @@
  * App information API handlers
  */
 import { errorResponse, successResponse } from '../utils.js';
-import { getAvailableApps, getAppSummary } from '../utils.js';
+import { getAvailableApps, getAppSummary, getAppSettings } from '../utils.js';
+import { getPrunedBefore } from '../pruning.js';
 
 /**
  * Handles app information requests (GET /app)
@@ -14,9 +15,10 @@ import { getAvailableApps, getAppSummary } from '../utils.js';
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID (optional for list endpoint)
+ * @param {string|null} allowedApp - Restrict the apps listing to this app (for app-bound keys)
  * @returns {Response} - The API response
  */
-export async function handleAppInfo(request, db, app_id = null) {
+export async function handleAppInfo(request, db, app_id = null, allowedApp = null) {
     try {
         const url = new URL(request.url);
         const view = url.searchParams.get('view') || 'summary';
@@ -24,7 +26,7 @@ export async function handleAppInfo(request, db, app_id = null) {
         // Handle apps listing (when no app_id is provided)
         if (!app_id) {
             const withStats = url.searchParams.get('stats') === 'true';
-            return handleAppsList(db, withStats);
+            return handleAppsList(db, withStats, allowedApp);
         }
 
         // Handle specific app views
@@ -50,6 +52,7 @@ export async function handleAppInfo(request, db, app_id = null) {
 
             return successResponse({
                 ...summary,
+                retention: await getRetentionStatus(db, app_id),
                 recent_events: recentEvents || []
             });
         }
@@ -64,11 +67,16 @@ export async function handleAppInfo(request, db, app_id = null) {
  *
  * @param {D1Database} db - The D1 database instance
  * @param {boolean} withStats - Whether to include stats for each app
+ * @param {string|null} allowedApp - Only list this app if set
  * @returns {Response} - The API response
  */
-async function handleAppsList(db, withStats) {
+async function handleAppsList(db, withStats, allowedApp = null) {
     // Basic app list query
-    const appIds = await getAvailableApps(db);
+    let appIds = await getAvailableApps(db);
+
+    if (allowedApp) {
+        appIds = appIds.filter(appId => appId === allowedApp);
+    }
 
     if (!withStats) {
         return successResponse({
@@ -143,4 +151,26 @@ async function handleAppDashboard(request, db, app_id) {
         categories: categoryBreakdown || [],
         top_countries: countryBreakdown || []
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Get an app's raw event retention policy and what is currently retained
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Object} - The retention status
+ */
+async function getRetentionStatus(db, app_id) {
+    const settings = await getAppSettings(db, app_id);
+    const prunedBefore = await getPrunedBefore(db, app_id);
+    const oldest = await db.prepare(
+        "SELECT MIN(timestamp) as oldest_event FROM events WHERE app_id = ?"
+    ).bind(app_id).first();
+
+    return {
+        raw_retention_days: settings.raw_retention_days,
+        rollup_retention: 'forever',
+        pruned_before: prunedBefore !== null ? new Date(prunedBefore * 1000).toISOString() : null,
+        oldest_event: oldest?.oldest_event ? new Date(oldest.oldest_event * 1000).toISOString() : null
+    };
+}
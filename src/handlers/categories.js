@@ -0,0 +1,121 @@
+/**
+ * Event categorisation rules API handlers
+ */
+import { errorResponse, successResponse, getAppSettings } from '../utils.js';
+import { getCategoryRules, validateCategoryRule, BUILTIN_CATEGORY_RULES, BUILTIN_DEFAULT_CATEGORY } from '../categories.js';
+import { createRecategorisationStatement, getRecategorisation, continueRecategorisation, formatRecategorisation } from '../categories.js';
+
+/**
+ * Number of recategorisation transactions run by the request that changes the rules
+ * (the scheduled job does the rest)
+ */
+const MAX_RECATEGORISE_CHUNKS_PER_REQUEST = 10;
+
+/**
+ * Handles categorisation rule retrieval (GET /categories)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleGetCategories(request, db, app_id) {
+    try {
+        const settings = await getAppSettings(db, app_id);
+        const recategorisation = await getRecategorisation(db, app_id);
+
+        return successResponse({
+            app_id,
+            rules: await getCategoryRules(db, app_id),
+            default: settings.default_category,
+            builtin_rules: BUILTIN_CATEGORY_RULES,
+            builtin_default: BUILTIN_DEFAULT_CATEGORY,
+            recategorisation: recategorisation ? formatRecategorisation(recategorisation) : null
+        });
+    } catch (error) {
+        console.error('Get categories error:', error);
+        return errorResponse('Failed to retrieve category rules', 500, error.message);
+    }
+}
+
+/**
+ * Handles categorisation rule updates (PUT /categories)
+ *
+ * Replaces the app's rules, and the default category if the body has one. With
+ * apply set, events and stats whose category the previous rules assigned are
+ * recategorised with the new rules. Rows with a category that the previous rules
+ * wouldn't have given them were categorised by the client and are left alone.
+ *
+ * Recategorising starts in this request and is finished by the scheduled job, and
+ * GET /categories shows its progress. Rules can't be applied again until it is done.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleUpdateCategories(request, db, app_id) {
+    try {
+        const data = await request.json();
+        const { rules, apply = false } = data;
+
+        // The body's shape has been validated, but regex patterns still need compiling
+        const errors = {};
+        rules.forEach((rule, index) => {
+            const error = validateCategoryRule(rule);
+            if (error) {
+                errors[`rules[${index}]`] = error;
+            }
+        });
+        if (Object.keys(errors).length > 0) {
+            return errorResponse('Invalid request body', 400, errors);
+        }
+
+        const settings = await getAppSettings(db, app_id);
+        const defaultCategory = 'default' in data ? data.default : settings.default_category;
+        const previous = { rules: await getCategoryRules(db, app_id), default: settings.default_category };
+        const now = Math.floor(Date.now() / 1000);
+
+        // Events not yet moved by the running recategorisation would be missed by a new one
+        if (apply) {
+            const running = await getRecategorisation(db, app_id);
+            if (running && running.stage !== 'complete') {
+                return errorResponse('Recategorisation is still running', 409, 'Apply the rules again once GET /categories shows it complete');
+            }
+        }
+
+        const saved = rules.map(({ match, pattern, category }) => ({ match, pattern, category }));
+
+        // Replace the rules and the default, and start recategorising, in one transaction
+        await db.batch([
+            db.prepare("DELETE FROM category_rules WHERE app_id = ?").bind(app_id),
+            ...rules.map((rule, index) => db.prepare(`
+        INSERT INTO category_rules (app_id, priority, match_type, pattern, category)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(app_id, index, rule.match, rule.pattern, rule.category)),
+            db.prepare(`
+        INSERT INTO app_settings (app_id, default_category, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT (app_id) DO UPDATE
+        SET default_category = excluded.default_category, updated_at = excluded.updated_at
+      `).bind(app_id, defaultCategory, now),
+            ...(apply ? [createRecategorisationStatement(db, app_id, previous, { rules: saved, default: defaultCategory }, now)] : [])
+        ]);
+
+        const response = {
+            app_id,
+            rules: saved,
+            default: defaultCategory
+        };
+
+        if (apply) {
+            const result = await continueRecategorisation(db, app_id, MAX_RECATEGORISE_CHUNKS_PER_REQUEST);
+            response.recategorisation = formatRecategorisation(result?.job || await getRecategorisation(db, app_id));
+        }
+
+        return successResponse(response);
+    } catch (error) {
+        console.error('Update categories error:', error);
+        return errorResponse('Failed to update category rules', 500, error.message);
+    }
+}
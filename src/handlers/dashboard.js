@@ -0,0 +1,40 @@
+/**
+ * Dashboard UI handler
+ */
+import dashboardHtml from '../dashboard.html';
+
+/**
+ * Handles dashboard requests (GET /dashboard)
+ *
+ * Serves the dashboard page, which needs no authentication itself. The page asks for an
+ * API key with the read scope, keeps it in sessionStorage and sends it in the X-API-Key
+ * header of its API requests, so the key never appears in a URL, the browser history or
+ * server logs. Its inline script and styles are allowed by a nonce in the
+ * Content-Security-Policy, which blocks everything else.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Response} - The dashboard page
+ */
+export function handleDashboard(request) {
+    const nonce = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+
+    return new Response(dashboardHtml.replaceAll('{{nonce}}', nonce), {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Content-Security-Policy': [
+                "default-src 'none'",
+                `script-src 'nonce-${nonce}'`,
+                `style-src 'nonce-${nonce}'`,
+                "connect-src 'self'",
+                "img-src 'self' data:",
+                "base-uri 'none'",
+                "form-action 'none'",
+                "frame-ancestors 'none'"
+            ].join('; '),
+            'Referrer-Policy': 'no-referrer',
+            'X-Content-Type-Options': 'nosniff'
+        }
+    });
+}
@@ -0,0 +1,242 @@
+/**
+ * Event destinations API handlers
+ */
+import { errorResponse, successResponse, encodeCursor, decodeCursor } from '../utils.js';
+import { generateSigningSecret } from '../auth.js';
+import { parseDestination, formatDestination, MAX_DESTINATIONS } from '../destinations.js';
+
+/**
+ * Handles destination listing (GET /destinations)
+ *
+ * Secrets are never listed.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleListDestinations(request, db, app_id) {
+    try {
+        const { results } = await db.prepare(
+            "SELECT * FROM destinations WHERE app_id = ? ORDER BY id"
+        ).bind(app_id).all();
+
+        return successResponse({
+            app_id,
+            destinations: (results || []).map(formatDestination)
+        });
+    } catch (error) {
+        console.error('List destinations error:', error);
+        return errorResponse('Failed to retrieve destinations', 500, error.message);
+    }
+}
+
+/**
+ * Handles destination creation (POST /destinations)
+ *
+ * The destination's signing secret is generated here and returned only in this response.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleCreateDestination(request, db, app_id) {
+    try {
+        const data = await request.json();
+
+        const { destination, error } = parseDestination(data);
+        if (error) {
+            return errorResponse('Invalid destination', 400, error);
+        }
+
+        const count = await db.prepare(
+            "SELECT COUNT(*) AS count FROM destinations WHERE app_id = ?"
+        ).bind(app_id).first();
+        if (count.count >= MAX_DESTINATIONS) {
+            return errorResponse('Too many destinations', 400, `Apps can have at most ${MAX_DESTINATIONS} destinations`);
+        }
+
+        const secret = generateSigningSecret();
+        const now = Math.floor(Date.now() / 1000);
+        const row = await db.prepare(`
+            INSERT INTO destinations (app_id, name, url, filter, template, batch_size, secret, enabled, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING *
+        `).bind(
+            app_id, destination.name, destination.url,
+            destination.filter !== null ? JSON.stringify(destination.filter) : null,
+            destination.template !== null ? JSON.stringify(destination.template) : null,
+            destination.batch_size, secret, destination.enabled ? 1 : 0, now, now
+        ).first();
+
+        return successResponse({
+            success: true,
+            app_id,
+            destination: formatDestination(row),
+            secret
+        }, 201);
+    } catch (error) {
+        console.error('Create destination error:', error);
+        return errorResponse('Failed to create destination', 500, error.message);
+    }
+}
+
+/**
+ * Handles destination updates (PUT /destinations/:id)
+ *
+ * Replaces the destination, keeping its signing secret.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The destination ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleUpdateDestination(request, db, app_id, id) {
+    try {
+        const data = await request.json();
+
+        const { destination, error } = parseDestination(data);
+        if (error) {
+            return errorResponse('Invalid destination', 400, error);
+        }
+
+        const row = await db.prepare(`
+            UPDATE destinations
+            SET name = ?, url = ?, filter = ?, template = ?, batch_size = ?, enabled = ?, updated_at = ?
+            WHERE app_id = ? AND id = ?
+            RETURNING *
+        `).bind(
+            destination.name, destination.url,
+            destination.filter !== null ? JSON.stringify(destination.filter) : null,
+            destination.template !== null ? JSON.stringify(destination.template) : null,
+            destination.batch_size, destination.enabled ? 1 : 0, Math.floor(Date.now() / 1000), app_id, parseInt(id)
+        ).first();
+
+        if (!row) {
+            return errorResponse('Destination not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            app_id,
+            destination: formatDestination(row)
+        });
+    } catch (error) {
+        console.error('Update destination error:', error);
+        return errorResponse('Failed to update destination', 500, error.message);
+    }
+}
+
+/**
+ * Handles destination removal (DELETE /destinations/:id)
+ *
+ * The destination's queued and failed deliveries are deleted with it.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The destination ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleDeleteDestination(request, db, app_id, id) {
+    try {
+        const [result] = await db.batch([
+            db.prepare("DELETE FROM destinations WHERE app_id = ? AND id = ?").bind(app_id, parseInt(id)),
+            db.prepare("DELETE FROM destination_failures WHERE app_id = ? AND destination_id = ?").bind(app_id, parseInt(id)),
+            db.prepare("DELETE FROM destination_outbox WHERE app_id = ? AND destination_id = ?").bind(app_id, parseInt(id))
+        ]);
+
+        if (!result.meta.changes) {
+            return errorResponse('Destination not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            app_id,
+            id: parseInt(id),
+            deleted: true
+        });
+    } catch (error) {
+        console.error('Delete destination error:', error);
+        return errorResponse('Failed to delete destination', 500, error.message);
+    }
+}
+
+/**
+ * Handles failed delivery listing (GET /destinations/failures)
+ *
+ * Lists the chunks of events that couldn't be delivered after all retries, newest first.
+ *
+ * Supports:
+ * - Destination filter: ?destination_id=
+ * - Cursor pagination: ?cursor= with the next_cursor of the previous page
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleDestinationFailures(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        const limit = parseInt(url.searchParams.get('limit') || '50');
+        const destinationId = url.searchParams.get('destination_id');
+        const cursorParam = url.searchParams.get('cursor');
+
+        // The cursor is the ID of the last failure of the previous page
+        const cursor = cursorParam ? decodeCursor(cursorParam, ['number']) : null;
+        if (cursorParam && !cursor) {
+            return errorResponse('Invalid query parameters', 400, { cursor: 'Invalid cursor' });
+        }
+
+        let conditions = "WHERE f.app_id = ?";
+        const params = [app_id];
+
+        if (destinationId !== null) {
+            conditions += " AND f.destination_id = ?";
+            params.push(parseInt(destinationId));
+        }
+
+        if (cursor) {
+            conditions += " AND f.id < ?";
+            params.push(cursor[0]);
+        }
+
+        // Fetch one extra failure to tell whether there is another page
+        const { results } = await db.prepare(`
+            SELECT f.*, d.name
+            FROM destination_failures f
+            LEFT JOIN destinations d ON d.id = f.destination_id
+            ${conditions}
+            ORDER BY f.id DESC
+            LIMIT ?
+        `).bind(...params, limit + 1).all();
+
+        const rows = (results || []).slice(0, limit);
+        const nextCursor = results?.length > limit ? encodeCursor([rows[rows.length - 1].id]) : null;
+
+        return successResponse({
+            app_id,
+            count: rows.length,
+            failures: rows.map(row => ({
+                id: row.id,
+                destination_id: row.destination_id,
+                name: row.name,
+                events: row.events,
+                attempts: row.attempts,
+                status: row.status,
+                error: row.error,
+                truncated: Boolean(row.truncated),
+                payload: row.truncated ? row.payload : JSON.parse(row.payload),
+                created_at: new Date(row.created_at * 1000).toISOString()
+            })),
+            next_cursor: nextCursor
+        });
+    } catch (error) {
+        console.error('Destination failures error:', error);
+        return errorResponse('Failed to retrieve failed deliveries', 500, error.message);
+    }
+}
@@ -1,63 +1,78 @@
 /**
  * Event tracking API handlers
  */
-import { errorResponse, successResponse, determineCategory, parseDateParam } from '../utils.js';
-import { createEventStatements } from '../utils.js';
+import { errorResponse, successResponse, parseDateParam, encodeCursor, decodeCursor } from '../utils.js';
+import { getEventFilterClause, getPropertyExpression } from '../utils.js';
+import { getIngestContext, createTrackingStatements, getTrackingStatuses, getAcceptedEvents } from '../ingest.js';
+import { createQuarantineStatement } from '../quarantine.js';
+import { queueDeliveries, deliverQueued } from '../destinations.js';
+import { getPruningNotice } from '../pruning.js';
 
 /**
  * Handles event tracking requests (POST /track)
  *
+ * Invalid events are rejected and quarantined. Accepted events are forwarded to the
+ * app's destinations once the response has been sent.
+ *
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
+ * @param {Object} ctx - Execution context, for forwarding in the background
  * @returns {Response} - The API response
  */
-export async function handleTrackEvent(request, db, app_id) {
+export async function handleTrackEvent(request, db, app_id, ctx) {
     try {
-        // Parse the request body
-        const data = await request.json();
-        const {
-            event_type,
-            qualifier = null,
-            value = 1,
-            category = null,
-            timestamp = Math.floor(Date.now() / 1000),
-            // Allow country to be overridden in the payload if needed
-            country = request.cf?.country || null
-        } = data;
-
-        // Validate inputs
-        if (!event_type) {
-            return errorResponse('Missing event_type', 400);
+        const received_at = Math.floor(Date.now() / 1000);
+        // Allow country to be overridden in the payload if needed
+        const defaults = { timestamp: received_at, country: request.cf?.country || null };
+
+        // Parse the request body, quarantining it if it isn't JSON
+        const body = await request.text();
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            await createQuarantineStatement(db, app_id, {
+                source: 'track', body, errors: [{ field: null, message: 'Invalid JSON' }], country: defaults.country, received_at
+            }).run();
+            return errorResponse('Invalid JSON body', 400);
         }
 
-        // Determine category if not provided
-        const event_category = category || determineCategory(event_type);
+        const context = await getIngestContext(db, app_id);
+        const tracking = createTrackingStatements(db, app_id, [data], context, defaults);
+        const [result] = tracking.results;
 
-        // Create statements for events and stats tables
-        const statements = createEventStatements(
-            db, app_id, event_type, event_category, qualifier, value, timestamp, country
-        );
+        if (result.status === 'rejected') {
+            await createQuarantineStatement(db, app_id, {
+                source: 'track', payload: data, errors: result.errors, country: defaults.country, received_at
+            }).run();
+            return errorResponse('Invalid event', 400, result.errors);
+        }
 
         // Execute statements in a batch
-        await db.batch(statements);
+        getTrackingStatuses(tracking, await db.batch(tracking.statements));
+        ctx.waitUntil(deliverQueued(db, await queueDeliveries(db, app_id, getAcceptedEvents(tracking))));
 
         // Get the updated counter value
-        const metric = qualifier ? `${event_type}.${qualifier}` : event_type;
-        const result = await db.prepare(
+        const stats = await db.prepare(
             "SELECT value FROM stats WHERE app_id = ? AND metric = ?"
-        ).bind(app_id, metric).first();
+        ).bind(app_id, result.metric).first();
 
-        const currentValue = result?.value || value;
+        const { value = 1, timestamp = defaults.timestamp, user_id = null, properties = null } = data;
 
         return successResponse({
             success: true,
             app_id,
-            metric,
-            category: event_category,
-            value: currentValue,
+            metric: result.metric,
+            category: result.category,
+            value: stats?.value || value,
             timestamp,
-            country
+            country: result.country,
+            event_id: result.event_id,
+            user_id,
+            properties: properties && Object.keys(properties).length > 0 ? properties : null,
+            schema_warnings: result.schema_warnings,
+            duplicate: result.status === 'duplicate'
         });
     } catch (error) {
         console.error('Track event error:', error);
@@ -68,17 +83,35 @@ export async function handleTrackEvent(request, db, app_id) {
 /**
  * Handles batch event tracking requests (POST /track/batch)
  *
+ * Invalid events are rejected and quarantined one by one, while the rest of the
+ * batch is tracked. Accepted events are forwarded to the app's destinations once the
+ * response has been sent.
+ *
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
+ * @param {Object} ctx - Execution context, for forwarding in the background
  * @returns {Response} - The API response
  */
-export async function handleBatchTrackEvents(request, db, app_id) {
+export async function handleBatchTrackEvents(request, db, app_id, ctx) {
     try {
-        // Parse the request body
-        const data = await request.json();
+        const received_at = Math.floor(Date.now() / 1000);
+        // Get default country from the request
+        const defaults = { timestamp: received_at, country: request.cf?.country || null };
+
+        // Parse the request body, quarantining it if it isn't JSON
+        const body = await request.text();
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            await createQuarantineStatement(db, app_id, {
+                source: 'track/batch', body, errors: [{ field: null, message: 'Invalid JSON' }], country: defaults.country, received_at
+            }).run();
+            return errorResponse('Invalid JSON body', 400);
+        }
 
-        if (!Array.isArray(data.events) || data.events.length === 0) {
+        if (!Array.isArray(data?.events) || data.events.length === 0) {
             return errorResponse('Missing or empty events array', 400);
         }
 
@@ -87,56 +120,35 @@ export async function handleBatchTrackEvents(request, db, app_id) {
             return errorResponse('Batch size exceeds maximum (100)', 400);
         }
 
-        const defaultTimestamp = Math.floor(Date.now() / 1000);
-        // Get default country from the request
-        const defaultCountry = request.cf?.country || null;
-        const statements = [];
-        const results = [];
-
-        // Process each event
-        for (const event of data.events) {
-            if (!event.event_type) {
-                return errorResponse('Missing event_type in batch item', 400);
-            }
+        const context = await getIngestContext(db, app_id);
+        const tracking = createTrackingStatements(db, app_id, data.events, context, defaults);
 
-            const {
-                event_type,
-                qualifier = null,
-                value = 1,
-                category = null,
-                timestamp = defaultTimestamp,
-                // Allow country to be specified per event, or use the request's country
-                country = defaultCountry
-            } = event;
-
-            // Determine category if not provided
-            const event_category = category || determineCategory(event_type);
-
-            // Add statements for this event
-            const eventStatements = createEventStatements(
-                db, app_id, event_type, event_category, qualifier, value, timestamp, country
-            );
-            statements.push(...eventStatements);
-
-            // Create the metric key for result tracking
-            const metric = qualifier ? `${event_type}.${qualifier}` : event_type;
-            results.push({
-                event_type,
-                qualifier,
-                metric,
-                category: event_category,
-                country
-            });
-        }
+        // Quarantine rejected events in the same transaction as the accepted ones
+        const statements = [...tracking.statements];
+        const quarantineStatementIndexes = new Map();
+        tracking.results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                quarantineStatementIndexes.set(index, statements.length);
+                statements.push(createQuarantineStatement(db, app_id, {
+                    source: 'track/batch', payload: data.events[index], errors: result.errors, country: defaults.country, received_at
+                }));
+            }
+        });
 
         // Execute all statements in a batch
-        await db.batch(statements);
+        const batchResults = await db.batch(statements);
+        const counts = getTrackingStatuses(tracking, batchResults);
+        for (const [index, statementIndex] of quarantineStatementIndexes) {
+            tracking.results[index].quarantine_id = batchResults[statementIndex].meta.last_row_id;
+        }
+        ctx.waitUntil(deliverQueued(db, await queueDeliveries(db, app_id, getAcceptedEvents(tracking))));
 
         return successResponse({
             success: true,
             app_id,
-            processed: results.length,
-            events: results
+            processed: tracking.results.length,
+            ...counts,
+            events: tracking.results
         });
     } catch (error) {
         console.error('Batch track events error:', error);
@@ -147,6 +159,14 @@ export async function handleBatchTrackEvents(request, db, app_id) {
 /**
  * Handles event history retrieval (GET /events)
  *
+ * Supports:
+ * - Property filters: ?prop.plan=pro
+ * - Events accepted with schema warnings: ?flagged=true
+ * - Grouping by a property: ?group_by=plan (returns counts per value instead of events)
+ * - Date range: ?from=...&to=...
+ * - Sort order: ?order=desc|asc (by timestamp, newest first by default)
+ * - Cursor pagination: ?cursor= with the next_cursor of the previous page
+ *
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
@@ -157,52 +177,112 @@ export async function handleEventHistory(request, db, app_id) {
         const url = new URL(request.url);
 
         // Optional parameters
-        const event_type = url.searchParams.get('type');
-        const category = url.searchParams.get('category');
-        const country = url.searchParams.get('country');
-        const limit = Math.min(100, parseInt(url.searchParams.get('limit') || '50'));
+        const groupBy = url.searchParams.get('group_by');
+        const limit = parseInt(url.searchParams.get('limit') || '50');
         const fromDate = parseDateParam(url.searchParams.get('from'), 1); // Default 24 hours ago
+        const toParam = url.searchParams.get('to');
+        const toDate = toParam ? parseDateParam(toParam) : null; // Default no upper bound
+        const order = url.searchParams.get('order') || 'desc';
+        const cursorParam = url.searchParams.get('cursor');
 
-        // Build query
-        let query = `
-            SELECT id, event_type, event_category, qualifier, value, country,
-                   datetime(timestamp, 'unixepoch') as timestamp
-            FROM events
+        if (toDate !== null && fromDate > toDate) {
+            return errorResponse('Invalid query parameters', 400, { from: 'Must not be after to' });
+        }
+
+        // The cursor is the timestamp and ID of the last event of the previous page
+        const cursor = cursorParam ? decodeCursor(cursorParam, ['number', 'number']) : null;
+        if (cursorParam && !cursor) {
+            return errorResponse('Invalid query parameters', 400, { cursor: 'Invalid cursor' });
+        }
+
+        // Type, category, country and property filters
+        const filters = getEventFilterClause(url);
+
+        // Build filter conditions
+        let conditions = `
             WHERE app_id = ?
               AND timestamp >= ?
         `;
 
-        let params = [app_id, fromDate];
+        const params = [app_id, fromDate];
 
-        if (event_type) {
-            query += " AND event_type = ?";
-            params.push(event_type);
+        if (toDate !== null) {
+            conditions += " AND timestamp <= ?";
+            params.push(toDate);
         }
 
-        if (category) {
-            query += " AND event_category = ?";
-            params.push(category);
+        conditions += filters.clause;
+        params.push(...filters.params);
+
+        // Say so if the range reaches back past pruned raw events
+        const pruning = await getPruningNotice(db, app_id, fromDate);
+
+        // Grouped by a property value
+        if (groupBy) {
+            const { results } = await db.prepare(`
+                SELECT ${getPropertyExpression(groupBy)} AS property_value,
+                       COUNT(*) AS count,
+                       SUM(value) AS total
+                FROM events
+                ${conditions}
+                GROUP BY property_value
+                ORDER BY count DESC
+                LIMIT ?
+            `).bind(...params, limit).all();
+
+            return successResponse({
+                app_id,
+                from: new Date(fromDate * 1000).toISOString(),
+                to: toDate !== null ? new Date(toDate * 1000).toISOString() : null,
+                group_by: groupBy,
+                groups: results ? results.map(row => ({
+                    value: row.property_value,
+                    count: row.count,
+                    total: row.total
+                })) : [],
+                ...pruning
+            });
         }
 
-        if (country) {
-            query += " AND country = ?";
-            params.push(country);
+        // Continue after the cursor, with the ID breaking ties between events with the same timestamp
+        let cursorCondition = '';
+        if (cursor) {
+            const operator = order === 'asc' ? '>' : '<';
+            cursorCondition = ` AND (timestamp ${operator} ? OR (timestamp = ? AND id ${operator} ?))`;
+            params.push(cursor[0], cursor[0], cursor[1]);
         }
 
-        query += " ORDER BY timestamp DESC LIMIT ?";
-        params.push(limit);
+        // Execute query, fetching one extra event to tell whether there is another page
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const { results } = await db.prepare(`
+            SELECT id, event_type, event_category, qualifier, value, country, user_id, properties, schema_warnings,
+                   datetime(timestamp, 'unixepoch') as timestamp, timestamp AS unix_timestamp
+            FROM events
+            ${conditions}
+            ${cursorCondition}
+            ORDER BY unix_timestamp ${direction}, id ${direction} LIMIT ?
+        `).bind(...params, limit + 1).all();
 
-        // Execute query
-        const { results } = await db.prepare(query).bind(...params).all();
+        const rows = (results || []).slice(0, limit);
+        const last = rows[rows.length - 1];
+        const nextCursor = results?.length > limit ? encodeCursor([last.unix_timestamp, last.id]) : null;
 
         return successResponse({
             app_id,
             from: new Date(fromDate * 1000).toISOString(),
-            count: results?.length || 0,
-            events: results || []
+            to: toDate !== null ? new Date(toDate * 1000).toISOString() : null,
+            order,
+            count: rows.length,
+            events: rows.map(({ unix_timestamp, ...row }) => ({
+                ...row,
+                properties: row.properties ? JSON.parse(row.properties) : null,
+                schema_warnings: row.schema_warnings ? JSON.parse(row.schema_warnings) : null
+            })),
+            next_cursor: nextCursor,
+            ...pruning
         });
     } catch (error) {
         console.error('Event history error:', error);
         return errorResponse('Failed to retrieve event history', 500, error.message);
     }
-}
\ No newline at end of file
+}
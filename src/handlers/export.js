@@ -0,0 +1,189 @@
+/**
+ * Raw event export API handlers
+ */
+import { errorResponse, parseDateParam, getEventFilterClause } from '../utils.js';
+import { getPrunedBefore } from '../pruning.js';
+
+/**
+ * Number of events read from the database per query while streaming
+ */
+const EXPORT_CHUNK_SIZE = 1000;
+
+/**
+ * Exported columns, in CSV order
+ */
+const EXPORT_COLUMNS = [
+    'id', 'timestamp', 'event_type', 'event_category', 'qualifier', 'value',
+    'country', 'user_id', 'event_id', 'properties'
+];
+
+/**
+ * Supported formats and their content types
+ */
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Handles raw event exports (GET /export)
+ *
+ * Streams every event in the range in time order (and in the order they were tracked,
+ * for equal timestamps), reading the database in chunks so exports of any size stay
+ * within the Worker's memory.
+ *
+ * Supports:
+ * - Formats: ?format=csv|ndjson (defaults to csv)
+ * - Compression: ?gzip=true (returns a .gz file)
+ * - Date range: ?from=...&to=... (defaults to the last 30 days)
+ * - The same filters as /events: ?type=, ?category=, ?country=, ?flagged=, ?prop.<key>=
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleEventExport(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        const format = url.searchParams.get('format') || 'csv';
+        const gzip = url.searchParams.get('gzip') === 'true';
+        const fromDate = parseDateParam(url.searchParams.get('from'), 30); // Default 30 days ago
+        const toDate = parseDateParam(url.searchParams.get('to'), 0); // Default now
+
+        if (fromDate > toDate) {
+            return errorResponse('Invalid query parameters', 400, { from: 'Must not be after to' });
+        }
+
+        const filters = getEventFilterClause(url);
+
+        let body = createExportStream(db, app_id, fromDate, toDate, filters, format);
+        let filename = `events.${format}`;
+        const headers = {
+            'Content-Type': EXPORT_FORMATS[format],
+            'Cache-Control': 'no-store'
+        };
+
+        if (gzip) {
+            body = body.pipeThrough(new CompressionStream('gzip'));
+            filename += '.gz';
+            headers['Content-Type'] = 'application/gzip';
+        }
+        headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+
+        // The body can't carry a pruning warning, so say it in a header
+        const prunedBefore = await getPrunedBefore(db, app_id);
+        if (prunedBefore !== null && fromDate < prunedBefore) {
+            headers['X-Pruned-Before'] = new Date(prunedBefore * 1000).toISOString();
+        }
+
+        return new Response(body, { status: 200, headers });
+    } catch (error) {
+        console.error('Event export error:', error);
+        return errorResponse('Failed to export events', 500, error.message);
+    }
+}
+
+/**
+ * Create a stream of the exported events
+ *
+ * Each pull reads the next chunk of events after the timestamp and ID of the last
+ * exported one, seeking straight to it in the (app_id, timestamp) index, so only one
+ * chunk is held in memory and reading stops if the client goes away.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {number} fromDate - Start timestamp (inclusive)
+ * @param {number} toDate - End timestamp (inclusive)
+ * @param {Object} filters - Event filters (from getEventFilterClause)
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {ReadableStream} - The encoded export
+ */
+function createExportStream(db, app_id, fromDate, toDate, filters, format) {
+    const encoder = new TextEncoder();
+    let last = { timestamp: fromDate, id: 0 };
+
+    return new ReadableStream({
+        start(controller) {
+            if (format === 'csv') {
+                controller.enqueue(encoder.encode(EXPORT_COLUMNS.join(',') + '\r\n'));
+            }
+        },
+
+        async pull(controller) {
+            try {
+                const { results } = await db.prepare(`
+          SELECT id, timestamp, event_type, event_category, qualifier, value, country, user_id, event_id, properties
+          FROM events
+          WHERE app_id = ?
+            AND timestamp >= ?
+            AND timestamp <= ?
+            AND (timestamp, id) > (?, ?)
+            ${filters.clause}
+          ORDER BY timestamp, id
+          LIMIT ?
+        `).bind(app_id, fromDate, toDate, last.timestamp, last.id, ...filters.params, EXPORT_CHUNK_SIZE).all();
+
+                const rows = results || [];
+                if (rows.length > 0) {
+                    const { timestamp, id } = rows[rows.length - 1];
+                    last = { timestamp, id };
+                    const lines = rows.map(row => format === 'csv' ? formatCsvRow(row) : formatNdjsonRow(row));
+                    controller.enqueue(encoder.encode(lines.join('')));
+                }
+
+                if (rows.length < EXPORT_CHUNK_SIZE) {
+                    controller.close();
+                }
+            } catch (error) {
+                // Headers have already been sent, so all we can do is cut the stream short
+                console.error('Event export stream error:', error);
+                controller.error(error);
+            }
+        }
+    });
+}
+
+/**
+ * Format an event as a CSV line
+ *
+ * @param {Object} row - The event row
+ * @returns {string} - The line, ending with CRLF
+ */
+function formatCsvRow(row) {
+    return EXPORT_COLUMNS.map(column => {
+        const value = column === 'timestamp' ? formatTimestamp(row.timestamp) : row[column];
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        // Quote fields that contain separators, quotes or line breaks
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+/**
+ * Format an event as an NDJSON line
+ *
+ * @param {Object} row - The event row
+ * @returns {string} - The line, ending with LF
+ */
+function formatNdjsonRow(row) {
+    return JSON.stringify({
+        ...row,
+        timestamp: formatTimestamp(row.timestamp),
+        properties: row.properties ? JSON.parse(row.properties) : null
+    }) + '\n';
+}
+
+/**
+ * Format a Unix timestamp as an ISO 8601 date
+ *
+ * @param {number} timestamp - Unix timestamp
+ * @returns {string} - The ISO date
+ */
+function formatTimestamp(timestamp) {
+    return new Date(timestamp * 1000).toISOString();
+}
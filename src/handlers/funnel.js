@@ -0,0 +1,126 @@
+/**
+ * Funnel API handlers
+ */
+import { errorResponse, successResponse, parseDateParam, parseDurationParam, getMetricCondition } from '../utils.js';
+import { getPruningNotice } from '../pruning.js';
+
+/**
+ * Longest conversion window, in seconds
+ */
+const MAX_WINDOW = 60 * 60 * 24 * 90;
+
+/**
+ * Handles funnel queries (GET /funnel)
+ *
+ * Counts users who fired each step in order, with every step happening within the
+ * conversion window after the user's first step. A user enters the funnel with their
+ * first occurrence of step 1 in the date range. Each step needs its own event, later
+ * than the previous step's (or tracked after it, for equal timestamps).
+ *
+ * Supports:
+ * - Ordered steps: ?steps=onboarding_view,signup.email,purchase.pro (metric syntax)
+ * - Conversion window: ?window=7d (seconds, or with an s/m/h/d/w unit)
+ * - Date range of the first step: ?from=...&to=...
+ * - Country filtering: ?country=US (applied to the first step)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleFunnelQuery(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        const steps = url.searchParams.get('steps').split(',').map(m => m.trim()).filter(Boolean);
+
+        // Optional parameters
+        const window = parseDurationParam(url.searchParams.get('window'), 60 * 60 * 24 * 7); // Default 7 days
+        const fromDate = parseDateParam(url.searchParams.get('from'), 30); // Default 30 days ago
+        const toDate = parseDateParam(url.searchParams.get('to'), 0); // Default now
+        const country = url.searchParams.get('country');
+
+        if (!window || window > MAX_WINDOW) {
+            return errorResponse('Invalid query parameters', 400, { window: `Must be a duration between 1 and ${MAX_WINDOW} seconds` });
+        }
+
+        // Step 1: each user's first occurrence in the date range. Every step keeps the
+        // timestamp and ID of the event that reached it, so the next step has to be a
+        // later event, even when the same metric appears twice in the funnel
+        const first = getMetricCondition(steps[0]);
+        let firstStep = `
+      SELECT user_id, timestamp AS entered_at, timestamp AS reached_at, id AS reached_id,
+             ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY timestamp, id) AS occurrence
+      FROM events
+      WHERE app_id = ?
+        AND user_id IS NOT NULL
+        AND ${first.clause}
+        AND timestamp >= ?
+        AND timestamp <= ?
+    `;
+        const params = [app_id, ...first.params, fromDate, toDate];
+
+        if (country) {
+            firstStep += " AND country = ?";
+            params.push(country);
+        }
+
+        // Each later step: the first occurrence after the previous step's event, within the window
+        const ctes = [`step_1 AS (SELECT user_id, entered_at, reached_at, reached_id FROM (${firstStep}) WHERE occurrence = 1)`];
+        for (let i = 1; i < steps.length; i++) {
+            const condition = getMetricCondition(steps[i], 'e');
+            ctes.push(`step_${i + 1} AS (
+      SELECT user_id, entered_at, reached_at, reached_id
+      FROM (
+        SELECT s.user_id, s.entered_at, e.timestamp AS reached_at, e.id AS reached_id,
+               ROW_NUMBER() OVER (PARTITION BY s.user_id ORDER BY e.timestamp, e.id) AS occurrence
+        FROM step_${i} s
+        JOIN events e
+          ON e.app_id = ?
+         AND e.user_id = s.user_id
+         AND ${condition.clause}
+         AND (e.timestamp > s.reached_at OR (e.timestamp = s.reached_at AND e.id > s.reached_id))
+         AND e.timestamp <= s.entered_at + ?
+      )
+      WHERE occurrence = 1
+    )`);
+            params.push(app_id, ...condition.params, window);
+        }
+
+        const counts = await db.prepare(`
+      WITH ${ctes.join(',\n')}
+      SELECT ${steps.map((_, i) => `(SELECT COUNT(*) FROM step_${i + 1}) AS step_${i + 1}`).join(', ')}
+    `).bind(...params).first();
+
+        const entered = counts?.step_1 || 0;
+        const results = steps.map((metric, i) => {
+            const users = counts?.[`step_${i + 1}`] || 0;
+            const previous = i === 0 ? users : (counts?.[`step_${i}`] || 0);
+
+            return {
+                step: i + 1,
+                metric,
+                users,
+                conversion_rate: entered ? Math.round(users / entered * 10000) / 10000 : 0,
+                step_conversion_rate: previous ? Math.round(users / previous * 10000) / 10000 : 0,
+                drop_off: previous - users
+            };
+        });
+
+        return successResponse({
+            app_id,
+            window,
+            from: new Date(fromDate * 1000).toISOString(),
+            to: new Date(toDate * 1000).toISOString(),
+            country: country || null,
+            entered,
+            converted: results[results.length - 1].users,
+            overall_conversion: results[results.length - 1].conversion_rate,
+            steps: results,
+            ...await getPruningNotice(db, app_id, fromDate)
+        });
+    } catch (error) {
+        console.error('Funnel query error:', error);
+        return errorResponse('Failed to retrieve funnel data', 500, error.message);
+    }
+}
@@ -0,0 +1,494 @@
+/**
+ * Bulk historical import API handlers
+ */
+import { errorResponse, successResponse, parseDateParam, getAppSettings } from '../utils.js';
+import { createEventStatements, createEventIdCleanupStatement, getDedupeSince } from '../utils.js';
+import { validateProperties, isValidIdentifier, MAX_IDENTIFIER_LENGTH } from '../utils.js';
+import { createSketchStatements } from '../hll.js';
+import { getCategorizer, isValidCategory, MAX_CATEGORY_LENGTH } from '../categories.js';
+
+/**
+ * Number of rows inserted per transaction, and transactions per request
+ */
+const IMPORT_CHUNK_SIZE = 100;
+const MAX_IMPORT_CHUNKS_PER_REQUEST = 50;
+
+/**
+ * Number of row errors kept per import (later errors are only counted)
+ */
+const MAX_IMPORT_ERRORS = 100;
+
+/**
+ * Seconds after which a chunk claimed by a request that never finished it may be claimed again
+ */
+const IMPORT_CLAIM_TIMEOUT = 60;
+
+/**
+ * Handles bulk imports of historical events (POST /import)
+ *
+ * The body is an NDJSON file (one event object per line) or a CSV file with a header
+ * row, in the same shape as /track events or a /export file. Rows are read from the
+ * stream and inserted in chunks, each in one transaction together with the import's
+ * progress. Stats, daily stats and sketches are updated as for live events, and the
+ * scheduled job folds the events into the rollups like any other.
+ *
+ * A request imports at most MAX_IMPORT_CHUNKS_PER_REQUEST chunks. To continue an
+ * import that stopped early or was interrupted, post the same file again with
+ * ?import_id=; rows that were already processed are skipped.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleImport(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+        const importId = url.searchParams.get('import_id');
+        const formatParam = url.searchParams.get('format');
+
+        if (!request.body) {
+            return errorResponse('Missing request body', 400);
+        }
+
+        let job;
+        if (importId) {
+            job = await getImport(db, app_id, importId);
+            if (!job) {
+                return errorResponse('Import not found', 404);
+            }
+            if (job.status === 'completed') {
+                return errorResponse('Import already completed', 409);
+            }
+            if (formatParam !== null && formatParam !== job.format) {
+                return errorResponse('Invalid query parameters', 400, { format: `Import ${job.id} is in ${job.format} format` });
+            }
+        } else {
+            const now = Math.floor(Date.now() / 1000);
+            job = await db.prepare(`
+        INSERT INTO imports (id, app_id, format, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        RETURNING *
+      `).bind(crypto.randomUUID(), app_id, formatParam || 'ndjson', now, now).first();
+        }
+
+        const settings = await getAppSettings(db, app_id);
+        const dedupeSince = getDedupeSince(settings);
+        const categorize = await getCategorizer(db, app_id, settings);
+        const errors = job.errors ? JSON.parse(job.errors) : [];
+
+        let rowNumber = 0;
+        let chunk = [];
+        let chunks = 0;
+        let complete = true;
+        let header = null;
+
+        for await (const record of readRecords(request.body, job.format)) {
+            // The first CSV record names the columns
+            if (job.format === 'csv' && header === null) {
+                header = record.map(name => name.trim());
+                if (!header.includes('event_type')) {
+                    if (!importId) {
+                        await db.prepare("DELETE FROM imports WHERE id = ?").bind(job.id).run();
+                    }
+                    return errorResponse('Invalid CSV header', 400, 'The first row must name the columns, including event_type');
+                }
+                continue;
+            }
+
+            rowNumber++;
+            if (rowNumber <= job.processed_rows) {
+                continue;
+            }
+
+            if (chunks >= MAX_IMPORT_CHUNKS_PER_REQUEST) {
+                complete = false;
+                break;
+            }
+
+            chunk.push({ row: rowNumber, ...parseImportRow(record, header, categorize) });
+            if (chunk.length === IMPORT_CHUNK_SIZE) {
+                job = await importChunk(db, job, chunk, errors, settings, dedupeSince);
+                if (!job) {
+                    return createConflictResponse();
+                }
+                chunk = [];
+                chunks++;
+            }
+        }
+
+        if (chunk.length > 0) {
+            job = await importChunk(db, job, chunk, errors, settings, dedupeSince);
+            if (!job) {
+                return createConflictResponse();
+            }
+        }
+
+        if (complete) {
+            job = await db.prepare(`
+        UPDATE imports
+        SET status = 'completed', updated_at = ?
+        WHERE id = ?
+        RETURNING *
+      `).bind(Math.floor(Date.now() / 1000), job.id).first();
+        }
+
+        return successResponse(formatImport(job));
+    } catch (error) {
+        console.error('Import error:', error);
+        return errorResponse('Failed to import events', 500, error.message);
+    }
+}
+
+/**
+ * Handles import progress queries (GET /import/:id)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} importId - The import ID
+ * @returns {Response} - The API response
+ */
+export async function handleImportStatus(request, db, app_id, importId) {
+    try {
+        const job = await getImport(db, app_id, importId);
+        if (!job) {
+            return errorResponse('Import not found', 404);
+        }
+
+        return successResponse(formatImport(job));
+    } catch (error) {
+        console.error('Import status error:', error);
+        return errorResponse('Failed to retrieve import', 500, error.message);
+    }
+}
+
+/**
+ * Get an import of an app
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} importId - The import ID
+ * @returns {Promise<Object|null>} - The import row, or null if there is none
+ */
+async function getImport(db, app_id, importId) {
+    return db.prepare(
+        "SELECT * FROM imports WHERE id = ? AND app_id = ?"
+    ).bind(importId, app_id).first();
+}
+
+/**
+ * Insert a chunk of rows and record the import's progress in one transaction
+ *
+ * The chunk is claimed first, so a concurrent request resuming the same import can't
+ * insert its rows too. The claim is released with the progress, or if the insert fails.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} job - The import row
+ * @param {Array<Object>} chunk - Rows of { row, event } or { row, error }
+ * @param {Array<Object>} errors - The import's kept row errors, added to in place
+ * @param {Object} settings - The app settings
+ * @param {number} dedupeSince - Start of the event_id deduplication window
+ * @returns {Promise<Object|null>} - The updated import row, or null if another request
+ *   has claimed the chunk or moved the import on
+ */
+async function importChunk(db, job, chunk, errors, settings, dedupeSince) {
+    const now = Math.floor(Date.now() / 1000);
+    const processedRows = chunk[chunk.length - 1].row;
+
+    const claim = await db.prepare(`
+    UPDATE imports
+    SET claimed_at = ?
+    WHERE id = ?
+      AND processed_rows = ?
+      AND (claimed_at IS NULL OR claimed_at < ?)
+  `).bind(now, job.id, job.processed_rows, now - IMPORT_CLAIM_TIMEOUT).run();
+
+    if (!claim.meta.changes) {
+        return null;
+    }
+
+    let errorRows = 0;
+    for (const { row, error } of chunk) {
+        if (error) {
+            errorRows++;
+            if (errors.length < MAX_IMPORT_ERRORS) {
+                errors.push({ row, error });
+            }
+        }
+    }
+
+    // changes() is 0 when the event insert before it was skipped as a duplicate
+    const countStmt = db.prepare(`
+    UPDATE imports
+    SET imported_rows = imported_rows + changes(),
+        duplicate_rows = duplicate_rows + 1 - changes()
+    WHERE id = ?
+  `).bind(job.id);
+
+    const statements = [];
+    let hasEventIds = false;
+
+    for (const { event } of chunk) {
+        if (!event) {
+            continue;
+        }
+
+        const [eventStmt, ...otherStmts] = createEventStatements(db, job.app_id, event, dedupeSince);
+        statements.push(eventStmt, countStmt, ...otherStmts);
+
+        if (event.user_id && settings.approx_uniques) {
+            const metric = event.qualifier ? `${event.event_type}.${event.qualifier}` : event.event_type;
+            statements.push(...createSketchStatements(db, job.app_id, metric, event.user_id, event.timestamp));
+        }
+
+        hasEventIds = hasEventIds || Boolean(event.event_id);
+    }
+
+    if (hasEventIds) {
+        statements.push(createEventIdCleanupStatement(db, job.app_id, dedupeSince));
+    }
+
+    statements.push(db.prepare(`
+    UPDATE imports
+    SET processed_rows = ?,
+        error_rows = error_rows + ?,
+        errors = ?,
+        claimed_at = NULL,
+        updated_at = ?
+    WHERE id = ?
+    RETURNING *
+  `).bind(processedRows, errorRows, errors.length > 0 ? JSON.stringify(errors) : null, now, job.id));
+
+    let batchResults;
+    try {
+        batchResults = await db.batch(statements);
+    } catch (error) {
+        await db.prepare(
+            "UPDATE imports SET claimed_at = NULL WHERE id = ? AND claimed_at = ?"
+        ).bind(job.id, now).run();
+        throw error;
+    }
+
+    return batchResults[batchResults.length - 1].results[0];
+}
+
+/**
+ * Create the response for an import that another request is processing
+ *
+ * @returns {Response} - A 409 response
+ */
+function createConflictResponse() {
+    return errorResponse('Import is already being processed', 409, 'Another request is importing rows of this import');
+}
+
+/**
+ * Parse and validate one imported row
+ *
+ * @param {string|Array<string>} record - An NDJSON line, or the fields of a CSV record
+ * @param {Array<string>|null} header - The CSV column names (null for NDJSON)
+ * @param {Function} categorize - The app's categoriser, for rows without a category
+ * @returns {Object} - { event } or { error: message }
+ */
+function parseImportRow(record, header, categorize) {
+    let data;
+    if (header) {
+        // Empty CSV fields are missing values, and properties are a JSON object
+        data = {};
+        header.forEach((column, index) => {
+            if (record[index] !== undefined && record[index] !== '') {
+                data[column] = record[index];
+            }
+        });
+
+        if (data.properties !== undefined) {
+            try {
+                data.properties = JSON.parse(data.properties);
+            } catch {
+                return { error: 'properties must be a JSON object' };
+            }
+        }
+    } else {
+        try {
+            data = JSON.parse(record);
+        } catch {
+            return { error: 'Invalid JSON' };
+        }
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return { error: 'Each line must be a JSON object' };
+        }
+    }
+
+    const {
+        event_type,
+        qualifier = null,
+        value = 1,
+        // Accept the column name used by /export as well as the /track field
+        category = data.event_category ?? null,
+        timestamp,
+        country = null,
+        event_id = null,
+        properties = null,
+        user_id = null
+    } = data;
+
+    if (typeof event_type !== 'string' || event_type === '') {
+        return { error: 'Missing event_type' };
+    }
+
+    if (timestamp === undefined || timestamp === null || timestamp === '') {
+        return { error: 'Missing timestamp' };
+    }
+
+    const parsedTimestamp = parseDateParam(String(timestamp));
+    if (Number.isNaN(parsedTimestamp)) {
+        return { error: 'Invalid timestamp, must be a Unix timestamp or an ISO 8601 date' };
+    }
+
+    if (category !== null && !isValidCategory(category)) {
+        return { error: `Invalid category, must be a string of at most ${MAX_CATEGORY_LENGTH} characters` };
+    }
+
+    const parsedValue = Number(value);
+    if (!Number.isInteger(parsedValue)) {
+        return { error: 'Invalid value, must be an integer' };
+    }
+
+    if (!isValidIdentifier(event_id) || !isValidIdentifier(user_id)) {
+        return { error: `Invalid event_id or user_id, must be a string of at most ${MAX_IDENTIFIER_LENGTH} characters` };
+    }
+
+    const propertiesResult = validateProperties(properties);
+    if (propertiesResult.error) {
+        return { error: propertiesResult.error };
+    }
+
+    return {
+        event: {
+            event_type,
+            event_category: category || categorize(event_type),
+            qualifier: qualifier === null ? null : String(qualifier),
+            value: parsedValue,
+            timestamp: parsedTimestamp,
+            country: country === null ? null : String(country),
+            event_id,
+            user_id,
+            properties: propertiesResult.properties
+        }
+    };
+}
+
+/**
+ * Read the records of an upload as they arrive
+ *
+ * Stops reading the body when the caller stops iterating.
+ *
+ * @param {ReadableStream} body - The request body
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {AsyncGenerator<string|Array<string>>} - NDJSON lines, or the fields of each CSV record
+ */
+async function* readRecords(body, format) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    const parseCsv = format === 'csv' ? createCsvParser() : null;
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value = '' } = await reader.read();
+
+            if (parseCsv) {
+                yield* parseCsv(value, done);
+            } else {
+                const lines = (buffer + value).split('\n');
+                buffer = done ? '' : lines.pop();
+                for (const line of lines) {
+                    if (line.trim() !== '') {
+                        yield line;
+                    }
+                }
+            }
+
+            if (done) {
+                return;
+            }
+        }
+    } finally {
+        await reader.cancel();
+    }
+}
+
+/**
+ * Create an incremental CSV parser (RFC 4180, quoted fields may contain line breaks)
+ *
+ * @returns {Function} - Generator function taking the next piece of text and whether it
+ *                       is the last, and yielding the fields of each completed record
+ */
+function createCsvParser() {
+    let field = '';
+    let record = [];
+    let quoted = false;
+    let afterQuote = false;
+
+    return function* (text, done) {
+        for (const char of text) {
+            if (quoted) {
+                if (char === '"') {
+                    quoted = false;
+                    afterQuote = true;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                // A quote right after a closing quote is an escaped quote
+                if (afterQuote) {
+                    field += '"';
+                }
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n') {
+                record.push(field);
+                // Skip blank lines
+                if (record.length > 1 || record[0] !== '') {
+                    yield record;
+                }
+                record = [];
+                field = '';
+            } else if (char !== '\r') {
+                field += char;
+            }
+            afterQuote = false;
+        }
+
+        if (done && (record.length > 0 || field !== '')) {
+            record.push(field);
+            yield record;
+        }
+    };
+}
+
+/**
+ * Format an import row for API responses
+ *
+ * @param {Object} row - The import row
+ * @returns {Object} - The formatted import
+ */
+function formatImport(row) {
+    return {
+        import_id: row.id,
+        app_id: row.app_id,
+        format: row.format,
+        status: row.status,
+        processed_rows: row.processed_rows,
+        imported_rows: row.imported_rows,
+        duplicate_rows: row.duplicate_rows,
+        error_rows: row.error_rows,
+        errors: row.errors ? JSON.parse(row.errors) : [],
+        created_at: new Date(row.created_at * 1000).toISOString(),
+        updated_at: new Date(row.updated_at * 1000).toISOString()
+    };
+}
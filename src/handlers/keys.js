@@ -0,0 +1,162 @@
+/**
+ * API key management handlers
+ */
+import { errorResponse, successResponse, parseIdParam } from '../utils.js';
+import { generateApiKey, hashApiKey } from '../auth.js';
+
+/**
+ * Handles API key listing (GET /keys)
+ *
+ * Keys bound to an app only see keys for that app. Keys for all apps can
+ * filter with ?app_id=.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} key - The authenticated key making the request
+ * @returns {Response} - The API response
+ */
+export async function handleListKeys(request, db, key) {
+    try {
+        const url = new URL(request.url);
+        const app_id = key.app_id || url.searchParams.get('app_id');
+
+        let query = `
+            SELECT id, name, key_prefix, app_id, scopes, rate_limit, created_at, revoked_at
+            FROM api_keys
+        `;
+        let params = [];
+
+        if (app_id) {
+            query += " WHERE app_id = ?";
+            params.push(app_id);
+        }
+
+        query += " ORDER BY id";
+
+        const { results } = await db.prepare(query).bind(...params).all();
+
+        return successResponse({
+            keys: results ? results.map(formatKey) : []
+        });
+    } catch (error) {
+        console.error('List keys error:', error);
+        return errorResponse('Failed to list API keys', 500, error.message);
+    }
+}
+
+/**
+ * Handles API key creation (POST /keys)
+ *
+ * The plain text key is only returned in this response; only its hash is stored.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} key - The authenticated key making the request
+ * @returns {Response} - The API response
+ */
+export async function handleCreateKey(request, db, key) {
+    try {
+        const data = await request.json();
+        const {
+            name = null,
+            scopes = ['ingest'],
+            // Events per minute this key may ingest, on top of the app's own limit
+            rate_limit = null,
+            // Keys bound to an app can only create keys for the same app
+            app_id = key.app_id
+        } = data;
+
+        if (key.app_id && app_id !== key.app_id) {
+            return errorResponse('Cannot create keys for another app', 403);
+        }
+
+        const apiKey = generateApiKey();
+        const key_prefix = apiKey.slice(0, 12);
+        const scopeList = [...new Set(scopes)].join(',');
+        const created_at = Math.floor(Date.now() / 1000);
+
+        const result = await db.prepare(`
+            INSERT INTO api_keys (key_hash, key_prefix, app_id, scopes, name, rate_limit, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            await hashApiKey(apiKey), key_prefix, app_id, scopeList, name, rate_limit, created_at
+        ).run();
+
+        return successResponse({
+            ...formatKey({
+                id: result.meta.last_row_id,
+                name,
+                key_prefix,
+                app_id,
+                scopes: scopeList,
+                rate_limit,
+                created_at,
+                revoked_at: null
+            }),
+            key: apiKey
+        }, 201);
+    } catch (error) {
+        console.error('Create key error:', error);
+        return errorResponse('Failed to create API key', 500, error.message);
+    }
+}
+
+/**
+ * Handles API key revocation (DELETE /keys/:id)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {Object} key - The authenticated key making the request
+ * @param {string} keyId - The ID of the key to revoke
+ * @returns {Response} - The API response
+ */
+export async function handleRevokeKey(request, db, key, keyId) {
+    try {
+        const id = parseIdParam(keyId);
+        if (id === null) {
+            return errorResponse('Invalid key ID', 400);
+        }
+
+        let query = "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL";
+        let params = [Math.floor(Date.now() / 1000), id];
+
+        if (key.app_id) {
+            query += " AND app_id = ?";
+            params.push(key.app_id);
+        }
+
+        const result = await db.prepare(query).bind(...params).run();
+
+        if (!result.meta.changes) {
+            return errorResponse('API key not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            id,
+            revoked: true
+        });
+    } catch (error) {
+        console.error('Revoke key error:', error);
+        return errorResponse('Failed to revoke API key', 500, error.message);
+    }
+}
+
+/**
+ * Format an api_keys row for output
+ *
+ * @param {Object} row - The database row
+ * @returns {Object} - The formatted key (never includes the hash)
+ */
+function formatKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        key_prefix: row.key_prefix,
+        app_id: row.app_id,
+        scopes: row.scopes.split(','),
+        rate_limit: row.rate_limit,
+        created_at: new Date(row.created_at * 1000).toISOString(),
+        revoked_at: row.revoked_at ? new Date(row.revoked_at * 1000).toISOString() : null
+    };
+}
@@ -0,0 +1,19 @@
+/**
+ * OpenAPI description handler
+ */
+import { successResponse } from '../utils.js';
+import { buildOpenApiDocument } from '../openapi.js';
+
+/**
+ * Handles OpenAPI description requests (GET /openapi.json)
+ *
+ * Needs no authentication, so clients and code generators can fetch it directly.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Array<Object>} routes - The route table
+ * @param {string} versionPrefix - The path prefix of the current API version
+ * @returns {Response} - The OpenAPI document
+ */
+export function handleOpenApi(request, routes, versionPrefix) {
+    return successResponse(buildOpenApiDocument(routes, `${new URL(request.url).origin}${versionPrefix}`));
+}
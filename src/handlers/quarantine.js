@@ -0,0 +1,262 @@
+/**
+ * Quarantined event API handlers
+ */
+import { errorResponse, successResponse, parseDateParam, parseIdParam, encodeCursor, decodeCursor } from '../utils.js';
+import { getIngestContext, createTrackingStatements, getTrackingStatuses } from '../ingest.js';
+import { formatQuarantinedEvent, parseQuarantinedPayload, createRequarantineStatement } from '../quarantine.js';
+
+/**
+ * Seconds after which an event claimed by a replay that never finished may be replayed again
+ */
+const REPLAY_CLAIM_TIMEOUT = 60;
+
+/**
+ * Handles quarantined event listing (GET /quarantine)
+ *
+ * Lists the newest events first, without their payloads.
+ *
+ * Supports:
+ * - Event type filter: ?type=
+ * - Date range: ?from=...&to=... (of when the events were received)
+ * - Cursor pagination: ?cursor= with the next_cursor of the previous page
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleListQuarantine(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        const limit = parseInt(url.searchParams.get('limit') || '50');
+        const eventType = url.searchParams.get('type');
+        const fromParam = url.searchParams.get('from');
+        const toParam = url.searchParams.get('to');
+        const fromDate = fromParam ? parseDateParam(fromParam) : null;
+        const toDate = toParam ? parseDateParam(toParam) : null;
+        const cursorParam = url.searchParams.get('cursor');
+
+        if (fromDate !== null && toDate !== null && fromDate > toDate) {
+            return errorResponse('Invalid query parameters', 400, { from: 'Must not be after to' });
+        }
+
+        // The cursor is the ID of the last event of the previous page
+        const cursor = cursorParam ? decodeCursor(cursorParam, ['number']) : null;
+        if (cursorParam && !cursor) {
+            return errorResponse('Invalid query parameters', 400, { cursor: 'Invalid cursor' });
+        }
+
+        let conditions = "WHERE app_id = ?";
+        const params = [app_id];
+
+        if (eventType) {
+            conditions += " AND event_type = ?";
+            params.push(eventType);
+        }
+
+        if (fromDate !== null) {
+            conditions += " AND received_at >= ?";
+            params.push(fromDate);
+        }
+
+        if (toDate !== null) {
+            conditions += " AND received_at <= ?";
+            params.push(toDate);
+        }
+
+        if (cursor) {
+            conditions += " AND id < ?";
+            params.push(cursor[0]);
+        }
+
+        // Fetch one extra event to tell whether there is another page
+        const { results } = await db.prepare(`
+            SELECT id, source, event_type, errors, received_at
+            FROM quarantine
+            ${conditions}
+            ORDER BY id DESC
+            LIMIT ?
+        `).bind(...params, limit + 1).all();
+
+        const rows = (results || []).slice(0, limit);
+        const nextCursor = results?.length > limit ? encodeCursor([rows[rows.length - 1].id]) : null;
+
+        return successResponse({
+            app_id,
+            count: rows.length,
+            events: rows.map(row => formatQuarantinedEvent(row)),
+            next_cursor: nextCursor
+        });
+    } catch (error) {
+        console.error('List quarantine error:', error);
+        return errorResponse('Failed to retrieve quarantined events', 500, error.message);
+    }
+}
+
+/**
+ * Handles quarantined event retrieval (GET /quarantine/:id)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The quarantine ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleGetQuarantinedEvent(request, db, app_id, id) {
+    try {
+        const quarantineId = parseIdParam(id);
+        if (quarantineId === null) {
+            return errorResponse('Invalid quarantine ID', 400);
+        }
+
+        const row = await db.prepare(
+            "SELECT * FROM quarantine WHERE app_id = ? AND id = ?"
+        ).bind(app_id, quarantineId).first();
+
+        if (!row) {
+            return errorResponse('Quarantined event not found', 404);
+        }
+
+        return successResponse({
+            app_id,
+            event: formatQuarantinedEvent(row, true)
+        });
+    } catch (error) {
+        console.error('Get quarantined event error:', error);
+        return errorResponse('Failed to retrieve quarantined event', 500, error.message);
+    }
+}
+
+/**
+ * Handles quarantined event replays (POST /quarantine/:id/replay)
+ *
+ * Tracks the event again with the app's current rules and schemas, as if it had been
+ * received when it was quarantined. An optional JSON body of { event } replays a
+ * corrected event instead of the stored payload. Events that are tracked (or turn out
+ * to be duplicates) leave the quarantine; events that are still invalid stay, with
+ * their new errors and the corrected event if there was one.
+ *
+ * The event is claimed while it is replayed, so concurrent replays can't track it twice.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The quarantine ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleReplayQuarantinedEvent(request, db, app_id, id) {
+    try {
+        const quarantineId = parseIdParam(id);
+        if (quarantineId === null) {
+            return errorResponse('Invalid quarantine ID', 400);
+        }
+
+        // The corrected event is optional, so the body may be empty
+        const text = await request.text();
+        const data = text ? JSON.parse(text) : {};
+        const now = Math.floor(Date.now() / 1000);
+
+        const row = await db.prepare(`
+      UPDATE quarantine
+      SET claimed_at = ?
+      WHERE app_id = ?
+        AND id = ?
+        AND (claimed_at IS NULL OR claimed_at < ?)
+      RETURNING *
+    `).bind(now, app_id, quarantineId, now - REPLAY_CLAIM_TIMEOUT).first();
+
+        if (!row) {
+            const exists = await db.prepare(
+                "SELECT 1 FROM quarantine WHERE app_id = ? AND id = ?"
+            ).bind(app_id, quarantineId).first();
+
+            return exists ?
+                errorResponse('Quarantined event is already being replayed', 409, 'Another request is replaying this event') :
+                errorResponse('Quarantined event not found', 404);
+        }
+
+        const release = db.prepare(
+            "UPDATE quarantine SET claimed_at = NULL WHERE id = ? AND claimed_at = ?"
+        ).bind(row.id, now);
+
+        let event;
+        if ('event' in data) {
+            event = data.event;
+        } else if (row.truncated || typeof (event = parseQuarantinedPayload(row)) === 'string') {
+            await release.run();
+            return errorResponse('Quarantined payload cannot be replayed', 409,
+                'The payload is not valid JSON or was truncated, replay it with a corrected event');
+        }
+
+        try {
+            const context = await getIngestContext(db, app_id);
+            const tracking = createTrackingStatements(db, app_id, [event], context, {
+                timestamp: row.received_at,
+                country: row.country
+            });
+            const [result] = tracking.results;
+
+            if (result.status === 'rejected') {
+                await createRequarantineStatement(db, row.id, result.errors, 'event' in data ? event : undefined).run();
+                return errorResponse('Event is still invalid', 400, result.errors);
+            }
+
+            // Track the event and release it from the quarantine in one transaction
+            const batchResults = await db.batch([
+                ...tracking.statements,
+                db.prepare("DELETE FROM quarantine WHERE id = ?").bind(row.id)
+            ]);
+            getTrackingStatuses(tracking, batchResults);
+
+            return successResponse({
+                success: true,
+                app_id,
+                id: row.id,
+                event: result
+            });
+        } catch (error) {
+            await release.run();
+            throw error;
+        }
+    } catch (error) {
+        console.error('Replay quarantined event error:', error);
+        return errorResponse('Failed to replay quarantined event', 500, error.message);
+    }
+}
+
+/**
+ * Handles quarantined event removal (DELETE /quarantine/:id)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} id - The quarantine ID from the path
+ * @returns {Response} - The API response
+ */
+export async function handleDiscardQuarantinedEvent(request, db, app_id, id) {
+    try {
+        const quarantineId = parseIdParam(id);
+        if (quarantineId === null) {
+            return errorResponse('Invalid quarantine ID', 400);
+        }
+
+        const result = await db.prepare(
+            "DELETE FROM quarantine WHERE app_id = ? AND id = ?"
+        ).bind(app_id, quarantineId).run();
+
+        if (!result.meta.changes) {
+            return errorResponse('Quarantined event not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            app_id,
+            id: quarantineId,
+            discarded: true
+        });
+    } catch (error) {
+        console.error('Discard quarantined event error:', error);
+        return errorResponse('Failed to discard quarantined event', 500, error.message);
+    }
+}
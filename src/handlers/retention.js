@@ -0,0 +1,154 @@
+/**
+ * Retention API handlers
+ */
+import { errorResponse, successResponse, parseDateParam, getTimeGroupExpression, getMetricCondition } from '../utils.js';
+import { getPruningNotice } from '../pruning.js';
+
+/**
+ * Handles retention cohort queries (GET /retention)
+ *
+ * Groups users by the period in which they first fired the start event and reports
+ * how many of them fired the return event in each later period.
+ *
+ * Supports:
+ * - Start event: ?start_event=install (default, metric syntax event_type.qualifier)
+ * - Return event: ?return_event=session.start (default: any event)
+ * - Time periods: ?period=day|week|month (default week)
+ * - Number of later periods: ?periods=8
+ * - Country filtering: ?country=US (applied to the start event)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleRetentionQuery(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        // Optional parameters
+        const startEvent = url.searchParams.get('start_event') || 'install';
+        const returnEvent = url.searchParams.get('return_event');
+        const period = url.searchParams.get('period') || 'week';
+        const periods = parseInt(url.searchParams.get('periods') || '8');
+        const fromDate = parseDateParam(url.searchParams.get('from'), 90); // Default 90 days ago
+        const toDate = parseDateParam(url.searchParams.get('to'), 0); // Default now
+        const country = url.searchParams.get('country');
+
+        // Hourly retention is not meaningful, so the period is day, week or month
+        const timeGroup = getTimeGroupExpression(period, 'first_seen');
+
+        // Each user's first start event, for users whose first start event is in range
+        const start = getMetricCondition(startEvent);
+        let cohortQuery = `
+      SELECT user_id, MIN(timestamp) AS first_seen
+      FROM events
+      WHERE app_id = ?
+        AND user_id IS NOT NULL
+        AND ${start.clause}
+    `;
+        let cohortParams = [app_id, ...start.params];
+
+        if (country) {
+            cohortQuery += " AND country = ?";
+            cohortParams.push(country);
+        }
+
+        cohortQuery += " GROUP BY user_id HAVING first_seen >= ? AND first_seen <= ?";
+        cohortParams.push(fromDate, toDate);
+
+        // Cohort sizes, and how many periods each cohort has had time to return in
+        const now = Math.floor(Date.now() / 1000);
+        const { results: cohorts } = await db.prepare(`
+      WITH cohort AS (${cohortQuery})
+      SELECT ${timeGroup} AS cohort,
+             COUNT(*) AS size,
+             ${getPeriodOffsetExpression(period, 'MIN(first_seen)', String(now))} AS max_offset
+      FROM cohort
+      GROUP BY cohort
+      ORDER BY cohort
+    `).bind(...cohortParams).all();
+
+        // Distinct returning users per cohort and period offset
+        let returnCondition = '';
+        let returnParams = [];
+        if (returnEvent) {
+            const condition = getMetricCondition(returnEvent, 'e');
+            returnCondition = ` AND ${condition.clause}`;
+            returnParams = condition.params;
+        }
+
+        const { results: activity } = await db.prepare(`
+      WITH cohort AS (${cohortQuery})
+      SELECT ${getTimeGroupExpression(period, 'c.first_seen')} AS cohort,
+             ${getPeriodOffsetExpression(period, 'c.first_seen', 'e.timestamp')} AS period_offset,
+             COUNT(DISTINCT c.user_id) AS users
+      FROM cohort c
+      JOIN events e
+        ON e.app_id = ?
+       AND e.user_id = c.user_id
+       AND e.timestamp > c.first_seen${returnCondition}
+      GROUP BY cohort, period_offset
+      HAVING period_offset BETWEEN 1 AND ?
+    `).bind(...cohortParams, app_id, ...returnParams, periods).all();
+
+        const returning = new Map();
+        for (const row of activity || []) {
+            returning.set(`${row.cohort}|${row.period_offset}`, row.users);
+        }
+
+        // Build the cohort matrix; periods that haven't happened yet are null
+        const matrix = (cohorts || []).map(row => {
+            const retained = [row.size];
+            for (let offset = 1; offset <= periods; offset++) {
+                retained.push(offset > row.max_offset ? null : (returning.get(`${row.cohort}|${offset}`) || 0));
+            }
+
+            return {
+                cohort: row.cohort,
+                size: row.size,
+                retained,
+                retention: retained.map(users => users === null ? null : Math.round(users / row.size * 10000) / 10000)
+            };
+        });
+
+        return successResponse({
+            app_id,
+            start_event: startEvent,
+            return_event: returnEvent || null,
+            period,
+            periods,
+            from: new Date(fromDate * 1000).toISOString(),
+            to: new Date(toDate * 1000).toISOString(),
+            country: country || null,
+            cohorts: matrix,
+            ...await getPruningNotice(db, app_id, fromDate)
+        });
+    } catch (error) {
+        console.error('Retention query error:', error);
+        return errorResponse('Failed to retrieve retention data', 500, error.message);
+    }
+}
+
+/**
+ * Get an SQL expression for the number of whole periods between two timestamps,
+ * counted on period boundaries (so the first of the month and the 31st are 0 months apart)
+ *
+ * @param {string} period - The time period ('day', 'week' or 'month')
+ * @param {string} fromColumn - SQL expression for the earlier Unix timestamp
+ * @param {string} toColumn - SQL expression for the later Unix timestamp
+ * @returns {string} - The SQL expression
+ */
+function getPeriodOffsetExpression(period, fromColumn, toColumn) {
+    switch (period) {
+        case 'day':
+            return `CAST(julianday(date(${toColumn}, 'unixepoch')) - julianday(date(${fromColumn}, 'unixepoch')) AS INTEGER)`;
+        case 'week':
+            // Weeks start on Monday, matching the ISO weeks of getTimeGroupExpression
+            return `CAST((julianday(date(${toColumn}, 'unixepoch', 'weekday 0', '-6 days')) - ` +
+                `julianday(date(${fromColumn}, 'unixepoch', 'weekday 0', '-6 days'))) / 7 AS INTEGER)`;
+        case 'month':
+            return `((CAST(strftime('%Y', ${toColumn}, 'unixepoch') AS INTEGER) * 12 + CAST(strftime('%m', ${toColumn}, 'unixepoch') AS INTEGER)) - ` +
+                `(CAST(strftime('%Y', ${fromColumn}, 'unixepoch') AS INTEGER) * 12 + CAST(strftime('%m', ${fromColumn}, 'unixepoch') AS INTEGER)))`;
+    }
+}
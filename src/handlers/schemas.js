@@ -0,0 +1,108 @@
+/**
+ * Event schema registry API handlers
+ */
+import { errorResponse, successResponse, getAppSettings, isValidIdentifier, MAX_IDENTIFIER_LENGTH } from '../utils.js';
+import { getEventSchemas, parseEventSchema, formatEventSchema } from '../schemas.js';
+
+/**
+ * Handles schema registry retrieval (GET /schemas)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleGetSchemas(request, db, app_id) {
+    try {
+        const settings = await getAppSettings(db, app_id);
+        const schemas = await getEventSchemas(db, app_id);
+
+        return successResponse({
+            app_id,
+            mode: settings.schema_mode,
+            schemas: [...schemas.values()]
+        });
+    } catch (error) {
+        console.error('Get schemas error:', error);
+        return errorResponse('Failed to retrieve event schemas', 500, error.message);
+    }
+}
+
+/**
+ * Handles schema registration (PUT /schemas/:event_type)
+ *
+ * Creates or replaces the schema of one event type. Fields missing from the body
+ * are unrestricted.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} event_type - The event type from the path
+ * @returns {Response} - The API response
+ */
+export async function handleUpdateSchema(request, db, app_id, event_type) {
+    try {
+        const data = await request.json();
+
+        if (!isValidIdentifier(event_type)) {
+            return errorResponse('Invalid event_type', 400, `Must be a string of at most ${MAX_IDENTIFIER_LENGTH} characters`);
+        }
+
+        const { schema, error } = parseEventSchema(data);
+        if (error) {
+            return errorResponse('Invalid schema', 400, error);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const row = await db.prepare(`
+            INSERT INTO event_schemas (app_id, event_type, qualifiers, min_value, max_value, category, max_skew, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (app_id, event_type) DO UPDATE
+            SET qualifiers = excluded.qualifiers, min_value = excluded.min_value, max_value = excluded.max_value,
+                category = excluded.category, max_skew = excluded.max_skew, updated_at = excluded.updated_at
+            RETURNING *
+        `).bind(
+            app_id, event_type, schema.qualifiers !== null ? JSON.stringify(schema.qualifiers) : null,
+            schema.min_value, schema.max_value, schema.category, schema.max_skew, now
+        ).first();
+
+        return successResponse({
+            app_id,
+            schema: formatEventSchema(row)
+        });
+    } catch (error) {
+        console.error('Update schema error:', error);
+        return errorResponse('Failed to update event schema', 500, error.message);
+    }
+}
+
+/**
+ * Handles schema removal (DELETE /schemas/:event_type)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} event_type - The event type from the path
+ * @returns {Response} - The API response
+ */
+export async function handleDeleteSchema(request, db, app_id, event_type) {
+    try {
+        const result = await db.prepare(
+            "DELETE FROM event_schemas WHERE app_id = ? AND event_type = ?"
+        ).bind(app_id, event_type).run();
+
+        if (!result.meta.changes) {
+            return errorResponse('Schema not found', 404);
+        }
+
+        return successResponse({
+            success: true,
+            app_id,
+            event_type,
+            deleted: true
+        });
+    } catch (error) {
+        console.error('Delete schema error:', error);
+        return errorResponse('Failed to delete event schema', 500, error.message);
+    }
+}
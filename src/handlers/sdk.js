@@ -0,0 +1,31 @@
+/**
+ * JavaScript SDK handler
+ */
+import sdkSource from '../../sdk/applytics.js';
+
+/**
+ * How long browsers and CDNs may cache the SDK, in seconds
+ */
+const SDK_MAX_AGE = 3600;
+
+/**
+ * Handles SDK requests (GET /sdk.js)
+ *
+ * Serves the tracking SDK (sdk/applytics.js), bundled as text, to load with a script tag
+ * or to save into a Node or React Native project. Needs no authentication, and may be
+ * loaded from any origin.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Response} - The SDK source
+ */
+export function handleSdk(request) {
+    return new Response(sdkSource, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/javascript; charset=utf-8',
+            'Cache-Control': `public, max-age=${SDK_MAX_AGE}`,
+            'Access-Control-Allow-Origin': '*',
+            'X-Content-Type-Options': 'nosniff'
+        }
+    });
+}
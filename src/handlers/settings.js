@@ -0,0 +1,75 @@
+/**
+ * App settings API handlers
+ */
+import { errorResponse, successResponse, getAppSettings, DEFAULT_APP_SETTINGS } from '../utils.js';
+
+/**
+ * Handles settings retrieval (GET /settings)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleGetSettings(request, db, app_id) {
+    try {
+        const settings = await getAppSettings(db, app_id);
+
+        return successResponse({
+            app_id,
+            settings
+        });
+    } catch (error) {
+        console.error('Get settings error:', error);
+        return errorResponse('Failed to retrieve settings', 500, error.message);
+    }
+}
+
+/**
+ * Handles settings updates (PUT /settings)
+ *
+ * Only the settings present in the body are changed.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleUpdateSettings(request, db, app_id) {
+    try {
+        const data = await request.json();
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return errorResponse('Invalid request body', 400, { body: 'Must be an object' });
+        }
+
+        // The values have been validated against SETTINGS_BODY, and only the names of
+        // known settings are interpolated below
+        const fields = Object.keys(data).filter(field => Object.hasOwn(DEFAULT_APP_SETTINGS, field));
+        if (fields.length === 0) {
+            return errorResponse('Invalid request body', 400, { body: 'Must include at least one setting' });
+        }
+        const values = fields.map(field => {
+            const value = data[field];
+            if (Array.isArray(DEFAULT_APP_SETTINGS[field])) {
+                return JSON.stringify(value);
+            }
+            return typeof DEFAULT_APP_SETTINGS[field] === 'boolean' ? (value ? 1 : 0) : value;
+        });
+        const now = Math.floor(Date.now() / 1000);
+
+        await db.prepare(`
+            INSERT INTO app_settings (app_id, ${fields.join(', ')}, updated_at)
+            VALUES (?, ${fields.map(() => '?').join(', ')}, ?)
+            ON CONFLICT (app_id) DO UPDATE
+            SET ${fields.map(field => `${field} = excluded.${field}`).join(', ')}, updated_at = excluded.updated_at
+        `).bind(app_id, ...values, now).run();
+
+        return successResponse({
+            app_id,
+            settings: await getAppSettings(db, app_id)
+        });
+    } catch (error) {
+        console.error('Update settings error:', error);
+        return errorResponse('Failed to update settings', 500, error.message);
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Request signing secret handlers
+ */
+import { errorResponse, successResponse, getAppSettings } from '../utils.js';
+import { generateSigningSecret } from '../auth.js';
+
+/**
+ * Default grace period (in seconds) during which a rotated-out secret is still accepted
+ */
+const DEFAULT_GRACE_PERIOD = 60 * 60 * 24;
+
+/**
+ * Handles signing status requests (GET /signing)
+ *
+ * Lists the app's signing secrets without their values.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleSigningStatus(request, db, app_id) {
+    try {
+        const settings = await getAppSettings(db, app_id);
+        const now = Math.floor(Date.now() / 1000);
+
+        const { results } = await db.prepare(`
+            SELECT id, created_at, expires_at
+            FROM signing_secrets
+            WHERE app_id = ?
+              AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY id DESC
+        `).bind(app_id, now).all();
+
+        return successResponse({
+            app_id,
+            signing_required: settings.signing_required,
+            secrets: results ? results.map(row => ({
+                id: row.id,
+                created_at: new Date(row.created_at * 1000).toISOString(),
+                expires_at: row.expires_at ? new Date(row.expires_at * 1000).toISOString() : null
+            })) : []
+        });
+    } catch (error) {
+        console.error('Signing status error:', error);
+        return errorResponse('Failed to retrieve signing status', 500, error.message);
+    }
+}
+
+/**
+ * Handles signing secret rotation (POST /signing/rotate)
+ *
+ * Creates a new secret and expires the current ones after the grace period, so clients
+ * can be updated without rejected requests. The new secret is only returned once.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleRotateSigningSecret(request, db, app_id) {
+    try {
+        // The body is optional
+        const data = await request.json().catch(() => ({}));
+        const grace_period = data.grace_period ?? DEFAULT_GRACE_PERIOD;
+
+        const secret = generateSigningSecret();
+        const now = Math.floor(Date.now() / 1000);
+        const expires_at = now + grace_period;
+
+        const [, insertResult] = await db.batch([
+            // Expire current secrets after the grace period (never extend an earlier expiry)
+            db.prepare(`
+                UPDATE signing_secrets
+                SET expires_at = ?
+                WHERE app_id = ?
+                  AND (expires_at IS NULL OR expires_at > ?)
+            `).bind(expires_at, app_id, expires_at),
+            db.prepare(
+                "INSERT INTO signing_secrets (app_id, secret, created_at) VALUES (?, ?, ?)"
+            ).bind(app_id, secret, now)
+        ]);
+
+        return successResponse({
+            app_id,
+            id: insertResult.meta.last_row_id,
+            secret,
+            created_at: new Date(now * 1000).toISOString(),
+            previous_expires_at: new Date(expires_at * 1000).toISOString()
+        }, 201);
+    } catch (error) {
+        console.error('Rotate signing secret error:', error);
+        return errorResponse('Failed to rotate signing secret', 500, error.message);
+    }
+}
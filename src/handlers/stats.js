@@ -1,7 +1,26 @@
 /**
  * Stats API handlers
  */
-import { errorResponse, successResponse, getPaginationParams } from '../utils.js';
+import { errorResponse, successResponse, getPaginationParams, encodeCursor, decodeCursor } from '../utils.js';
+import { EVENT_METRIC_EXPRESSION, getMetricEventCondition } from '../utils.js';
+import { getPruningNotice } from '../pruning.js';
+
+/**
+ * Stats windows and the number of UTC days each covers, counting today (null for all time)
+ */
+const STATS_WINDOWS = {
+    today: 1,
+    '7d': 7,
+    '30d': 30,
+    all: null
+};
+
+/**
+ * Number of metrics rebuilt per transaction, and transactions per request
+ * (the stats comparison binds each metric once, which keeps it under D1's limit of 100 parameters)
+ */
+const REBUILD_CHUNK_SIZE = 40;
+const MAX_REBUILD_CHUNKS_PER_REQUEST = 10;
 
 /**
  * Handles stats queries (GET /stats)
@@ -10,6 +29,12 @@ import { errorResponse, successResponse, getPaginationParams } from '../utils.js
  * - ?view=top: Top metrics by value
  * - ?view=category: Group by category
  *
+ * Every view can be narrowed to a country (?country=US) and a window of
+ * days (?window=today|7d|30d|all, defaults to all).
+ *
+ * The default view can be paged by page number (?paginate=true&page=2) or by
+ * cursor (?paginate=cursor, then ?cursor= with the next_cursor of the previous page).
+ *
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
@@ -24,18 +49,21 @@ export async function handleStatsQuery(request, db, app_id) {
         const prefix = url.searchParams.get('prefix');
         const category = url.searchParams.get('category');
         const country = url.searchParams.get('country');
+        const window = url.searchParams.get('window') || 'all';
         const format = url.searchParams.get('format') || 'simple';
 
+        const source = getStatsSource(app_id, window, country);
+
         // Handle different view types
         if (view === 'category') {
-            return handleCategoryGrouping(db, app_id);
+            return handleCategoryGrouping(db, app_id, source, window, country);
         } else if (view === 'top') {
-            return handleTopMetrics(request, db, app_id);
+            return handleTopMetrics(request, db, app_id, source, window, country);
         }
 
         // Standard metrics query with filters
-        let query = "SELECT metric, value, category, last_updated FROM stats WHERE app_id = ?";
-        let params = [app_id];
+        let query = `SELECT metric, value, category, last_updated FROM ${source.table} WHERE app_id = ?`;
+        let params = [...source.params, app_id];
 
         if (prefix) {
             query += " AND metric LIKE ?";
@@ -48,10 +76,28 @@ export async function handleStatsQuery(request, db, app_id) {
         }
 
         // Check if pagination is requested
-        const usePagination = url.searchParams.get('paginate') === 'true';
+        const cursorParam = url.searchParams.get('cursor');
+        const useCursor = url.searchParams.get('paginate') === 'cursor' || cursorParam !== null;
+        const usePagination = url.searchParams.get('paginate') === 'true' && !useCursor;
         let totalCount = 0;
 
-        if (usePagination) {
+        if (useCursor) {
+            const { pageSize } = getPaginationParams(url);
+
+            // The cursor is the last metric of the previous page
+            if (cursorParam) {
+                const cursor = decodeCursor(cursorParam, ['string']);
+                if (!cursor) {
+                    return errorResponse('Invalid query parameters', 400, { cursor: 'Invalid cursor' });
+                }
+                query += " AND metric > ?";
+                params.push(cursor[0]);
+            }
+
+            // Fetch one extra row to tell whether there is another page
+            query += " ORDER BY metric LIMIT ?";
+            params.push(pageSize + 1);
+        } else if (usePagination) {
             const { page, pageSize, offset } = getPaginationParams(url);
 
             // Get total count first
@@ -68,7 +114,16 @@ export async function handleStatsQuery(request, db, app_id) {
         }
 
         // Execute query
-        const { results } = await db.prepare(query).bind(...params).all();
+        let { results } = await db.prepare(query).bind(...params).all();
+
+        let nextCursor = null;
+        if (useCursor) {
+            const { pageSize } = getPaginationParams(url);
+            if (results?.length > pageSize) {
+                results = results.slice(0, pageSize);
+                nextCursor = encodeCursor([results[pageSize - 1].metric]);
+            }
+        }
 
         // Return results based on format
         if (format === 'detailed') {
@@ -84,13 +139,20 @@ export async function handleStatsQuery(request, db, app_id) {
                 filters: {
                     prefix: prefix || null,
                     category: category || null,
-                    country: country || null
+                    country: country || null,
+                    window
                 },
                 data: formattedResults
             };
 
             // Add pagination info if requested
-            if (usePagination) {
+            if (useCursor) {
+                const { pageSize } = getPaginationParams(url);
+                response.pagination = {
+                    pageSize,
+                    next_cursor: nextCursor
+                };
+            } else if (usePagination) {
                 const { page, pageSize } = getPaginationParams(url);
                 response.pagination = {
                     page,
@@ -118,16 +180,59 @@ export async function handleStatsQuery(request, db, app_id) {
     }
 }
 
+/**
+ * Get the table to read stats from for a window and country
+ *
+ * Lifetime totals for all countries come straight from the stats table. Anything
+ * narrower sums the daily stats, as a subquery with the same columns as stats.
+ *
+ * @param {string} app_id - The application ID
+ * @param {string} window - The stats window (a key of STATS_WINDOWS)
+ * @param {string|null} country - Optional country filter
+ * @returns {Object} - { table, params } where table is an SQL table or subquery and params are its bindings
+ */
+function getStatsSource(app_id, window, country) {
+    const days = STATS_WINDOWS[window];
+    if (!days && !country) {
+        return { table: 'stats', params: [] };
+    }
+
+    let subquery = `
+    SELECT app_id, metric, MAX(category) AS category, SUM(value) AS value, MAX(last_updated) AS last_updated
+    FROM stats_daily
+    WHERE app_id = ?
+  `;
+    const params = [app_id];
+
+    if (days) {
+        const now = Math.floor(Date.now() / 1000);
+        subquery += " AND day >= ?";
+        params.push(now - (now % 86400) - (days - 1) * 86400);
+    }
+
+    if (country) {
+        subquery += " AND country = ?";
+        params.push(country);
+    }
+
+    subquery += " GROUP BY app_id, metric";
+
+    return { table: `(${subquery}) AS stats`, params };
+}
+
 /**
  * Handles grouping stats by category
  *
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
+ * @param {Object} source - The stats table for the window and country (from getStatsSource)
+ * @param {string} window - The stats window
+ * @param {string|null} country - Optional country filter
  * @returns {Response} - The API response
  */
-async function handleCategoryGrouping(db, app_id) {
-    const query = "SELECT category, SUM(value) as total FROM stats WHERE app_id = ? GROUP BY category";
-    const { results } = await db.prepare(query).bind(app_id).all();
+async function handleCategoryGrouping(db, app_id, source, window, country) {
+    const query = `SELECT category, SUM(value) as total FROM ${source.table} WHERE app_id = ? GROUP BY category`;
+    const { results } = await db.prepare(query).bind(...source.params, app_id).all();
 
     // Format results as category groups
     const stats = {};
@@ -140,6 +245,8 @@ async function handleCategoryGrouping(db, app_id) {
     return successResponse({
         app_id,
         groupBy: 'category',
+        country: country || null,
+        window,
         data: stats
     });
 }
@@ -150,24 +257,27 @@ async function handleCategoryGrouping(db, app_id) {
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
+ * @param {Object} source - The stats table for the window and country (from getStatsSource)
+ * @param {string} window - The stats window
+ * @param {string|null} country - Optional country filter
  * @returns {Response} - The API response
  */
-async function handleTopMetrics(request, db, app_id) {
+async function handleTopMetrics(request, db, app_id, source, window, country) {
     const url = new URL(request.url);
 
     // Query parameters
     const category = url.searchParams.get('category');
-    const limit = Math.min(100, parseInt(url.searchParams.get('limit') || '10'));
+    const limit = parseInt(url.searchParams.get('limit') || '10');
     const sort = url.searchParams.get('sort')?.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
 
     // Build query
     let query = `
     SELECT metric, value, category, datetime(last_updated, 'unixepoch') as last_updated
-    FROM stats 
+    FROM ${source.table}
     WHERE app_id = ?
   `;
 
-    let params = [app_id];
+    let params = [...source.params, app_id];
 
     if (category) {
         query += " AND category = ?";
@@ -183,7 +293,196 @@ async function handleTopMetrics(request, db, app_id) {
     return successResponse({
         app_id,
         category: category || 'all',
+        country: country || null,
+        window,
         sort: sort.toLowerCase(),
         metrics: results || []
     });
-}
\ No newline at end of file
+}
+/**
+ * Handles stats rebuilds from raw events (POST /stats/rebuild)
+ *
+ * Recomputes the stats and daily stats of every metric (or every metric starting with
+ * prefix) from the events table, one chunk of metrics per transaction. With dry_run,
+ * only reports the metrics whose stats would change. A request handles at most
+ * MAX_REBUILD_CHUNKS_PER_REQUEST chunks; pass its next_cursor to continue.
+ *
+ * Raw events past the app's retention period are gone, so rebuilding after pruning
+ * lowers the stats to what is left. The response warns about this.
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleStatsRebuild(request, db, app_id) {
+    try {
+        // All options are optional, so the body may be empty
+        const text = await request.text();
+        const data = text ? JSON.parse(text) : {};
+
+        const { prefix = null, dry_run = false, cursor: cursorParam = null } = data;
+
+        // The cursor is the last metric handled by the previous request
+        const cursor = cursorParam !== null ? decodeCursor(cursorParam, ['string']) : [''];
+        if (!cursor) {
+            return errorResponse('Invalid request body', 400, { cursor: 'Invalid cursor' });
+        }
+
+        let lastMetric = cursor[0];
+        let metricCount = 0;
+        let complete = false;
+        const changes = [];
+
+        for (let chunks = 0; chunks < MAX_REBUILD_CHUNKS_PER_REQUEST; chunks++) {
+            const metrics = await getRebuildMetrics(db, app_id, prefix, lastMetric);
+
+            changes.push(...await compareStats(db, app_id, metrics));
+            if (!dry_run && metrics.length > 0) {
+                await db.batch(metrics.flatMap(metric => createRebuildStatements(db, app_id, metric)));
+            }
+
+            metricCount += metrics.length;
+            if (metrics.length < REBUILD_CHUNK_SIZE) {
+                complete = true;
+                break;
+            }
+            lastMetric = metrics[metrics.length - 1];
+        }
+
+        // Any pruning at all means the rebuilt stats are missing events
+        const pruning = await getPruningNotice(db, app_id, 0);
+
+        return successResponse({
+            app_id,
+            prefix,
+            dry_run,
+            metrics: metricCount,
+            changed: changes.length,
+            changes,
+            next_cursor: complete ? null : encodeCursor([lastMetric]),
+            ...pruning
+        });
+    } catch (error) {
+        console.error('Stats rebuild error:', error);
+        return errorResponse('Failed to rebuild stats', 500, error.message);
+    }
+}
+
+/**
+ * Get the next chunk of metrics to rebuild, from both stats and events
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string|null} prefix - Optional metric prefix
+ * @param {string} after - Only return metrics sorting after this one
+ * @returns {Promise<Array<string>>} - Up to REBUILD_CHUNK_SIZE metrics in order
+ */
+async function getRebuildMetrics(db, app_id, prefix, after) {
+    let query = `
+    SELECT metric FROM (
+      SELECT metric FROM stats WHERE app_id = ?
+      UNION
+      SELECT ${EVENT_METRIC_EXPRESSION} FROM (SELECT DISTINCT event_type, qualifier FROM events WHERE app_id = ?)
+    )
+    WHERE metric > ?
+  `;
+    const params = [app_id, app_id, after];
+
+    if (prefix) {
+        query += " AND metric LIKE ?";
+        params.push(`${prefix}%`);
+    }
+
+    query += " ORDER BY metric LIMIT ?";
+    params.push(REBUILD_CHUNK_SIZE);
+
+    const { results } = await db.prepare(query).bind(...params).all();
+    return (results || []).map(row => row.metric);
+}
+
+/**
+ * Compare the stored stats of metrics with their totals from raw events
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {Array<string>} metrics - The metrics to compare
+ * @returns {Promise<Array<Object>>} - { metric, current, expected, difference } for each metric that differs
+ */
+async function compareStats(db, app_id, metrics) {
+    if (metrics.length === 0) {
+        return [];
+    }
+
+    // The event types of a whole chunk of metrics could pass D1's limit on bound
+    // parameters, so this matches the metric keys alone (still read from the app's
+    // events index, without loading the events that don't match)
+    const [{ results: stored }, { results: computed }] = await db.batch([
+        db.prepare(`
+      SELECT metric, value FROM stats
+      WHERE app_id = ? AND metric IN (${metrics.map(() => '?').join(', ')})
+    `).bind(app_id, ...metrics),
+        db.prepare(`
+      SELECT ${EVENT_METRIC_EXPRESSION} AS metric, SUM(value) AS value
+      FROM events
+      WHERE app_id = ?
+        AND ${EVENT_METRIC_EXPRESSION} IN (${metrics.map(() => '?').join(', ')})
+      GROUP BY 1
+    `).bind(app_id, ...metrics)
+    ]);
+
+    const current = new Map((stored || []).map(row => [row.metric, row.value]));
+    const expected = new Map((computed || []).map(row => [row.metric, row.value]));
+
+    const changes = [];
+    for (const metric of metrics) {
+        const before = current.get(metric) ?? null;
+        const after = expected.get(metric) ?? null;
+        if (before !== after) {
+            changes.push({ metric, current: before, expected: after, difference: (after || 0) - (before || 0) });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Create statements that recompute a metric's stats and daily stats from raw events
+ *
+ * The stats row keeps its category, and is deleted if the metric has no events left.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {string} metric - The metric
+ * @returns {Array} - Array of database statements
+ */
+function createRebuildStatements(db, app_id, metric) {
+    const condition = getMetricEventCondition(metric);
+    const events = `FROM events WHERE app_id = ? AND ${condition.clause}`;
+    const eventParams = [app_id, ...condition.params];
+
+    return [
+        db.prepare(`
+      INSERT INTO stats (app_id, metric, category, value, last_updated)
+      SELECT ?, ?, (SELECT event_category ${events} ORDER BY id LIMIT 1), SUM(value), MAX(timestamp)
+      ${events}
+      HAVING COUNT(*) > 0
+      ON CONFLICT (app_id, metric) DO
+      UPDATE
+        SET value = excluded.value, last_updated = excluded.last_updated
+    `).bind(app_id, metric, ...eventParams, ...eventParams),
+        db.prepare(`
+      DELETE FROM stats
+      WHERE app_id = ? AND metric = ? AND NOT EXISTS (SELECT 1 ${events})
+    `).bind(app_id, metric, ...eventParams),
+        db.prepare(
+            "DELETE FROM stats_daily WHERE app_id = ? AND metric = ?"
+        ).bind(app_id, metric),
+        db.prepare(`
+      INSERT INTO stats_daily (app_id, metric, country, day, category, value, last_updated)
+      SELECT ?, ?, COALESCE(country, ''), timestamp - (timestamp % 86400),
+             (SELECT category FROM stats WHERE app_id = ? AND metric = ?), SUM(value), MAX(timestamp)
+      ${events}
+      GROUP BY 3, 4
+    `).bind(app_id, metric, app_id, metric, ...eventParams)
+    ];
+}
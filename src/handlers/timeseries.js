@@ -1,7 +1,11 @@
 /**
  * Timeseries API handlers
  */
-import { errorResponse, successResponse, parseDateParam, getTimeGroupExpression } from '../utils.js';
+import { errorResponse, successResponse, parseDateParam, getTimeGroupExpression, parseMetric } from '../utils.js';
+import { getPropertyFilters, buildPropertyFilterClause, getPropertyExpression } from '../utils.js';
+import { buildRollupTimeseriesQuery } from '../rollups.js';
+import { getPruningNotice } from '../pruning.js';
+import { parseTimezone, getTimeBuckets, getOffsetSegments, getOffsetExpression } from '../timezone.js';
 
 /**
  * Handles timeseries queries (GET /timeseries)
@@ -11,7 +15,13 @@ import { errorResponse, successResponse, parseDateParam, getTimeGroupExpression
  * - Single metric: ?metric=event_type
  * - Multiple metrics: ?metrics=event_type1,event_type2
  * - Country filtering: ?country=US
+ * - Property filtering: ?prop.plan=pro
+ * - Grouping a single metric by a property: ?group_by=plan
  * - Time periods: ?period=day|week|month|hour
+ * - Time zones: ?tz=Europe/Berlin or ?tz=+05:30 (for bucketing and for from/to without an offset)
+ *
+ * Every period between from and to is returned, with zeros for periods without events.
+ * The range is widened to whole periods, and each data point has its start and end.
  *
  * @param {Request} request - The incoming request
  * @param {D1Database} db - The D1 database instance
@@ -28,38 +38,49 @@ export async function handleTimeseriesQuery(request, db, app_id) {
 
         // If neither is provided, return error
         if (!metric && !metricsParam) {
-            return errorResponse('Missing metric or metrics parameter', 400);
+            return errorResponse('Invalid query parameters', 400, { metric: 'Required unless metrics is given' });
         }
 
+        const timezone = parseTimezone(url.searchParams.get('tz'));
+
         // Optional parameters
         const period = url.searchParams.get('period') || 'day';
         const limit = parseInt(url.searchParams.get('limit') || '30');
-        const fromDate = parseDateParam(url.searchParams.get('from'), 30); // Default 30 days ago
-        const toDate = parseDateParam(url.searchParams.get('to'), 0); // Default now
+        const fromDate = parseDateParam(url.searchParams.get('from'), 30, timezone); // Default 30 days ago
+        const toDate = parseDateParam(url.searchParams.get('to'), 0, timezone); // Default now
         const country = url.searchParams.get('country');
+        const groupBy = url.searchParams.get('group_by');
 
-        // Get time grouping expression
-        const timeGroup = getTimeGroupExpression(period);
-        if (!timeGroup) {
-            return errorResponse('Invalid period parameter', 400);
+        if (fromDate > toDate) {
+            return errorResponse('Invalid query parameters', 400, { from: 'Must not be after to' });
         }
 
+        const propertyFilters = getPropertyFilters(url);
+
+        // Buckets in local time covering the range, keeping only the latest if there are too many
+        const buckets = getTimeBuckets(period, fromDate, toDate, timezone, limit);
+        const range = {
+            period,
+            timezone,
+            buckets,
+            fromDate: buckets[0].start,
+            toDate: buckets[buckets.length - 1].end - 1
+        };
+        range.segments = getOffsetSegments(timezone, range.fromDate, range.toDate);
+
         // Handle single metric case
         if (metric) {
-            return handleSingleMetricTimeseries(
-                db, app_id, metric, timeGroup, period, fromDate, toDate, country, limit
-            );
+            return handleSingleMetricTimeseries(db, app_id, metric, range, country, propertyFilters.filters, groupBy);
+        }
+
+        if (groupBy) {
+            return errorResponse('Invalid query parameters', 400, { group_by: 'Only supported for a single metric' });
         }
 
         // Handle multiple metrics case
         const metrics = metricsParam.split(',').map(m => m.trim()).filter(Boolean);
-        if (metrics.length < 1 || metrics.length > 5) {
-            return errorResponse('Please provide between 1 and 5 metrics to compare', 400);
-        }
 
-        return handleMultipleMetricsTimeseries(
-            db, app_id, metrics, timeGroup, period, fromDate, toDate, country, limit
-        );
+        return handleMultipleMetricsTimeseries(db, app_id, metrics, range, country, propertyFilters.filters);
     } catch (error) {
         console.error('Timeseries query error:', error);
         return errorResponse('Failed to retrieve timeseries data', 500, error.message);
@@ -72,65 +93,88 @@ export async function handleTimeseriesQuery(request, db, app_id) {
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
  * @param {string} metric - The metric to analyze
- * @param {string} timeGroup - The SQL time grouping expression
- * @param {string} period - The time period
- * @param {number} fromDate - Start timestamp
- * @param {number} toDate - End timestamp
+ * @param {Object} range - The period, timezone, buckets, offset segments and fromDate/toDate covered by the buckets
  * @param {string|null} country - Optional country filter
- * @param {number} limit - Maximum number of data points
+ * @param {Array<Object>} propertyFilters - Property filters
+ * @param {string|null} groupBy - Optional property key to break each data point down by
  * @returns {Response} - The API response
  */
-async function handleSingleMetricTimeseries(db, app_id, metric, timeGroup, period, fromDate, toDate, country, limit) {
-    // Split the metric into event_type and qualifier
-    let event_type, qualifier;
-    if (metric.includes('.')) {
-        [event_type, qualifier] = metric.split('.', 2);
-    } else {
-        event_type = metric;
-        qualifier = null;
-    }
+async function handleSingleMetricTimeseries(db, app_id, metric, range, country, propertyFilters, groupBy) {
+    let data;
+    if (groupBy) {
+        // Split the metric into event_type and qualifier
+        const { event_type, qualifier } = parseMetric(metric);
 
-    // Build query
-    let query = `
-    SELECT ${timeGroup} AS time_period, SUM(value) AS total
-    FROM events
-    WHERE app_id = ?
-      AND event_type = ?
-      AND timestamp >= ?
-      AND timestamp <= ?
-  `;
-
-    let params = [app_id, event_type, fromDate, toDate];
-
-    // Add qualifier filter if provided
-    if (qualifier !== null) {
-        query += " AND qualifier = ?";
-        params.push(qualifier);
-    } else {
-        query += " AND qualifier IS NULL";
-    }
+        // Rollups have no properties, so grouped queries always read raw events
+        let query = `
+      SELECT ${getLocalTimeGroupExpression(range)} AS time_period, ${getPropertyExpression(groupBy)} AS group_value, SUM(value) AS total
+      FROM events
+      WHERE app_id = ?
+        AND event_type = ?
+        AND timestamp >= ?
+        AND timestamp <= ?
+    `;
 
-    // Add country filter if provided
-    if (country) {
-        query += " AND country = ?";
-        params.push(country);
-    }
+        let params = [app_id, event_type, range.fromDate, range.toDate];
 
-    query += " GROUP BY time_period ORDER BY time_period DESC LIMIT ?";
-    params.push(limit);
+        // Add qualifier filter if provided
+        if (qualifier !== null) {
+            query += " AND qualifier = ?";
+            params.push(qualifier);
+        } else {
+            query += " AND qualifier IS NULL";
+        }
 
-    // Execute query
-    const { results } = await db.prepare(query).bind(...params).all();
+        // Add country filter if provided
+        if (country) {
+            query += " AND country = ?";
+            params.push(country);
+        }
+
+        // Add property filters if provided
+        const propertyClause = buildPropertyFilterClause(propertyFilters);
+        query += propertyClause.clause;
+        params.push(...propertyClause.params);
+
+        query += " GROUP BY time_period, group_value";
+
+        const { results } = await db.prepare(query).bind(...params).all();
+
+        // Fold the rows for each time period into one data point with a total per property value
+        const dataPoints = new Map(range.buckets.map(bucket => [bucket.time_period, { ...formatBucket(bucket), total: 0, groups: {} }]));
+        for (const row of results || []) {
+            const dataPoint = dataPoints.get(row.time_period);
+            if (!dataPoint) {
+                continue;
+            }
+            dataPoint.total += row.total;
+            dataPoint.groups[row.group_value ?? '(none)'] = row.total;
+        }
+
+        data = Array.from(dataPoints.values());
+    } else {
+        const totals = await getMetricTotals(db, app_id, [metric], range, country, propertyFilters);
+        data = range.buckets.map(bucket => ({
+            ...formatBucket(bucket),
+            total: totals.get(bucket.time_period)?.get(getMetricKey(metric)) || 0
+        }));
+    }
+
+    // Rollups outlive pruned raw events, but partial periods at the start of the range are read from raw events
+    const pruning = await getPruningNotice(db, app_id, range.fromDate);
 
     // Return timeseries data
     return successResponse({
         app_id,
         metric,
-        period,
-        from: new Date(fromDate * 1000).toISOString(),
-        to: new Date(toDate * 1000).toISOString(),
+        period: range.period,
+        timezone: range.timezone.name,
+        from: new Date(range.fromDate * 1000).toISOString(),
+        to: new Date((range.toDate + 1) * 1000).toISOString(),
         country: country || null,
-        data: results ? results.reverse() : [] // Return in chronological order
+        group_by: groupBy || null,
+        data,
+        ...pruning
     });
 }
 
@@ -140,95 +184,141 @@ async function handleSingleMetricTimeseries(db, app_id, metric, timeGroup, perio
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - The application ID
  * @param {Array<string>} metrics - The metrics to analyze
- * @param {string} timeGroup - The SQL time grouping expression
- * @param {string} period - The time period
- * @param {number} fromDate - Start timestamp
- * @param {number} toDate - End timestamp
+ * @param {Object} range - The period, timezone, buckets, offset segments and fromDate/toDate covered by the buckets
  * @param {string|null} country - Optional country filter
- * @param {number} limit - Maximum number of data points
+ * @param {Array<Object>} propertyFilters - Property filters
  * @returns {Response} - The API response
  */
-async function handleMultipleMetricsTimeseries(db, app_id, metrics, timeGroup, period, fromDate, toDate, country, limit) {
-    // Get data for each metric
-    const results = {};
+async function handleMultipleMetricsTimeseries(db, app_id, metrics, range, country, propertyFilters) {
+    // Get data for all metrics in one query
+    const totals = await getMetricTotals(db, app_id, metrics, range, country, propertyFilters);
 
-    for (const metric of metrics) {
-        // Split the metric into event_type and qualifier
-        let event_type, qualifier;
-        if (metric.includes('.')) {
-            [event_type, qualifier] = metric.split('.', 2);
-        } else {
-            event_type = metric;
-            qualifier = null;
+    // Create combined dataset with every time period
+    const combinedData = range.buckets.map(bucket => {
+        const dataPoint = formatBucket(bucket);
+
+        for (const metric of metrics) {
+            dataPoint[metric] = totals.get(bucket.time_period)?.get(getMetricKey(metric)) || 0;
         }
 
-        // Query for timeseries data
-        let query = `
-      SELECT ${timeGroup} AS time_period, SUM(value) AS total
+        return dataPoint;
+    });
+
+    // Rollups outlive pruned raw events, but partial periods at the start of the range are read from raw events
+    const pruning = await getPruningNotice(db, app_id, range.fromDate);
+
+    // Return comparison data
+    return successResponse({
+        app_id,
+        metrics,
+        period: range.period,
+        timezone: range.timezone.name,
+        from: new Date(range.fromDate * 1000).toISOString(),
+        to: new Date((range.toDate + 1) * 1000).toISOString(),
+        country: country || null,
+        data: combinedData,
+        ...pruning
+    });
+}
+
+/**
+ * Sum metrics per time period
+ *
+ * Reads the pre-aggregated rollups where possible. Rollups have no properties, so
+ * property-filtered queries are answered from raw events.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {Array<string>} metrics - The metrics to sum
+ * @param {Object} range - The period, timezone, buckets, offset segments and fromDate/toDate covered by the buckets
+ * @param {string|null} country - Optional country filter
+ * @param {Array<Object>} propertyFilters - Property filters
+ * @returns {Promise<Map>} - Totals by time period, then by metric key
+ */
+async function getMetricTotals(db, app_id, metrics, range, country, propertyFilters) {
+    let query;
+    let params;
+
+    if (propertyFilters.length === 0) {
+        ({ query, params } = buildRollupTimeseriesQuery(
+            app_id, metrics, range.period, range.fromDate, range.toDate, country, range.segments
+        ));
+    } else {
+        const conditions = [];
+        params = [app_id, range.fromDate, range.toDate];
+        for (const metric of metrics) {
+            const { event_type, qualifier } = parseMetric(metric);
+            conditions.push("(event_type = ? AND COALESCE(qualifier, '') = ?)");
+            params.push(event_type, qualifier || '');
+        }
+
+        query = `
+      SELECT ${getLocalTimeGroupExpression(range)} AS time_period, event_type, COALESCE(qualifier, '') AS qualifier, SUM(value) AS total
       FROM events
       WHERE app_id = ?
-        AND event_type = ?
         AND timestamp >= ?
         AND timestamp <= ?
+        AND (${conditions.join(' OR ')})
     `;
 
-        let params = [app_id, event_type, fromDate, toDate];
-
-        // Add qualifier filter if provided
-        if (qualifier !== null) {
-            query += " AND qualifier = ?";
-            params.push(qualifier);
-        } else {
-            query += " AND qualifier IS NULL";
-        }
-
         // Add country filter if provided
         if (country) {
             query += " AND country = ?";
             params.push(country);
         }
 
-        query += " GROUP BY time_period ORDER BY time_period";
+        // Add property filters
+        const propertyClause = buildPropertyFilterClause(propertyFilters);
+        query += propertyClause.clause;
+        params.push(...propertyClause.params);
 
-        // Execute query
-        const { results: metricResults } = await db.prepare(query).bind(...params).all();
-        results[metric] = metricResults || [];
+        query += " GROUP BY time_period, event_type, COALESCE(qualifier, '')";
     }
 
-    // Combine all time periods from all metrics
-    const allTimePeriods = new Set();
-    for (const metric in results) {
-        for (const dataPoint of results[metric]) {
-            allTimePeriods.add(dataPoint.time_period);
+    const { results } = await db.prepare(query).bind(...params).all();
+
+    // Index the totals by time period and metric
+    const totals = new Map();
+    for (const row of results || []) {
+        if (!totals.has(row.time_period)) {
+            totals.set(row.time_period, new Map());
         }
+        totals.get(row.time_period).set(row.qualifier ? `${row.event_type}.${row.qualifier}` : row.event_type, row.total);
     }
+    return totals;
+}
 
-    // Sort time periods chronologically
-    const sortedTimePeriods = Array.from(allTimePeriods).sort();
-
-    // Limit if needed
-    const limitedTimePeriods = sortedTimePeriods.slice(-limit);
-
-    // Create combined dataset
-    const combinedData = limitedTimePeriods.map(period => {
-        const dataPoint = { time_period: period };
-
-        for (const metric in results) {
-            const metricDataPoint = results[metric].find(dp => dp.time_period === period);
-            dataPoint[metric] = metricDataPoint ? metricDataPoint.total : 0;
-        }
+/**
+ * Get the time grouping expression for raw events in the range's time zone
+ *
+ * @param {Object} range - The period and offset segments
+ * @returns {string} - The SQL expression
+ */
+function getLocalTimeGroupExpression(range) {
+    return getTimeGroupExpression(range.period, 'timestamp', getOffsetExpression(range.segments, 'timestamp'));
+}
 
-        return dataPoint;
-    });
+/**
+ * Format a bucket as the start of a data point
+ *
+ * @param {Object} bucket - The bucket (from getTimeBuckets)
+ * @returns {Object} - time_period, start and end (exclusive) as ISO dates
+ */
+function formatBucket(bucket) {
+    return {
+        time_period: bucket.time_period,
+        start: new Date(bucket.start * 1000).toISOString(),
+        end: new Date(bucket.end * 1000).toISOString()
+    };
+}
 
-    // Return comparison data
-    return successResponse({
-        app_id,
-        metrics,
-        period,
-        from: new Date(fromDate * 1000).toISOString(),
-        to: new Date(toDate * 1000).toISOString(),
-        country: country || null,
-        data: combinedData
-    });
-}
\ No newline at end of file
+/**
+ * Normalise a metric to the key totals are stored under
+ *
+ * @param {string} metric - The metric (event_type or event_type.qualifier)
+ * @returns {string} - The key
+ */
+function getMetricKey(metric) {
+    const { event_type, qualifier } = parseMetric(metric);
+    return qualifier ? `${event_type}.${qualifier}` : event_type;
+}
@@ -0,0 +1,233 @@
+/**
+ * Unique user API handlers
+ */
+import { errorResponse, successResponse, parseDateParam, getTimeGroupExpression } from '../utils.js';
+import { getAppSettings, getMetricCondition, MAX_DATA_POINTS } from '../utils.js';
+import { estimateCardinality, ALL_USERS_METRIC } from '../hll.js';
+import { getPruningNotice } from '../pruning.js';
+
+/**
+ * Active user windows in days, ending on the day of the `to` date
+ */
+const ACTIVE_USER_WINDOWS = {
+    dau: 1,
+    wau: 7,
+    mau: 30
+};
+
+/**
+ * Handles unique user queries (GET /users)
+ * Returns active users per time period and daily, weekly and monthly active users
+ *
+ * Supports:
+ * - Unique users per metric: ?metrics=event_type1,event_type2.qualifier
+ * - Country filtering: ?country=US (exact mode only)
+ * - Time periods: ?period=day|week|month|hour (hour in exact mode only)
+ * - Counting mode: ?mode=exact|approx (approx reads HyperLogLog sketches)
+ *
+ * @param {Request} request - The incoming request
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Response} - The API response
+ */
+export async function handleActiveUsersQuery(request, db, app_id) {
+    try {
+        const url = new URL(request.url);
+
+        // Optional parameters
+        const period = url.searchParams.get('period') || 'day';
+        const limit = Math.min(MAX_DATA_POINTS, Math.max(1, parseInt(url.searchParams.get('limit')) || 30));
+        const fromDate = parseDateParam(url.searchParams.get('from'), 30); // Default 30 days ago
+        const toDate = parseDateParam(url.searchParams.get('to'), 0); // Default now
+        const country = url.searchParams.get('country');
+        const mode = url.searchParams.get('mode') || 'exact';
+        const metricsParam = url.searchParams.get('metrics');
+        const metrics = metricsParam ? metricsParam.split(',').map(m => m.trim()).filter(Boolean) : [];
+
+        if (mode === 'approx') {
+            const settings = await getAppSettings(db, app_id);
+            if (!settings.approx_uniques) {
+                return errorResponse('Invalid query parameters', 400, { mode: 'Approximate counting is not enabled for this app' });
+            }
+            if (period === 'hour') {
+                return errorResponse('Invalid query parameters', 400, { period: 'Approximate counts are only available for day, week and month periods' });
+            }
+            if (country) {
+                return errorResponse('Invalid query parameters', 400, { country: 'Approximate counts cannot be filtered by country' });
+            }
+        }
+
+        const handler = mode === 'approx' ? getApproxActiveUsers : getExactActiveUsers;
+        const { summary, data } = await handler(db, app_id, metrics, period, fromDate, toDate, country, limit);
+
+        // Sketches are kept when raw events are pruned
+        const pruning = mode === 'exact' ? await getPruningNotice(db, app_id, fromDate) : null;
+
+        return successResponse({
+            app_id,
+            metrics,
+            period,
+            mode,
+            from: new Date(fromDate * 1000).toISOString(),
+            to: new Date(toDate * 1000).toISOString(),
+            country: country || null,
+            summary,
+            data,
+            ...pruning
+        });
+    } catch (error) {
+        console.error('Active users query error:', error);
+        return errorResponse('Failed to retrieve active users', 500, error.message);
+    }
+}
+
+/**
+ * Count distinct users from raw events
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {Array<string>} metrics - Metrics to count unique users for
+ * @param {string} period - The time period
+ * @param {number} fromDate - Start timestamp
+ * @param {number} toDate - End timestamp
+ * @param {string|null} country - Optional country filter
+ * @param {number} limit - Maximum number of data points
+ * @returns {Object} - { summary, data }
+ */
+async function getExactActiveUsers(db, app_id, metrics, period, fromDate, toDate, country, limit) {
+    const timeGroup = getTimeGroupExpression(period);
+
+    // One distinct count for all users, plus one per metric
+    let columns = 'COUNT(DISTINCT user_id) AS active_users';
+    const columnParams = [];
+    metrics.forEach((metric, index) => {
+        const condition = getMetricCondition(metric);
+        columns += `, COUNT(DISTINCT CASE WHEN ${condition.clause} THEN user_id END) AS metric_${index}`;
+        columnParams.push(...condition.params);
+    });
+
+    let query = `
+    SELECT ${timeGroup} AS time_period, ${columns}
+    FROM events
+    WHERE app_id = ?
+      AND user_id IS NOT NULL
+      AND timestamp >= ?
+      AND timestamp <= ?
+  `;
+
+    let params = [...columnParams, app_id, fromDate, toDate];
+
+    // Add country filter if provided
+    if (country) {
+        query += " AND country = ?";
+        params.push(country);
+    }
+
+    query += " GROUP BY time_period ORDER BY time_period DESC LIMIT ?";
+    params.push(limit);
+
+    const { results } = await db.prepare(query).bind(...params).all();
+
+    const data = (results || []).reverse().map(row => {
+        const dataPoint = { time_period: row.time_period, active_users: row.active_users };
+        metrics.forEach((metric, index) => {
+            dataPoint[metric] = row[`metric_${index}`];
+        });
+        return dataPoint;
+    });
+
+    // Active users for each window, ending on the day of the to date
+    const toDay = toDate - (toDate % 86400);
+    let summaryQuery = `
+    SELECT ${Object.keys(ACTIVE_USER_WINDOWS).map(name =>
+        `COUNT(DISTINCT CASE WHEN timestamp >= ? THEN user_id END) AS ${name}`
+    ).join(', ')}
+    FROM events
+    WHERE app_id = ?
+      AND user_id IS NOT NULL
+      AND timestamp >= ?
+      AND timestamp <= ?
+  `;
+
+    const windowStarts = Object.values(ACTIVE_USER_WINDOWS).map(days => toDay - (days - 1) * 86400);
+    let summaryParams = [...windowStarts, app_id, Math.min(...windowStarts), toDate];
+
+    if (country) {
+        summaryQuery += " AND country = ?";
+        summaryParams.push(country);
+    }
+
+    const summary = await db.prepare(summaryQuery).bind(...summaryParams).first();
+
+    return { summary, data };
+}
+
+/**
+ * Estimate distinct users from HyperLogLog sketches
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {Array<string>} metrics - Metrics to count unique users for
+ * @param {string} period - The time period
+ * @param {number} fromDate - Start timestamp
+ * @param {number} toDate - End timestamp
+ * @param {string|null} country - Unused, sketches have no country dimension
+ * @param {number} limit - Maximum number of data points
+ * @returns {Object} - { summary, data }
+ */
+async function getApproxActiveUsers(db, app_id, metrics, period, fromDate, toDate, country, limit) {
+    // Sketches are daily, keyed by the start of the UTC day
+    const fromDay = fromDate - (fromDate % 86400);
+    const toDay = toDate - (toDate % 86400);
+    const sketchMetrics = [ALL_USERS_METRIC, ...metrics];
+
+    // Merge the daily sketches into one per time period and metric, then summarise each in SQL
+    const { results } = await db.prepare(`
+    SELECT time_period, metric, COUNT(*) AS filled, SUM(1.0 / (1 << rank)) AS harmonic_sum
+    FROM (
+      SELECT ${getTimeGroupExpression(period, 'day')} AS time_period, metric, register, MAX(rank) AS rank
+      FROM user_sketches
+      WHERE app_id = ?
+        AND metric IN (${sketchMetrics.map(() => '?').join(', ')})
+        AND day >= ?
+        AND day <= ?
+      GROUP BY time_period, metric, register
+    )
+    GROUP BY time_period, metric
+    ORDER BY time_period
+  `).bind(app_id, ...sketchMetrics, fromDay, toDay).all();
+
+    const dataPoints = new Map();
+    for (const row of results || []) {
+        if (!dataPoints.has(row.time_period)) {
+            const dataPoint = { time_period: row.time_period, active_users: 0 };
+            metrics.forEach(metric => {
+                dataPoint[metric] = 0;
+            });
+            dataPoints.set(row.time_period, dataPoint);
+        }
+        const key = row.metric === ALL_USERS_METRIC ? 'active_users' : row.metric;
+        dataPoints.get(row.time_period)[key] = estimateCardinality(row.filled, row.harmonic_sum);
+    }
+
+    // Active users for each window, ending on the day of the to date
+    const summary = {};
+    for (const [name, days] of Object.entries(ACTIVE_USER_WINDOWS)) {
+        const row = await db.prepare(`
+      SELECT COUNT(*) AS filled, SUM(1.0 / (1 << rank)) AS harmonic_sum
+      FROM (
+        SELECT register, MAX(rank) AS rank
+        FROM user_sketches
+        WHERE app_id = ?
+          AND metric = ?
+          AND day >= ?
+          AND day <= ?
+        GROUP BY register
+      )
+    `).bind(app_id, ALL_USERS_METRIC, toDay - (days - 1) * 86400, toDay).first();
+
+        summary[name] = estimateCardinality(row?.filled || 0, row?.harmonic_sum || 0);
+    }
+
+    return { summary, data: Array.from(dataPoints.values()).slice(-limit) };
+}
@@ -0,0 +1,135 @@
+/**
+ * HyperLogLog sketches for approximate unique user counts
+ *
+ * When an app enables approx_uniques, every event with a user_id updates one register
+ * in a daily sketch for the app ('*') and one in a daily sketch for the event's metric.
+ * Sketches for any range of days merge by taking the maximum rank per register, so
+ * unique counts can be estimated without scanning raw events.
+ */
+
+/**
+ * Number of bits of the hash used to pick a register (2^10 = 1024 registers, ~3.25% standard error)
+ */
+export const HLL_PRECISION = 10;
+export const HLL_REGISTERS = 1 << HLL_PRECISION;
+
+/**
+ * Metric name of the sketch that counts every user of an app
+ */
+export const ALL_USERS_METRIC = '*';
+
+/**
+ * Create statements that add a user to the app's and the metric's sketch for the event's day
+ *
+ * Adding the same user again never changes a sketch, so duplicates need no special handling.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {string} metric - The event's metric key
+ * @param {string} user_id - The event's user ID
+ * @param {number} timestamp - The event's timestamp
+ * @returns {Array} - Array of database statements
+ */
+export function createSketchStatements(db, app_id, metric, user_id, timestamp) {
+    const day = timestamp - (timestamp % 86400);
+    const { register, rank } = getRegister(user_id);
+
+    const query = `
+    INSERT INTO user_sketches (app_id, day, metric, register, rank)
+    VALUES (?, ?, ?, ?, ?) ON CONFLICT (app_id, metric, day, register) DO
+    UPDATE
+      SET rank = MAX(rank, excluded.rank)
+  `;
+
+    return [
+        db.prepare(query).bind(app_id, day, ALL_USERS_METRIC, register, rank),
+        db.prepare(query).bind(app_id, day, metric, register, rank)
+    ];
+}
+
+/**
+ * Estimate a cardinality from a merged sketch
+ *
+ * Takes the number of non-empty registers and the sum of 2^-rank over them, which
+ * can both be computed in SQL so only one row per sketch leaves the database.
+ *
+ * @param {number} filled - Number of registers with a rank
+ * @param {number} harmonicSum - Sum of 2^-rank over the filled registers
+ * @returns {number} - Estimated number of distinct users
+ */
+export function estimateCardinality(filled, harmonicSum) {
+    const m = HLL_REGISTERS;
+    const zeros = m - filled;
+
+    // Empty registers have rank 0 and contribute 2^0 = 1 each
+    const alpha = 0.7213 / (1 + 1.079 / m);
+    const estimate = alpha * m * m / (harmonicSum + zeros);
+
+    // Small range correction (linear counting)
+    if (estimate <= 2.5 * m && zeros > 0) {
+        return Math.round(m * Math.log(m / zeros));
+    }
+
+    return Math.round(estimate);
+}
+
+/**
+ * Map a user ID to a register and rank
+ *
+ * @param {string} user_id - The user ID
+ * @returns {Object} - { register, rank }
+ */
+function getRegister(user_id) {
+    const hash = murmurHash3(user_id);
+    const register = hash >>> (32 - HLL_PRECISION);
+    const remaining = (hash << HLL_PRECISION) >>> 0;
+    const rank = Math.min(Math.clz32(remaining), 32 - HLL_PRECISION) + 1;
+    return { register, rank };
+}
+
+/**
+ * 32-bit MurmurHash3 of a string
+ *
+ * @param {string} value - The string to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function murmurHash3(value) {
+    const bytes = new TextEncoder().encode(value);
+    let hash = 0x9747b28c;
+    let i = 0;
+
+    for (; i + 4 <= bytes.length; i += 4) {
+        let k = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+        k = Math.imul(k, 0xcc9e2d51);
+        k = (k << 15) | (k >>> 17);
+        k = Math.imul(k, 0x1b873593);
+        hash ^= k;
+        hash = (hash << 13) | (hash >>> 19);
+        hash = (Math.imul(hash, 5) + 0xe6546b64) | 0;
+    }
+
+    let k = 0;
+    switch (bytes.length & 3) {
+        case 3:
+            k ^= bytes[i + 2] << 16;
+        // falls through
+        case 2:
+            k ^= bytes[i + 1] << 8;
+        // falls through
+        case 1:
+            k ^= bytes[i];
+            k = Math.imul(k, 0xcc9e2d51);
+            k = (k << 15) | (k >>> 17);
+            k = Math.imul(k, 0x1b873593);
+            hash ^= k;
+    }
+
+    hash ^= bytes.length;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+
+    return hash >>> 0;
+}
@@ -2,11 +2,17 @@
  * Main entry point for Cloudflare Applytics
  * A lightweight analytics tracking system for applications
  */
-import {handleTrackEvent, handleBatchTrackEvents, handleEventHistory} from './handlers/event.js';
-import {handleStatsQuery} from './handlers/stats.js';
-import {handleTimeseriesQuery} from './handlers/timeseries.js';
-import {handleAppInfo} from './handlers/app.js';
+import {matchRoute} from './routes.js';
+import {getAllowedOrigin, createPreflightResponse, addCorsHeaders} from './cors.js';
 import {verifyApiRequest} from './auth.js';
+import {validateQuery, validateBody} from './validation.js';
+import {updateRollups} from './rollups.js';
+import {pruneEvents} from './pruning.js';
+import {pruneQuarantine} from './quarantine.js';
+import {evaluateAlerts} from './alerts.js';
+import {runRecategorisations} from './categories.js';
+import {deliverOutbox, pruneDestinationFailures} from './destinations.js';
+import {checkIngestRateLimit, getRateLimitHeaders} from './ratelimit.js';
 import {errorResponse} from './utils.js';
 
 export default {
@@ -14,6 +20,11 @@ export default {
     /**
      * Main request handler for all Applytics API requests
      *
+     * Requests are matched against the route table in routes.js, under /v1 or
+     * unversioned. Unknown paths get a 404, and known paths with the wrong method a
+     * 405 with an Allow header. Cross-origin requests get CORS headers for the
+     * origins their app allows.
+     *
      * @param {Request} request - The incoming HTTP request
      * @param {Object} env - Environment variables and bindings
      * @param {Object} ctx - Execution context
@@ -21,72 +32,144 @@ export default {
      */
     async fetch(request, env, ctx) {
         try {
-            // Parse request info
             const url = new URL(request.url);
-            const pathParts = url.pathname.split('/').filter(Boolean);
+            const origin = await getAllowedOrigin(request, env.DB);
+            const match = matchRoute(request.method, url.pathname);
 
-            // Special case: Apps list endpoint doesn't require app-specific auth
-            if (request.method === 'GET' && pathParts[0] === 'apps' && !pathParts[1]) {
-                const authResult = verifyApiRequest(request, env, true); // Pass a flag to skip app_id check
-                if (!authResult.success) {
-                    return errorResponse('Authentication failed', 403, authResult.error);
+            // CORS preflight, or a plain OPTIONS request for the path's methods
+            if (request.method === 'OPTIONS') {
+                if (match.allowed.length === 0) {
+                    return addCorsHeaders(errorResponse('Invalid endpoint', 404), origin);
                 }
+                return createPreflightResponse(origin, match.allowed);
+            }
 
-                return handleAppInfo(request, env.DB);
+            if (!match.route) {
+                const response = match.allowed.length === 0 ?
+                    errorResponse('Invalid endpoint', 404) :
+                    errorResponse('Method not supported', 405, null, {Allow: [...match.allowed, 'OPTIONS'].join(', ')});
+                return addCorsHeaders(response, origin);
             }
 
-            // All other API requests require authentication with valid app_id
-            const authResult = verifyApiRequest(request, env);
+            return addCorsHeaders(await handleRoute(request, env, ctx, match), origin);
+        } catch (error) {
+            console.error('Request error:', error);
+            return errorResponse('Internal server error', 500, error.message);
+        }
+    },
 
-            if (!authResult.success) {
-                return errorResponse('Authentication failed', 403, authResult.error);
+    /**
+     * Scheduled handler for the cron triggers in wrangler.toml
+     * Folds newly tracked events into the hourly and daily rollup tables, evaluates
+     * alert rules, then prunes raw events past each app's retention period, retries
+     * queued destination deliveries, continues recategorising events after rule changes,
+     * and prunes expired quarantined events and old failed deliveries
+     *
+     * @param {ScheduledEvent} event - The scheduled event
+     * @param {Object} env - Environment variables and bindings
+     * @param {Object} ctx - Execution context
+     */
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil((async () => {
+            try {
+                await updateRollups(env.DB);
+            } catch (error) {
+                console.error('Rollup job error:', error);
             }
 
-            // Use the app_id from auth result
-            const app_id = authResult.app_id;
-
-            // Route based on request method and path
-            if (request.method === 'POST') {
-                // Event tracking endpoints
-                if (pathParts[0] === 'track') {
-                    if (pathParts[1] === 'batch') {
-                        return handleBatchTrackEvents(request, env.DB, app_id);
-                    } else {
-                        return handleTrackEvent(request, env.DB, app_id);
-                    }
-                } else {
-                    return errorResponse('Invalid endpoint', 404);
-                }
-            } else if (request.method === 'GET') {
-                // Data retrieval endpoints
+            try {
+                await evaluateAlerts(env.DB);
+            } catch (error) {
+                console.error('Alert job error:', error);
+            }
 
-                // App information endpoint
-                if (pathParts[0] === 'app') {
-                    return handleAppInfo(request, env.DB, app_id);
-                }
+            // Pruning only deletes rolled-up events, so it runs after the rollups have caught up
+            try {
+                await pruneEvents(env.DB);
+            } catch (error) {
+                console.error('Prune job error:', error);
+            }
 
-                // Events history endpoint
-                else if (pathParts[0] === 'events') {
-                    return handleEventHistory(request, env.DB, app_id);
-                }
+            try {
+                await deliverOutbox(env.DB);
+            } catch (error) {
+                console.error('Destination delivery job error:', error);
+            }
 
-                // Stats endpoint
-                else if (pathParts[0] === 'stats') {
-                    return handleStatsQuery(request, env.DB, app_id);
-                }
+            try {
+                await runRecategorisations(env.DB);
+            } catch (error) {
+                console.error('Recategorisation job error:', error);
+            }
 
-                // Timeseries endpoint
-                else if (pathParts[0] === 'timeseries') {
-                    return handleTimeseriesQuery(request, env.DB, app_id);
-                } else {
-                    return errorResponse('Invalid endpoint', 404);
-                }
-            } else {
-                return errorResponse('Method not supported', 405);
+            try {
+                await pruneQuarantine(env.DB);
+            } catch (error) {
+                console.error('Quarantine prune job error:', error);
             }
-        } catch (error) {
-            console.error('Request error:', error);
-            return errorResponse('Internal server error', 500, error.message);
+
+            try {
+                await pruneDestinationFailures(env.DB);
+            } catch (error) {
+                console.error('Destination failures prune job error:', error);
+            }
+        })());
+    }
+};
+
+/**
+ * Authenticate a request for its route and call the route's handler
+ *
+ * Routes for an app need X-App-ID and a key valid for that app, with the route's
+ * scope (beacon routes may send both in the body instead). The query string and body
+ * are then validated against the route's definitions. Rate limited routes are counted
+ * before the handler runs, and their responses carry the rate limit headers.
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} match - The matched route and its path parameters (from matchRoute)
+ * @returns {Promise<Response>} HTTP response
+ */
+async function handleRoute(request, env, ctx, match) {
+    const {route, params} = match;
+
+    if (route.scope === null) {
+        return route.handler(request, env, ctx, {app_id: null, key: null, params});
+    }
+
+    const authResult = await verifyApiRequest(request, env, route.scope, route.app === false, route.beacon === true);
+    if (!authResult.success) {
+        return errorResponse('Authentication failed', 403, authResult.error);
+    }
+
+    const app_id = route.app === false ? null : authResult.app_id;
+
+    const queryErrors = validateQuery(new URL(request.url), route.query);
+    if (queryErrors) {
+        return errorResponse('Invalid query parameters', 400, queryErrors);
+    }
+
+    if (route.body && route.body.validate !== false) {
+        const bodyError = await validateBody(request, route.body);
+        if (bodyError) {
+            return errorResponse(bodyError.message, 400, bodyError.details);
+        }
+    }
+
+    // Ingest endpoints are limited per app and per key in events per minute
+    const rateLimit = route.rateLimited ? await checkIngestRateLimit(request, env, app_id, authResult.key) : null;
+    if (rateLimit && !rateLimit.allowed) {
+        return errorResponse('Rate limit exceeded', 429,
+            `Limit of ${rateLimit.limit} events per minute reached`, getRateLimitHeaders(rateLimit));
+    }
+
+    const response = await route.handler(request, env, ctx, {app_id, key: authResult.key, params});
+
+    if (rateLimit) {
+        for (const [name, value] of Object.entries(getRateLimitHeaders(rateLimit))) {
+            response.headers.set(name, value);
         }
     }
-};
\ No newline at end of file
+    return response;
+}
@@ -0,0 +1,259 @@
+/**
+ * Event ingestion
+ *
+ * Validates tracked events and creates the statements that store them, for
+ * /track, /track/batch and quarantine replays. Each event is checked on its own,
+ * so one invalid event doesn't stop the others from being tracked; the caller
+ * quarantines the rejected ones.
+ */
+import { getAppSettings, getDedupeSince, createEventStatements, createEventIdCleanupStatement } from './utils.js';
+import { validateProperties, isValidIdentifier, MAX_IDENTIFIER_LENGTH } from './utils.js';
+import { createSketchStatements } from './hll.js';
+import { getCategorizer, MAX_CATEGORY_LENGTH } from './categories.js';
+import { getEventSchemas, validateEventSchema } from './schemas.js';
+
+/**
+ * Maximum size of an event as JSON, in bytes
+ */
+export const MAX_EVENT_SIZE = 8192;
+
+/**
+ * How far in the future an event's timestamp may be, in seconds
+ */
+export const MAX_FUTURE_TIMESTAMP = 60 * 60 * 24;
+
+/**
+ * Load what's needed to validate and store an app's events
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @returns {Promise<Object>} - { settings, dedupeSince, categorize, schemas } where schemas is null if schema_mode is off
+ */
+export async function getIngestContext(db, app_id) {
+    const settings = await getAppSettings(db, app_id);
+
+    return {
+        settings,
+        dedupeSince: getDedupeSince(settings),
+        categorize: await getCategorizer(db, app_id, settings),
+        schemas: settings.schema_mode !== 'off' ? await getEventSchemas(db, app_id) : null
+    };
+}
+
+/**
+ * Create the statements that track a list of events
+ *
+ * Every event gets a result in the order given. Valid events get the statements that
+ * insert them; their result's status is set by getTrackingStatuses once the statements
+ * have run. Invalid events get a result with status 'rejected' and their errors.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {Array} events - The events from the payload
+ * @param {Object} context - The app's ingest context (from getIngestContext)
+ * @param {Object} defaults - { timestamp, country } for events without one; the timestamp is also the time the events were received
+ * @returns {Object} - { statements, results, eventStatementIndexes: Map of result index to its events insert statement, events: Map of result index to the stored event }
+ */
+export function createTrackingStatements(db, app_id, events, context, defaults) {
+    const { settings, dedupeSince, categorize, schemas } = context;
+    const statements = [];
+    const results = [];
+    const eventStatementIndexes = new Map();
+    const storedEvents = new Map();
+
+    for (const event of events) {
+        const validation = validateEventFields(event, defaults.timestamp);
+        if (validation.errors.length > 0) {
+            results.push(createRejectedResult(event, validation.errors));
+            continue;
+        }
+
+        const {
+            event_type,
+            qualifier = null,
+            value = 1,
+            category = null,
+            timestamp = defaults.timestamp,
+            // Allow country to be specified per event, or use the request's country
+            country = defaults.country,
+            event_id = null,
+            user_id = null
+        } = event;
+
+        const schemaResult = checkEventSchema({ event_type, qualifier, value, timestamp }, schemas, settings.schema_mode, defaults.timestamp);
+        if (schemaResult.errors) {
+            results.push(createRejectedResult(event, schemaResult.errors));
+            continue;
+        }
+
+        // Use the schema's category, then the provided one, then the app's rules
+        const event_category = schemas?.get(event_type)?.category || category || categorize(event_type);
+        const metric = qualifier ? `${event_type}.${qualifier}` : event_type;
+
+        eventStatementIndexes.set(results.length, statements.length);
+        storedEvents.set(results.length, {
+            event_type, qualifier, metric, category: event_category, value, timestamp, country, event_id, user_id,
+            properties: validation.properties !== null ? JSON.parse(validation.properties) : null
+        });
+        statements.push(...createEventStatements(db, app_id, {
+            event_type, event_category, qualifier, value, timestamp, country, event_id, user_id,
+            properties: validation.properties,
+            schema_warnings: schemaResult.warnings
+        }, dedupeSince));
+
+        if (user_id && settings.approx_uniques) {
+            statements.push(...createSketchStatements(db, app_id, metric, user_id, timestamp));
+        }
+
+        results.push({
+            event_type,
+            qualifier,
+            metric,
+            category: event_category,
+            country,
+            event_id,
+            schema_warnings: schemaResult.warnings
+        });
+    }
+
+    if (statements.length > 0 && events.some(event => event?.event_id)) {
+        statements.push(createEventIdCleanupStatement(db, app_id, dedupeSince));
+    }
+
+    return { statements, results, eventStatementIndexes, events: storedEvents };
+}
+
+/**
+ * Set the status of each tracked event from the results of its statements
+ *
+ * Events whose insert was skipped were duplicates (including repeats within the same batch).
+ *
+ * @param {Object} tracking - The return value of createTrackingStatements
+ * @param {Array<Object>} batchResults - The results of db.batch, with the tracking statements first
+ * @returns {Object} - { accepted, duplicates, rejected } counts
+ */
+export function getTrackingStatuses(tracking, batchResults) {
+    const { results, eventStatementIndexes } = tracking;
+    let duplicates = 0;
+
+    for (const [index, statementIndex] of eventStatementIndexes) {
+        const duplicate = batchResults[statementIndex].meta.changes === 0;
+        results[index].status = duplicate ? 'duplicate' : 'accepted';
+        if (duplicate) {
+            duplicates++;
+        }
+    }
+
+    return {
+        accepted: eventStatementIndexes.size - duplicates,
+        duplicates,
+        rejected: results.length - eventStatementIndexes.size
+    };
+}
+
+/**
+ * Get the events that were stored, leaving out duplicates and rejected events
+ *
+ * @param {Object} tracking - The return value of createTrackingStatements, after getTrackingStatuses
+ * @returns {Array<Object>} - The stored events, with their final category, country and timestamp
+ */
+export function getAcceptedEvents(tracking) {
+    return [...tracking.events]
+        .filter(([index]) => tracking.results[index].status === 'accepted')
+        .map(([, event]) => event);
+}
+
+/**
+ * Validate the fields every event must get right, whatever the app's schemas
+ *
+ * @param {*} event - The event from the payload
+ * @param {number} now - The Unix timestamp the event was received at
+ * @returns {Object} - { errors: [{ field, message }], properties: JSON string or null }
+ */
+function validateEventFields(event, now) {
+    if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+        return { errors: [{ field: null, message: 'Must be an object' }], properties: null };
+    }
+
+    if (new TextEncoder().encode(JSON.stringify(event)).length > MAX_EVENT_SIZE) {
+        return { errors: [{ field: null, message: `Event exceeds maximum size (${MAX_EVENT_SIZE} bytes)` }], properties: null };
+    }
+
+    const errors = [];
+
+    if (event.event_type === undefined || event.event_type === null || event.event_type === '') {
+        errors.push({ field: 'event_type', message: 'Missing event_type' });
+    } else if (!isValidIdentifier(event.event_type)) {
+        errors.push({ field: 'event_type', message: `Must be a string of at most ${MAX_IDENTIFIER_LENGTH} characters` });
+    }
+
+    for (const field of ['qualifier', 'country']) {
+        if (event[field] !== undefined && event[field] !== null && typeof event[field] !== 'string') {
+            errors.push({ field, message: 'Must be a string or null' });
+        }
+    }
+
+    if (event.category !== undefined && event.category !== null &&
+        (typeof event.category !== 'string' || event.category.length > MAX_CATEGORY_LENGTH)) {
+        errors.push({ field: 'category', message: `Must be null or a string of at most ${MAX_CATEGORY_LENGTH} characters` });
+    }
+
+    if (event.value !== undefined && (typeof event.value !== 'number' || !Number.isFinite(event.value))) {
+        errors.push({ field: 'value', message: 'Must be a number' });
+    }
+
+    if (event.timestamp !== undefined && (typeof event.timestamp !== 'number' || !(event.timestamp >= 0) ||
+        event.timestamp > now + MAX_FUTURE_TIMESTAMP)) {
+        errors.push({ field: 'timestamp', message: 'Must be a Unix timestamp in seconds, at most 1 day in the future' });
+    }
+
+    for (const field of ['event_id', 'user_id']) {
+        if (!isValidIdentifier(event[field] ?? null)) {
+            errors.push({ field, message: `Must be a string of at most ${MAX_IDENTIFIER_LENGTH} characters` });
+        }
+    }
+
+    const propertiesResult = validateProperties(event.properties);
+    if (propertiesResult.error) {
+        errors.push({ field: 'properties', message: propertiesResult.error });
+    }
+
+    return { errors, properties: propertiesResult.properties ?? null };
+}
+
+/**
+ * Check an event against the app's schema registry
+ *
+ * @param {Object} event - The event's event_type, qualifier, value and timestamp
+ * @param {Map|null} schemas - The app's schemas, or null if schema_mode is off
+ * @param {string} mode - The app's schema_mode
+ * @param {number} now - The Unix timestamp the event was received at
+ * @returns {Object} - { errors } if the event is rejected, otherwise { warnings } (null if it matches)
+ */
+function checkEventSchema(event, schemas, mode, now) {
+    const problems = schemas ? validateEventSchema(event, schemas, now) : [];
+    if (problems.length === 0) {
+        return { warnings: null };
+    }
+    return mode === 'strict' ? { errors: problems } : { warnings: problems };
+}
+
+/**
+ * Create the result of a rejected event
+ *
+ * Its event_type and event_id are only echoed if they are strings, as they may be what
+ * was wrong with it.
+ *
+ * @param {*} event - The event from the payload
+ * @param {Array<Object>} errors - Its problems of { field, message }
+ * @returns {Object} - The result
+ */
+function createRejectedResult(event, errors) {
+    const isObject = event !== null && typeof event === 'object';
+    return {
+        event_type: isObject && typeof event.event_type === 'string' ? event.event_type : null,
+        event_id: isObject && typeof event.event_id === 'string' ? event.event_id : null,
+        status: 'rejected',
+        errors
+    };
+}
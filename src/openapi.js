@@ -0,0 +1,144 @@
+/**
+ * OpenAPI description
+ *
+ * Builds an OpenAPI 3.0 document from the route table, with the same query parameter
+ * and body definitions that requests are validated against (see definitions.js).
+ */
+
+/**
+ * Error responses shared by the operations
+ */
+const ERROR_RESPONSES = {
+    BadRequest: 'Invalid query parameters or body, with { field: message } details',
+    Forbidden: 'Missing or invalid API key, or a key without the needed scope or app',
+    NotFound: 'No such resource',
+    RateLimited: 'Rate limit exceeded, retry after the Retry-After header'
+};
+
+/**
+ * Build the OpenAPI document for the API
+ *
+ * Public routes (the dashboard and other pages or files) aren't part of the API and
+ * are left out.
+ *
+ * @param {Array<Object>} routes - The route table
+ * @param {string} serverUrl - The API's base URL, including the version prefix
+ * @returns {Object} - The OpenAPI document
+ */
+export function buildOpenApiDocument(routes, serverUrl) {
+    const paths = {};
+    for (const route of routes) {
+        if (route.scope === null) {
+            continue;
+        }
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = buildOperation(route);
+    }
+
+    const errorContent = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Applytics API',
+            version: '1',
+            description: 'Event tracking and analytics. Every path is also served without the version prefix.'
+        },
+        servers: [{ url: serverUrl }],
+        paths,
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                appId: { type: 'apiKey', in: 'header', name: 'X-App-ID' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: { type: 'string' },
+                        details: { description: 'More about the error, such as { field: message } for invalid fields' }
+                    }
+                }
+            },
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) =>
+                [name, { description, content: errorContent }]))
+        }
+    };
+}
+
+/**
+ * Build the operation object for a route
+ *
+ * @param {Object} route - The route
+ * @returns {Object} - The OpenAPI operation
+ */
+function buildOperation(route) {
+    const pathParameters = route.segments
+        .filter(segment => segment.startsWith(':'))
+        .map(segment => ({ name: segment.slice(1), in: 'path', required: true, schema: { type: 'string' } }));
+
+    const query = route.query || [];
+    const queryParameters = query
+        .filter(parameter => !parameter.prefix)
+        .map(({ name, description, required, schema }) => ({
+            name,
+            in: 'query',
+            description,
+            required: Boolean(required),
+            schema,
+            // Lists are comma-separated
+            ...(schema.type === 'array' ? { style: 'form', explode: false } : {})
+        }));
+
+    // OpenAPI can't describe parameter names with a variable part, so they are described in prose
+    const description = [
+        `Requires an API key with the ${route.scope} scope${route.app === false ? '' : ' for the app in X-App-ID'}.`,
+        ...query.filter(parameter => parameter.prefix).map(parameter => `${parameter.name}: ${parameter.description}.`)
+    ].join('\n\n');
+
+    const responses = {
+        '2XX': { description: 'Success', content: { 'application/json': { schema: { type: 'object' } } } },
+        '400': { $ref: '#/components/responses/BadRequest' },
+        '403': { $ref: '#/components/responses/Forbidden' }
+    };
+    if (pathParameters.length > 0) {
+        responses['404'] = { $ref: '#/components/responses/NotFound' };
+    }
+    if (route.rateLimited) {
+        responses['429'] = { $ref: '#/components/responses/RateLimited' };
+    }
+
+    const operation = {
+        operationId: getOperationId(route),
+        summary: route.summary,
+        description,
+        tags: [route.segments[0]],
+        security: [route.app === false ? { apiKey: [] } : { apiKey: [], appId: [] }],
+        parameters: [...pathParameters, ...queryParameters],
+        responses
+    };
+
+    if (route.body) {
+        const mediaTypes = route.body.mediaTypes || ['application/json'];
+        operation.requestBody = {
+            required: route.body.required,
+            content: Object.fromEntries(mediaTypes.map(type => [type, { schema: route.body.schema }]))
+        };
+    }
+
+    return operation;
+}
+
+/**
+ * Derive an operation ID from a route's method and path, e.g. getQuarantineById
+ *
+ * @param {Object} route - The route
+ * @returns {string} - The operation ID
+ */
+function getOperationId(route) {
+    const words = route.segments.flatMap(segment => segment.startsWith(':') ?
+        ['by', ...segment.slice(1).split('_')] : segment.split(/[_.]/));
+    return route.method.toLowerCase() + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
@@ -0,0 +1,118 @@
+/**
+ * Raw event retention
+ *
+ * Apps with a raw_retention_days setting have their raw events deleted once they are
+ * older than the retention period. Only events already folded into the rollups are
+ * deleted, so timeseries keep working for any range; stats are cumulative and are not
+ * affected. The cutoff of the latest prune is recorded per app so queries reaching
+ * past it can say that data was pruned.
+ */
+import { ROLLUP_STATE } from './rollups.js';
+
+/**
+ * Number of events deleted per transaction, and transactions per run across all apps
+ */
+const PRUNE_CHUNK_SIZE = 1000;
+const MAX_PRUNE_CHUNKS_PER_RUN = 20;
+
+/**
+ * Delete raw events older than each app's retention period
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<Object>} - { deleted, complete } where complete is false if the run stopped early
+ */
+export async function pruneEvents(db) {
+    const { results: apps } = await db.prepare(
+        "SELECT app_id, raw_retention_days FROM app_settings WHERE raw_retention_days IS NOT NULL"
+    ).all();
+
+    const now = Math.floor(Date.now() / 1000);
+    const watermark = "(SELECT COALESCE(MAX(last_event_id), 0) FROM rollup_state WHERE name = ?)";
+    let deleted = 0;
+    let chunks = 0;
+
+    for (const app of apps || []) {
+        const cutoff = now - app.raw_retention_days * 86400;
+
+        while (true) {
+            // Once out of chunks, the run is only incomplete if something is left to prune
+            if (chunks >= MAX_PRUNE_CHUNKS_PER_RUN) {
+                const remaining = await db.prepare(
+                    `SELECT 1 AS remaining FROM events WHERE app_id = ? AND timestamp < ? AND id <= ${watermark} LIMIT 1`
+                ).bind(app.app_id, cutoff, ROLLUP_STATE).first();
+
+                if (remaining) {
+                    return { deleted, complete: false };
+                }
+                break;
+            }
+            chunks++;
+
+            // Record the cutoff before deleting anything older than it, in the same transaction
+            const [, result] = await db.batch([
+                db.prepare(`
+          INSERT INTO pruning_state (app_id, pruned_before, updated_at)
+          SELECT ?, ?, ?
+          WHERE EXISTS (SELECT 1 FROM events WHERE app_id = ? AND timestamp < ? AND id <= ${watermark})
+          ON CONFLICT (app_id) DO
+          UPDATE
+            SET pruned_before = MAX(pruned_before, excluded.pruned_before),
+                updated_at = excluded.updated_at
+        `).bind(app.app_id, cutoff, now, app.app_id, cutoff, ROLLUP_STATE),
+                db.prepare(`
+          DELETE FROM events
+          WHERE id IN (
+            SELECT id FROM events
+            WHERE app_id = ?
+              AND timestamp < ?
+              AND id <= ${watermark}
+            LIMIT ?
+          )
+        `).bind(app.app_id, cutoff, ROLLUP_STATE, PRUNE_CHUNK_SIZE)
+            ]);
+
+            deleted += result.meta.changes;
+            if (result.meta.changes < PRUNE_CHUNK_SIZE) {
+                break;
+            }
+        }
+    }
+
+    return { deleted, complete: true };
+}
+
+/**
+ * Get a notice for queries whose range starts before pruned raw events
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @param {number} fromDate - Start timestamp of the query
+ * @returns {Promise<Object|null>} - { pruned_before, warning } or null if nothing in range was pruned
+ */
+export async function getPruningNotice(db, app_id, fromDate) {
+    const prunedBefore = await getPrunedBefore(db, app_id);
+    if (prunedBefore === null || fromDate >= prunedBefore) {
+        return null;
+    }
+
+    const date = new Date(prunedBefore * 1000).toISOString();
+    return {
+        pruned_before: date,
+        warning: `Raw events before ${date} have been pruned, results before that date are incomplete`
+    };
+}
+
+/**
+ * Get the timestamp before which an app's raw events may have been pruned
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - The application ID
+ * @returns {Promise<number|null>} - The cutoff, or null if nothing has been pruned
+ */
+export async function getPrunedBefore(db, app_id) {
+    const row = await db.prepare(
+        "SELECT pruned_before FROM pruning_state WHERE app_id = ?"
+    ).bind(app_id).first();
+
+    return row?.pruned_before ?? null;
+}
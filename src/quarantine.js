@@ -0,0 +1,157 @@
+/**
+ * Quarantine of rejected events
+ *
+ * Events that fail validation, whether malformed JSON, oversized, with fields of the
+ * wrong type, bad timestamps or not matching a strict schema, are kept with their problems and raw payload so
+ * admins can see what clients are sending, and replay or discard them. Quarantined
+ * events are deleted after QUARANTINE_RETENTION_DAYS.
+ */
+import { MAX_EVENT_SIZE } from './ingest.js';
+import { MAX_IDENTIFIER_LENGTH } from './utils.js';
+
+/**
+ * Days quarantined events are kept
+ */
+export const QUARANTINE_RETENTION_DAYS = 30;
+
+/**
+ * Number of quarantined events deleted per statement, and statements per run
+ */
+const QUARANTINE_PRUNE_CHUNK_SIZE = 1000;
+const MAX_QUARANTINE_PRUNE_CHUNKS_PER_RUN = 10;
+
+/**
+ * Create the statement that quarantines a rejected event
+ *
+ * Payloads are stored as received, cut short after MAX_EVENT_SIZE characters.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {Object} entry - { source: the endpoint, payload: the event (or body: the raw request body), errors, country, received_at }
+ * @returns {D1PreparedStatement} - The insert statement, whose meta.last_row_id is the quarantine ID
+ */
+export function createQuarantineStatement(db, app_id, entry) {
+    const { source, payload = null, body = null, errors, country = null, received_at } = entry;
+    const stored = getStoredPayload(payload, body);
+
+    return db.prepare(`
+    INSERT INTO quarantine (app_id, source, event_type, country, errors, payload, truncated, received_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+        app_id, source, stored.event_type, country, JSON.stringify(errors),
+        stored.payload, stored.truncated, received_at
+    );
+}
+
+/**
+ * Create the statement that keeps a quarantined event after a replay that was rejected
+ * again, with its new errors and the corrected payload if the replay had one
+ *
+ * The statement also releases the replay's claim on the event.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {number} id - The quarantine ID
+ * @param {Array|Object} errors - The errors of the replay
+ * @param {*} [payload] - The corrected event, or undefined to keep the stored payload
+ * @returns {D1PreparedStatement} - The update statement
+ */
+export function createRequarantineStatement(db, id, errors, payload = undefined) {
+    if (payload === undefined) {
+        return db.prepare(
+            "UPDATE quarantine SET errors = ?, claimed_at = NULL WHERE id = ?"
+        ).bind(JSON.stringify(errors), id);
+    }
+
+    const stored = getStoredPayload(payload, null);
+    return db.prepare(`
+    UPDATE quarantine
+    SET event_type = ?, errors = ?, payload = ?, truncated = ?, claimed_at = NULL
+    WHERE id = ?
+  `).bind(stored.event_type, JSON.stringify(errors), stored.payload, stored.truncated, id);
+}
+
+/**
+ * Get the columns stored for a quarantined payload, cut short after MAX_EVENT_SIZE characters
+ *
+ * @param {*} payload - The event, or null if only the raw body is known
+ * @param {string|null} body - The raw request body
+ * @returns {Object} - { event_type, payload, truncated }
+ */
+function getStoredPayload(payload, body) {
+    const raw = body ?? JSON.stringify(payload);
+    const event_type = payload !== null && typeof payload === 'object' && typeof payload.event_type === 'string' ?
+        payload.event_type.slice(0, MAX_IDENTIFIER_LENGTH) : null;
+
+    return {
+        event_type,
+        payload: raw.slice(0, MAX_EVENT_SIZE),
+        truncated: raw.length > MAX_EVENT_SIZE ? 1 : 0
+    };
+}
+
+/**
+ * Delete quarantined events older than QUARANTINE_RETENTION_DAYS
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<Object>} - { deleted, complete } where complete is false if the run stopped early
+ */
+export async function pruneQuarantine(db) {
+    const cutoff = Math.floor(Date.now() / 1000) - QUARANTINE_RETENTION_DAYS * 86400;
+    let deleted = 0;
+
+    for (let chunk = 0; chunk < MAX_QUARANTINE_PRUNE_CHUNKS_PER_RUN; chunk++) {
+        const result = await db.prepare(`
+      DELETE FROM quarantine
+      WHERE id IN (SELECT id FROM quarantine WHERE received_at < ? LIMIT ?)
+    `).bind(cutoff, QUARANTINE_PRUNE_CHUNK_SIZE).run();
+
+        deleted += result.meta.changes;
+        if (result.meta.changes < QUARANTINE_PRUNE_CHUNK_SIZE) {
+            return { deleted, complete: true };
+        }
+    }
+
+    return { deleted, complete: false };
+}
+
+/**
+ * Format a quarantine row for API responses
+ *
+ * @param {Object} row - The quarantine row
+ * @param {boolean} [withPayload=false] - Include the payload, parsed if it is JSON
+ * @returns {Object} - The quarantined event
+ */
+export function formatQuarantinedEvent(row, withPayload = false) {
+    const formatted = {
+        id: row.id,
+        source: row.source,
+        event_type: row.event_type,
+        errors: JSON.parse(row.errors),
+        received_at: new Date(row.received_at * 1000).toISOString()
+    };
+
+    if (withPayload) {
+        formatted.country = row.country;
+        formatted.truncated = Boolean(row.truncated);
+        formatted.payload = parseQuarantinedPayload(row);
+    }
+
+    return formatted;
+}
+
+/**
+ * Parse a quarantined payload
+ *
+ * @param {Object} row - The quarantine row
+ * @returns {*} - The parsed payload, or the raw string if it isn't complete JSON
+ */
+export function parseQuarantinedPayload(row) {
+    if (row.truncated) {
+        return row.payload;
+    }
+    try {
+        return JSON.parse(row.payload);
+    } catch {
+        return row.payload;
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Rate limiting for ingest endpoints
+ *
+ * Limits are counted in events per fixed one-minute window, so a batch of 50 events
+ * uses as much of the limit as 50 single requests. Apps can be limited with the
+ * rate_limit setting and individual keys with their rate_limit column.
+ *
+ * Counters live in a pluggable store chosen by the RATE_LIMIT_STORE variable:
+ * - memory: Per-isolate map, for local development and tests
+ * - d1: One counter row per app or key in the rate_limit_counters table
+ * - kv: The RATE_LIMIT_KV namespace (cheaper, but eventually consistent so limits are approximate)
+ */
+import { getAppSettings } from './utils.js';
+
+/**
+ * Length of a rate limit window in seconds
+ */
+export const RATE_LIMIT_WINDOW = 60;
+
+/**
+ * Counters for the memory store, shared by all requests handled by this isolate
+ */
+const memoryCounters = new Map();
+
+/**
+ * Create the rate limit counter store configured for this environment
+ *
+ * Every store has one method, increment(key, amount, windowStart), which adds amount
+ * to the key's counter for the window and resolves to the new count.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object} - The counter store
+ */
+export function createRateLimitStore(env) {
+    const type = env.RATE_LIMIT_STORE || (env.RATE_LIMIT_KV ? 'kv' : 'd1');
+
+    switch (type) {
+        case 'memory':
+            return createMemoryStore();
+        case 'kv':
+            if (!env.RATE_LIMIT_KV) {
+                throw new Error('RATE_LIMIT_STORE is kv but no RATE_LIMIT_KV namespace is bound');
+            }
+            return createKvStore(env.RATE_LIMIT_KV);
+        case 'd1':
+            return createD1Store(env.DB);
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+    }
+}
+
+/**
+ * Check and count an ingest request against the app's and the key's rate limits
+ *
+ * The events are counted against every applicable limit, even if the request ends up
+ * being limited. Store errors are logged and the request is allowed, so an outage
+ * of the counter store never stops ingest.
+ *
+ * @param {Request} request - The incoming ingest request
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} app_id - The application ID
+ * @param {Object} key - The authenticated key (from verifyApiRequest)
+ * @returns {Promise<Object|null>} - { allowed, limit, remaining, reset }, or null if no limit applies
+ */
+export async function checkIngestRateLimit(request, env, app_id, key) {
+    try {
+        const settings = await getAppSettings(env.DB, app_id);
+
+        const limits = [];
+        if (settings.rate_limit) {
+            limits.push({ key: `app:${app_id}`, limit: settings.rate_limit });
+        }
+        if (key.rate_limit) {
+            limits.push({ key: `key:${key.id}`, limit: key.rate_limit });
+        }
+
+        if (limits.length === 0) {
+            return null;
+        }
+
+        const store = createRateLimitStore(env);
+        const amount = await countEvents(request);
+        const now = Math.floor(Date.now() / 1000);
+        const windowStart = now - (now % RATE_LIMIT_WINDOW);
+
+        const results = [];
+        for (const { key: counterKey, limit } of limits) {
+            const count = await store.increment(counterKey, amount, windowStart);
+            results.push({
+                allowed: count <= limit,
+                limit,
+                remaining: Math.max(0, limit - count),
+                reset: windowStart + RATE_LIMIT_WINDOW
+            });
+        }
+
+        // Report a limit that was exceeded, otherwise the one closest to being exhausted
+        return results.sort((a, b) => a.allowed - b.allowed || a.remaining - b.remaining)[0];
+    } catch (error) {
+        console.error('Rate limit error:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the X-RateLimit-* headers for a rate limit result
+ *
+ * @param {Object} result - The result from checkIngestRateLimit
+ * @returns {Object} - Response headers, including Retry-After if the request was limited
+ */
+export function getRateLimitHeaders(result) {
+    const headers = {
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(result.reset)
+    };
+
+    if (!result.allowed) {
+        headers['Retry-After'] = String(Math.max(1, result.reset - Math.floor(Date.now() / 1000)));
+    }
+
+    return headers;
+}
+
+/**
+ * Count the events in an ingest request
+ *
+ * Batches count one per event. Bodies that can't be parsed count as one event and are
+ * rejected by the handler anyway.
+ *
+ * @param {Request} request - The incoming ingest request
+ * @returns {Promise<number>} - Number of events
+ */
+async function countEvents(request) {
+    const url = new URL(request.url);
+    if (!url.pathname.endsWith('/batch')) {
+        return 1;
+    }
+
+    try {
+        const data = await request.clone().json();
+        return Array.isArray(data.events) && data.events.length > 0 ? data.events.length : 1;
+    } catch {
+        return 1;
+    }
+}
+
+/**
+ * Create a store that keeps counters in memory
+ *
+ * @returns {Object} - The counter store
+ */
+function createMemoryStore() {
+    return {
+        async increment(key, amount, windowStart) {
+            const counter = memoryCounters.get(key);
+            const count = counter && counter.windowStart === windowStart ? counter.count + amount : amount;
+            memoryCounters.set(key, { windowStart, count });
+            return count;
+        }
+    };
+}
+
+/**
+ * Create a store that keeps one counter row per key in D1
+ *
+ * The counter is reset in the same statement when a new window starts, so the table
+ * never holds more than one row per app or key.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Object} - The counter store
+ */
+function createD1Store(db) {
+    return {
+        async increment(key, amount, windowStart) {
+            const row = await db.prepare(`
+        INSERT INTO rate_limit_counters (key, window_start, count)
+        VALUES (?, ?, ?) ON CONFLICT (key) DO
+        UPDATE
+          SET count = CASE WHEN window_start = excluded.window_start THEN count + excluded.count ELSE excluded.count END,
+              window_start = excluded.window_start
+        RETURNING count
+      `).bind(key, windowStart, amount).first();
+            return row.count;
+        }
+    };
+}
+
+/**
+ * Create a store that keeps counters in a KV namespace
+ *
+ * KV has no atomic increment, so concurrent requests can undercount.
+ *
+ * @param {KVNamespace} kv - The KV namespace
+ * @returns {Object} - The counter store
+ */
+function createKvStore(kv) {
+    return {
+        async increment(key, amount, windowStart) {
+            const kvKey = `ratelimit:${key}:${windowStart}`;
+            const count = parseInt(await kv.get(kvKey) || '0') + amount;
+            // Outlive the window a little; KV's shortest expiry is 60 seconds
+            await kv.put(kvKey, String(count), { expirationTtl: RATE_LIMIT_WINDOW * 2 });
+            return count;
+        }
+    };
+}
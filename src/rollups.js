@@ -0,0 +1,183 @@
+/**
+ * Pre-aggregated event rollups for timeseries queries
+ *
+ * The scheduled handler folds newly tracked events into hourly and daily totals per
+ * app, metric and country. Progress is tracked by an event ID watermark, so every event
+ * is counted exactly once however late it arrives. Timeseries queries read whole buckets
+ * from the rollups and only scan raw events for partial buckets at the edges of the
+ * requested range and for events above the watermark.
+ */
+import { getTimeGroupExpression, parseMetric } from './utils.js';
+import { getOffsetExpression } from './timezone.js';
+
+/**
+ * Bucket sizes in seconds for each rollup granularity
+ */
+export const ROLLUP_GRANULARITIES = {
+    hour: 3600,
+    day: 86400
+};
+
+/**
+ * Number of events folded into the rollups per transaction, and transactions per run
+ */
+const ROLLUP_CHUNK_SIZE = 5000;
+const MAX_CHUNKS_PER_RUN = 20;
+
+/**
+ * Name of the rollup_state row holding the event ID watermark
+ */
+export const ROLLUP_STATE = 'event_rollups';
+
+/**
+ * Fold events tracked since the last run into the rollup tables
+ *
+ * Each chunk is added and the watermark advanced in one transaction, guarded on the
+ * watermark it started from, so overlapping runs can never count an event twice.
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @returns {Promise<Object>} - { chunks, last_event_id }
+ */
+export async function updateRollups(db) {
+    await db.prepare(
+        "INSERT INTO rollup_state (name, last_event_id, updated_at) VALUES (?, 0, ?) ON CONFLICT (name) DO NOTHING"
+    ).bind(ROLLUP_STATE, Math.floor(Date.now() / 1000)).run();
+
+    let chunks = 0;
+    let watermark = 0;
+
+    while (chunks < MAX_CHUNKS_PER_RUN) {
+        // The next chunk ends at the last of the following ROLLUP_CHUNK_SIZE events
+        const state = await db.prepare(`
+      SELECT s.last_event_id AS watermark,
+             (SELECT MAX(id) FROM (SELECT id FROM events WHERE id > s.last_event_id ORDER BY id LIMIT ?)) AS chunk_end
+      FROM rollup_state s
+      WHERE s.name = ?
+    `).bind(ROLLUP_CHUNK_SIZE, ROLLUP_STATE).first();
+
+        watermark = state.watermark;
+        if (state.chunk_end === null) {
+            break;
+        }
+
+        const statements = Object.entries(ROLLUP_GRANULARITIES).map(([granularity, size]) => db.prepare(`
+      INSERT INTO event_rollups (app_id, granularity, bucket, event_type, qualifier, country, total, count)
+      SELECT app_id, ?, timestamp - (timestamp % ?), event_type, COALESCE(qualifier, ''), COALESCE(country, ''),
+             SUM(value), COUNT(*)
+      FROM events
+      WHERE id > ?
+        AND id <= ?
+        AND (SELECT last_event_id FROM rollup_state WHERE name = ?) = ?
+      GROUP BY 1, 2, 3, 4, 5, 6
+      ON CONFLICT (app_id, granularity, event_type, qualifier, country, bucket) DO
+      UPDATE
+        SET total = total + excluded.total,
+            count = count + excluded.count
+    `).bind(granularity, size, watermark, state.chunk_end, ROLLUP_STATE, watermark));
+
+        statements.push(db.prepare(
+            "UPDATE rollup_state SET last_event_id = ?, updated_at = ? WHERE name = ? AND last_event_id = ?"
+        ).bind(state.chunk_end, Math.floor(Date.now() / 1000), ROLLUP_STATE, watermark));
+
+        const results = await db.batch(statements);
+
+        // Another run advanced the watermark first and has already counted this chunk
+        if (!results[results.length - 1].meta.changes) {
+            break;
+        }
+
+        watermark = state.chunk_end;
+        chunks++;
+    }
+
+    return { chunks, last_event_id: watermark };
+}
+
+/**
+ * Build a query that sums metrics per time period from the rollups and raw events
+ *
+ * Buckets that lie entirely within the range come from the rollup table; raw events
+ * fill in the partial buckets at either end and anything not yet rolled up. The
+ * watermark is read inside the same statement so both halves see the same snapshot.
+ *
+ * Outside UTC, daily rollups don't line up with local days, so hourly rollups are used
+ * instead. Time zones with offsets that aren't whole hours are read from raw events.
+ *
+ * @param {string} app_id - The application ID
+ * @param {Array<string>} metrics - Metrics to sum (event_type or event_type.qualifier)
+ * @param {string} period - The time period ('hour', 'day', 'week' or 'month')
+ * @param {number} fromDate - Start timestamp
+ * @param {number} toDate - End timestamp (inclusive)
+ * @param {string|null} country - Optional country filter
+ * @param {Array<Object>} segments - UTC offsets in effect over the range (from getOffsetSegments)
+ * @returns {Object} - { query, params } returning time_period, event_type, qualifier ('' for none) and total
+ */
+export function buildRollupTimeseriesQuery(app_id, metrics, period, fromDate, toDate, country, segments) {
+    const utc = segments.every(segment => segment.offset === 0);
+    const granularity = period === 'hour' || !utc ? 'hour' : 'day';
+    const size = ROLLUP_GRANULARITIES[granularity];
+
+    // Whole buckets within [fromDate, toDate], if rollup buckets fall inside local periods at all
+    let innerFrom = Math.ceil(fromDate / size) * size;
+    let innerTo = Math.floor((toDate + 1) / size) * size;
+    if (segments.some(segment => segment.offset % size !== 0)) {
+        innerFrom = innerTo = fromDate;
+    }
+
+    const rollupConditions = [];
+    const rollupParams = [];
+    const rawConditions = [];
+    const rawParams = [];
+    for (const metric of metrics) {
+        const { event_type, qualifier } = parseMetric(metric);
+        rollupConditions.push('(event_type = ? AND qualifier = ?)');
+        rollupParams.push(event_type, qualifier || '');
+        rawConditions.push("(event_type = ? AND COALESCE(qualifier, '') = ?)");
+        rawParams.push(event_type, qualifier || '');
+    }
+
+    const watermark = "COALESCE((SELECT last_event_id FROM rollup_state WHERE name = ?), 0)";
+
+    let rollupQuery = `
+      SELECT ${getTimeGroupExpression(period, 'bucket', getOffsetExpression(segments, 'bucket'))} AS time_period,
+             event_type, qualifier, total
+      FROM event_rollups
+      WHERE app_id = ?
+        AND granularity = ?
+        AND (${rollupConditions.join(' OR ')})
+        AND bucket >= ?
+        AND bucket < ?
+    `;
+    const params = [app_id, granularity, ...rollupParams, innerFrom, innerTo];
+
+    if (country) {
+        rollupQuery += " AND country = ?";
+        params.push(country);
+    }
+
+    let rawQuery = `
+      SELECT ${getTimeGroupExpression(period, 'timestamp', getOffsetExpression(segments, 'timestamp'))} AS time_period,
+             event_type, COALESCE(qualifier, '') AS qualifier, value AS total
+      FROM events
+      WHERE app_id = ?
+        AND (${rawConditions.join(' OR ')})
+        AND timestamp >= ?
+        AND timestamp <= ?
+        AND (id > ${watermark} OR timestamp < ? OR timestamp >= ?)
+    `;
+    params.push(app_id, ...rawParams, fromDate, toDate, ROLLUP_STATE, innerFrom, innerTo);
+
+    if (country) {
+        rawQuery += " AND country = ?";
+        params.push(country);
+    }
+
+    const query = `
+    SELECT time_period, event_type, qualifier, SUM(total) AS total
+    FROM (${rollupQuery} UNION ALL ${rawQuery})
+    GROUP BY time_period, event_type, qualifier
+    ORDER BY time_period
+  `;
+
+    return { query, params };
+}
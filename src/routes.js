@@ -0,0 +1,244 @@
+/**
+ * Route table
+ *
+ * Every endpoint is declared once with its method, path and the scope its API key needs.
+ * Paths are matched segment by segment, with :name segments captured as parameters, and
+ * every route is served both under API_VERSION_PREFIX and unversioned.
+ *
+ * Route options:
+ * - scope: 'ingest', 'read' or 'admin', or null for public routes that need no key
+ * - app: false for routes authenticated without X-App-ID (their handler gets the key instead)
+ * - rateLimited: true for ingest routes counted against the app's and key's rate limits
+ * - beacon: true for routes that also take the app ID and key from the JSON body, for
+ *   navigator.sendBeacon, which can't set headers
+ * - summary: one line describing the route in /openapi.json
+ * - query: the query parameters it accepts (from definitions.js), others are rejected
+ * - body: its request body (from definitions.js)
+ *
+ * The query string and JSON body of API routes are validated against their definitions
+ * before the handler is called, which then only checks what depends on several
+ * parameters or on stored data.
+ *
+ * Handlers are called as handler(request, env, ctx, { app_id, key, params }).
+ */
+import {handleTrackEvent, handleBatchTrackEvents, handleEventHistory} from './handlers/event.js';
+import {handleStatsQuery, handleStatsRebuild} from './handlers/stats.js';
+import {handleTimeseriesQuery} from './handlers/timeseries.js';
+import {handleActiveUsersQuery} from './handlers/users.js';
+import {handleRetentionQuery} from './handlers/retention.js';
+import {handleFunnelQuery} from './handlers/funnel.js';
+import {handleEventExport} from './handlers/export.js';
+import {handleImport, handleImportStatus} from './handlers/import.js';
+import {handleAppInfo} from './handlers/app.js';
+import {handleDashboard} from './handlers/dashboard.js';
+import {handleListKeys, handleCreateKey, handleRevokeKey} from './handlers/keys.js';
+import {handleGetSettings, handleUpdateSettings} from './handlers/settings.js';
+import {handleSigningStatus, handleRotateSigningSecret} from './handlers/signing.js';
+import {handleGetCategories, handleUpdateCategories} from './handlers/categories.js';
+import {handleGetSchemas, handleUpdateSchema, handleDeleteSchema} from './handlers/schemas.js';
+import {handleListQuarantine, handleGetQuarantinedEvent, handleReplayQuarantinedEvent, handleDiscardQuarantinedEvent} from './handlers/quarantine.js';
+import {handleListAlerts, handleCreateAlert, handleUpdateAlert, handleDeleteAlert, handleAlertHistory} from './handlers/alerts.js';
+import {handleListDestinations, handleCreateDestination, handleUpdateDestination, handleDeleteDestination, handleDestinationFailures} from './handlers/destinations.js';
+import {handleOpenApi} from './handlers/openapi.js';
+import {handleSdk} from './handlers/sdk.js';
+import {APPS_QUERY, KEYS_QUERY, APP_QUERY, EVENTS_QUERY, EXPORT_QUERY, STATS_QUERY, TIMESERIES_QUERY, USERS_QUERY} from './definitions.js';
+import {RETENTION_QUERY, FUNNEL_QUERY, ALERT_HISTORY_QUERY, IMPORT_QUERY, QUARANTINE_QUERY, DESTINATION_FAILURES_QUERY} from './definitions.js';
+import {EVENT_BODY, BATCH_BODY, IMPORT_BODY, KEY_BODY, REBUILD_BODY, SETTINGS_BODY, ROTATE_BODY, CATEGORIES_BODY} from './definitions.js';
+import {SCHEMA_BODY, REPLAY_BODY, ALERT_RULE_BODY, DESTINATION_BODY} from './definitions.js';
+
+/**
+ * Prefix of the current API version
+ */
+export const API_VERSION_PREFIX = '/v1';
+
+/**
+ * All endpoints. Static segments win over parameters, so /alerts/history is never taken
+ * for an alert ID, whatever the order of the routes.
+ */
+export const ROUTES = [
+    // Dashboard page, which authenticates its own API requests with the key the user logs in with
+    {method: 'GET', path: '/dashboard', scope: null, handler: request => handleDashboard(request)},
+
+    // OpenAPI description of the routes below
+    {method: 'GET', path: '/openapi.json', scope: null,
+        handler: request => handleOpenApi(request, ROUTES, API_VERSION_PREFIX)},
+
+    // JavaScript tracking SDK
+    {method: 'GET', path: '/sdk.js', scope: null, handler: request => handleSdk(request)},
+
+    // Apps list, limited to the key's own app for keys bound to one
+    {method: 'GET', path: '/apps', scope: 'read', app: false, summary: 'List apps', query: APPS_QUERY,
+        handler: (request, env, ctx, {key}) => handleAppInfo(request, env.DB, null, key.app_id)},
+
+    // Key management, scoped by the admin key rather than X-App-ID
+    {method: 'GET', path: '/keys', scope: 'admin', app: false, summary: 'List API keys', query: KEYS_QUERY,
+        handler: (request, env, ctx, {key}) => handleListKeys(request, env.DB, key)},
+    {method: 'POST', path: '/keys', scope: 'admin', app: false, summary: 'Create an API key', body: KEY_BODY,
+        handler: (request, env, ctx, {key}) => handleCreateKey(request, env.DB, key)},
+    {method: 'DELETE', path: '/keys/:id', scope: 'admin', app: false, summary: 'Revoke an API key',
+        handler: (request, env, ctx, {key, params}) => handleRevokeKey(request, env.DB, key, params.id)},
+
+    // Event tracking
+    {method: 'POST', path: '/track', scope: 'ingest', rateLimited: true, summary: 'Track an event', body: EVENT_BODY,
+        handler: (request, env, ctx, {app_id}) => handleTrackEvent(request, env.DB, app_id, ctx)},
+    {method: 'POST', path: '/track/batch', scope: 'ingest', rateLimited: true, beacon: true, summary: 'Track a batch of events', body: BATCH_BODY,
+        handler: (request, env, ctx, {app_id}) => handleBatchTrackEvents(request, env.DB, app_id, ctx)},
+
+    // Data retrieval
+    {method: 'GET', path: '/app', scope: 'read', summary: 'Get an app summary or its dashboard KPIs', query: APP_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleAppInfo(request, env.DB, app_id)},
+    {method: 'GET', path: '/events', scope: 'read', summary: 'List raw events', query: EVENTS_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleEventHistory(request, env.DB, app_id)},
+    {method: 'GET', path: '/export', scope: 'read', summary: 'Export raw events as CSV or NDJSON', query: EXPORT_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleEventExport(request, env.DB, app_id)},
+    {method: 'GET', path: '/stats', scope: 'read', summary: 'Get metric totals', query: STATS_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleStatsQuery(request, env.DB, app_id)},
+    {method: 'GET', path: '/timeseries', scope: 'read', summary: 'Get metrics over time', query: TIMESERIES_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleTimeseriesQuery(request, env.DB, app_id)},
+    {method: 'GET', path: '/users', scope: 'read', summary: 'Get active users over time', query: USERS_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleActiveUsersQuery(request, env.DB, app_id)},
+    {method: 'GET', path: '/retention', scope: 'read', summary: 'Get retention cohorts', query: RETENTION_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleRetentionQuery(request, env.DB, app_id)},
+    {method: 'GET', path: '/funnel', scope: 'read', summary: 'Get funnel conversion', query: FUNNEL_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleFunnelQuery(request, env.DB, app_id)},
+    {method: 'GET', path: '/alerts/history', scope: 'read', summary: 'List alert notifications', query: ALERT_HISTORY_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleAlertHistory(request, env.DB, app_id)},
+
+    // Stats rebuild and bulk historical import
+    {method: 'POST', path: '/stats/rebuild', scope: 'admin', summary: 'Rebuild metric totals from raw events', body: REBUILD_BODY,
+        handler: (request, env, ctx, {app_id}) => handleStatsRebuild(request, env.DB, app_id)},
+    {method: 'POST', path: '/import', scope: 'admin', summary: 'Import historical events', query: IMPORT_QUERY, body: IMPORT_BODY,
+        handler: (request, env, ctx, {app_id}) => handleImport(request, env.DB, app_id)},
+    {method: 'GET', path: '/import/:id', scope: 'admin', summary: 'Get an import\'s progress',
+        handler: (request, env, ctx, {app_id, params}) => handleImportStatus(request, env.DB, app_id, params.id)},
+
+    // Settings, signing secrets and categorisation rules
+    {method: 'GET', path: '/settings', scope: 'admin', summary: 'Get app settings',
+        handler: (request, env, ctx, {app_id}) => handleGetSettings(request, env.DB, app_id)},
+    {method: 'PUT', path: '/settings', scope: 'admin', summary: 'Update app settings', body: SETTINGS_BODY,
+        handler: (request, env, ctx, {app_id}) => handleUpdateSettings(request, env.DB, app_id)},
+    {method: 'GET', path: '/signing', scope: 'admin', summary: 'List signing secrets',
+        handler: (request, env, ctx, {app_id}) => handleSigningStatus(request, env.DB, app_id)},
+    {method: 'POST', path: '/signing/rotate', scope: 'admin', summary: 'Rotate the signing secret', body: ROTATE_BODY,
+        handler: (request, env, ctx, {app_id}) => handleRotateSigningSecret(request, env.DB, app_id)},
+    {method: 'GET', path: '/categories', scope: 'admin', summary: 'Get categorisation rules',
+        handler: (request, env, ctx, {app_id}) => handleGetCategories(request, env.DB, app_id)},
+    {method: 'PUT', path: '/categories', scope: 'admin', summary: 'Replace categorisation rules', body: CATEGORIES_BODY,
+        handler: (request, env, ctx, {app_id}) => handleUpdateCategories(request, env.DB, app_id)},
+
+    // Event schema registry
+    {method: 'GET', path: '/schemas', scope: 'admin', summary: 'List event schemas',
+        handler: (request, env, ctx, {app_id}) => handleGetSchemas(request, env.DB, app_id)},
+    {method: 'PUT', path: '/schemas/:event_type', scope: 'admin', summary: 'Set an event type\'s schema', body: SCHEMA_BODY,
+        handler: (request, env, ctx, {app_id, params}) => handleUpdateSchema(request, env.DB, app_id, params.event_type)},
+    {method: 'DELETE', path: '/schemas/:event_type', scope: 'admin', summary: 'Delete an event type\'s schema',
+        handler: (request, env, ctx, {app_id, params}) => handleDeleteSchema(request, env.DB, app_id, params.event_type)},
+
+    // Quarantined events
+    {method: 'GET', path: '/quarantine', scope: 'admin', summary: 'List quarantined events', query: QUARANTINE_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleListQuarantine(request, env.DB, app_id)},
+    {method: 'GET', path: '/quarantine/:id', scope: 'admin', summary: 'Get a quarantined event',
+        handler: (request, env, ctx, {app_id, params}) => handleGetQuarantinedEvent(request, env.DB, app_id, params.id)},
+    {method: 'POST', path: '/quarantine/:id/replay', scope: 'admin', summary: 'Replay a quarantined event', body: REPLAY_BODY,
+        handler: (request, env, ctx, {app_id, params}) => handleReplayQuarantinedEvent(request, env.DB, app_id, params.id)},
+    {method: 'DELETE', path: '/quarantine/:id', scope: 'admin', summary: 'Discard a quarantined event',
+        handler: (request, env, ctx, {app_id, params}) => handleDiscardQuarantinedEvent(request, env.DB, app_id, params.id)},
+
+    // Alert rules
+    {method: 'GET', path: '/alerts', scope: 'admin', summary: 'List alert rules',
+        handler: (request, env, ctx, {app_id}) => handleListAlerts(request, env.DB, app_id)},
+    {method: 'POST', path: '/alerts', scope: 'admin', summary: 'Create an alert rule', body: ALERT_RULE_BODY,
+        handler: (request, env, ctx, {app_id}) => handleCreateAlert(request, env.DB, app_id)},
+    {method: 'PUT', path: '/alerts/:id', scope: 'admin', summary: 'Replace an alert rule', body: ALERT_RULE_BODY,
+        handler: (request, env, ctx, {app_id, params}) => handleUpdateAlert(request, env.DB, app_id, params.id)},
+    {method: 'DELETE', path: '/alerts/:id', scope: 'admin', summary: 'Delete an alert rule',
+        handler: (request, env, ctx, {app_id, params}) => handleDeleteAlert(request, env.DB, app_id, params.id)},
+
+    // Event destinations and their failed deliveries
+    {method: 'GET', path: '/destinations', scope: 'admin', summary: 'List destinations',
+        handler: (request, env, ctx, {app_id}) => handleListDestinations(request, env.DB, app_id)},
+    {method: 'POST', path: '/destinations', scope: 'admin', summary: 'Create a destination', body: DESTINATION_BODY,
+        handler: (request, env, ctx, {app_id}) => handleCreateDestination(request, env.DB, app_id)},
+    {method: 'GET', path: '/destinations/failures', scope: 'admin', summary: 'List failed deliveries', query: DESTINATION_FAILURES_QUERY,
+        handler: (request, env, ctx, {app_id}) => handleDestinationFailures(request, env.DB, app_id)},
+    {method: 'PUT', path: '/destinations/:id', scope: 'admin', summary: 'Replace a destination', body: DESTINATION_BODY,
+        handler: (request, env, ctx, {app_id, params}) => handleUpdateDestination(request, env.DB, app_id, params.id)},
+    {method: 'DELETE', path: '/destinations/:id', scope: 'admin', summary: 'Delete a destination',
+        handler: (request, env, ctx, {app_id, params}) => handleDeleteDestination(request, env.DB, app_id, params.id)}
+].map(route => ({...route, segments: route.path.split('/').filter(Boolean)}));
+
+/**
+ * Remove the API version prefix from a path
+ *
+ * @param {string} pathname - The request's URL path
+ * @returns {string} - The path without API_VERSION_PREFIX
+ */
+export function stripVersionPrefix(pathname) {
+    if (pathname === API_VERSION_PREFIX || pathname.startsWith(`${API_VERSION_PREFIX}/`)) {
+        return pathname.slice(API_VERSION_PREFIX.length) || '/';
+    }
+    return pathname;
+}
+
+/**
+ * Find the route for a request
+ *
+ * @param {string} method - The request method
+ * @param {string} pathname - The request's URL path, with or without the version prefix
+ * @returns {Object} - { route, params } if a route matches, otherwise { allowed } with the
+ *   methods the path supports (empty if no route has the path)
+ */
+export function matchRoute(method, pathname) {
+    const parts = stripVersionPrefix(pathname).split('/').filter(Boolean);
+    const allowed = new Set();
+    let best = null;
+
+    for (const route of ROUTES) {
+        const match = matchSegments(route.segments, parts);
+        if (!match) {
+            continue;
+        }
+        allowed.add(route.method);
+
+        if (route.method === method && (!best || match.staticSegments > best.staticSegments)) {
+            best = {route, params: match.params, staticSegments: match.staticSegments};
+        }
+    }
+
+    if (best) {
+        return {route: best.route, params: best.params};
+    }
+    return {allowed: [...allowed]};
+}
+
+/**
+ * Match path segments against a route's segments
+ *
+ * @param {Array<string>} segments - The route's segments, with :name for parameters
+ * @param {Array<string>} parts - The request path's segments
+ * @returns {Object|null} - { params, staticSegments } or null if the path doesn't match
+ */
+function matchSegments(segments, parts) {
+    if (segments.length !== parts.length) {
+        return null;
+    }
+
+    const params = {};
+    let staticSegments = 0;
+
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i].startsWith(':')) {
+            try {
+                params[segments[i].slice(1)] = decodeURIComponent(parts[i]);
+            } catch {
+                return null;
+            }
+        } else if (segments[i] === parts[i]) {
+            staticSegments++;
+        } else {
+            return null;
+        }
+    }
+
+    return {params, staticSegments};
+}
@@ -0,0 +1,162 @@
+/**
+ * Event schema registry
+ *
+ * Apps can register the event types they track, each with the qualifiers it may have,
+ * the range of its value, the category it belongs to and how far its timestamp may be
+ * from the server's clock. The app's schema_mode setting decides what happens to events
+ * that don't match:
+ * - off: The registry is ignored (the default)
+ * - permissive: Events are accepted, and stored with their schema_warnings
+ * - strict: Events are rejected
+ *
+ * Once schema_mode is on, event types that aren't registered don't match either.
+ */
+import { isValidCategory, MAX_CATEGORY_LENGTH } from './categories.js';
+
+/**
+ * Supported schema modes
+ */
+export const SCHEMA_MODES = ['off', 'permissive', 'strict'];
+
+/**
+ * Limits on schema definitions
+ */
+export const MAX_SCHEMA_QUALIFIERS = 100;
+export const MAX_SCHEMA_SKEW = 60 * 60 * 24 * 365;
+
+/**
+ * Fields of a schema definition
+ */
+const SCHEMA_FIELDS = ['qualifiers', 'min_value', 'max_value', 'category', 'max_skew'];
+
+/**
+ * Get an app's registered event schemas
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @returns {Promise<Map>} - Schemas by event type
+ */
+export async function getEventSchemas(db, app_id) {
+    const { results } = await db.prepare(
+        "SELECT * FROM event_schemas WHERE app_id = ? ORDER BY event_type"
+    ).bind(app_id).all();
+
+    return new Map((results || []).map(row => [row.event_type, formatEventSchema(row)]));
+}
+
+/**
+ * Check an event against the app's schemas
+ *
+ * @param {Object} event - The event's event_type, qualifier, value and timestamp
+ * @param {Map} schemas - The app's schemas (from getEventSchemas)
+ * @param {number} now - The current Unix timestamp
+ * @returns {Array<Object>} - Problems of { field, message }, empty if the event matches
+ */
+export function validateEventSchema(event, schemas, now) {
+    const schema = schemas.get(event.event_type);
+    if (!schema) {
+        return [{ field: 'event_type', message: `Unknown event_type '${event.event_type}'` }];
+    }
+
+    const problems = [];
+
+    if (schema.qualifiers !== null && !schema.qualifiers.includes(event.qualifier)) {
+        problems.push({
+            field: 'qualifier',
+            message: event.qualifier === null ?
+                `A qualifier is required for ${event.event_type}` :
+                `Qualifier '${event.qualifier}' is not allowed for ${event.event_type}`
+        });
+    }
+
+    if (schema.min_value !== null || schema.max_value !== null) {
+        if (typeof event.value !== 'number' || !Number.isFinite(event.value)) {
+            problems.push({ field: 'value', message: 'Must be a number' });
+        } else if ((schema.min_value !== null && event.value < schema.min_value) ||
+            (schema.max_value !== null && event.value > schema.max_value)) {
+            problems.push({
+                field: 'value',
+                message: `Must be between ${schema.min_value ?? '-∞'} and ${schema.max_value ?? '∞'} for ${event.event_type}`
+            });
+        }
+    }
+
+    if (schema.max_skew !== null && Math.abs(event.timestamp - now) > schema.max_skew) {
+        problems.push({
+            field: 'timestamp',
+            message: `Must be within ${schema.max_skew} seconds of the server time for ${event.event_type}`
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Validate a schema definition from an API request
+ *
+ * @param {Object} data - The definition's qualifiers, min_value, max_value, category and max_skew
+ * @returns {Object} - { schema } with missing fields set to null, or { error: { field: message } }
+ */
+export function parseEventSchema(data) {
+    const {
+        qualifiers = null,
+        min_value = null,
+        max_value = null,
+        category = null,
+        max_skew = null
+    } = data;
+
+    const errors = {};
+
+    for (const field of Object.keys(data)) {
+        if (!SCHEMA_FIELDS.includes(field)) {
+            errors[field] = 'Unknown field';
+        }
+    }
+
+    if (qualifiers !== null && (!Array.isArray(qualifiers) || qualifiers.length > MAX_SCHEMA_QUALIFIERS ||
+        qualifiers.some(qualifier => qualifier !== null && (typeof qualifier !== 'string' || qualifier === '')))) {
+        errors.qualifiers = `Must be null (any) or an array of at most ${MAX_SCHEMA_QUALIFIERS} qualifiers, with null allowing events without one`;
+    }
+
+    for (const [field, value] of Object.entries({ min_value, max_value })) {
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+            errors[field] = 'Must be null or a number';
+        }
+    }
+    if (!errors.min_value && !errors.max_value && min_value !== null && max_value !== null && min_value > max_value) {
+        errors.max_value = 'Must not be less than min_value';
+    }
+
+    if (category !== null && !isValidCategory(category)) {
+        errors.category = `Must be null (categorise as usual) or a string of at most ${MAX_CATEGORY_LENGTH} characters`;
+    }
+
+    if (max_skew !== null && (!Number.isInteger(max_skew) || max_skew < 0 || max_skew > MAX_SCHEMA_SKEW)) {
+        errors.max_skew = `Must be null (any) or an integer between 0 and ${MAX_SCHEMA_SKEW} seconds`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { error: errors };
+    }
+
+    return { schema: { qualifiers, min_value, max_value, category, max_skew } };
+}
+
+/**
+ * Format a schema row for use and for API responses
+ *
+ * @param {Object} row - The event_schemas row
+ * @returns {Object} - The schema
+ */
+export function formatEventSchema(row) {
+    return {
+        event_type: row.event_type,
+        qualifiers: row.qualifiers !== null ? JSON.parse(row.qualifiers) : null,
+        min_value: row.min_value,
+        max_value: row.max_value,
+        category: row.category,
+        max_skew: row.max_skew,
+        updated_at: new Date(row.updated_at * 1000).toISOString()
+    };
+}
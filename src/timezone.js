@@ -0,0 +1,267 @@
+/**
+ * Time zone support for bucketed queries
+ *
+ * SQLite only knows UTC, so local time is computed as timestamp + offset, where the
+ * offset comes from a CASE over the UTC offsets in effect during the queried range
+ * (one branch per daylight saving transition). Bucket boundaries are generated here
+ * so every bucket in a range can be returned, including empty ones.
+ */
+
+/**
+ * Largest offset accepted in the ±HH:MM form
+ */
+const MAX_FIXED_OFFSET = 14 * 3600;
+
+/**
+ * Parse a time zone parameter
+ *
+ * Accepts an IANA name (Europe/Berlin), UTC, or a fixed offset (+05:30, -0800).
+ *
+ * @param {string|null} tz - The time zone parameter
+ * @returns {Object|null} - The time zone, or null if it isn't valid
+ */
+export function parseTimezone(tz) {
+    if (!tz || tz === 'UTC' || tz === 'Z') {
+        return { name: 'UTC', fixedOffset: 0 };
+    }
+
+    const match = tz.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (match) {
+        const offset = (parseInt(match[2]) * 3600 + parseInt(match[3]) * 60) * (match[1] === '-' ? -1 : 1);
+        if (parseInt(match[3]) >= 60 || Math.abs(offset) > MAX_FIXED_OFFSET) {
+            return null;
+        }
+        return { name: tz, fixedOffset: offset };
+    }
+
+    try {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        return { name: tz, fixedOffset: null, formatter };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the UTC offset of a time zone at a moment
+ *
+ * @param {Object} timezone - The time zone (from parseTimezone)
+ * @param {number} timestamp - Unix timestamp
+ * @returns {number} - Offset in seconds (local time minus UTC)
+ */
+export function getTimezoneOffset(timezone, timestamp) {
+    if (timezone.fixedOffset !== null) {
+        return timezone.fixedOffset;
+    }
+
+    const parts = {};
+    for (const { type, value } of timezone.formatter.formatToParts(new Date(timestamp * 1000))) {
+        parts[type] = parseInt(value);
+    }
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    return local - timestamp;
+}
+
+/**
+ * Convert a local wall clock time to a Unix timestamp
+ *
+ * Ambiguous times (when clocks go back) resolve to their first occurrence, and times
+ * skipped when clocks go forward resolve to the moment of the transition.
+ *
+ * @param {Object} timezone - The time zone (from parseTimezone)
+ * @param {number} local - Local time as seconds since 1970-01-01 00:00 local time
+ * @returns {number} - Unix timestamp
+ */
+export function toUtcTimestamp(timezone, local) {
+    // The offsets a day either side cover any transition near this time
+    const before = getTimezoneOffset(timezone, local - 86400);
+    const after = getTimezoneOffset(timezone, local + 86400);
+
+    const candidates = [local - before, local - after]
+        .filter(timestamp => timestamp + getTimezoneOffset(timezone, timestamp) === local);
+
+    return candidates.length > 0 ? Math.min(...candidates) : local - before;
+}
+
+/**
+ * Get the UTC offsets in effect over a range
+ *
+ * @param {Object} timezone - The time zone (from parseTimezone)
+ * @param {number} fromDate - Start timestamp
+ * @param {number} toDate - End timestamp
+ * @returns {Array<Object>} - Segments of { start, offset }, the first starting at fromDate
+ */
+export function getOffsetSegments(timezone, fromDate, toDate) {
+    const segments = [{ start: fromDate, offset: getTimezoneOffset(timezone, fromDate) }];
+    if (timezone.fixedOffset !== null) {
+        return segments;
+    }
+
+    // Step a day at a time, then narrow each change down to the second it happens
+    let previous = fromDate;
+    let offset = segments[0].offset;
+    while (previous < toDate) {
+        const next = Math.min(previous + 86400, toDate);
+        const nextOffset = getTimezoneOffset(timezone, next);
+
+        if (nextOffset !== offset) {
+            let low = previous;
+            let high = next;
+            while (high - low > 1) {
+                const middle = Math.floor((low + high) / 2);
+                if (getTimezoneOffset(timezone, middle) === offset) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            segments.push({ start: high, offset: nextOffset });
+            offset = nextOffset;
+        }
+
+        previous = next;
+    }
+
+    return segments;
+}
+
+/**
+ * Get an SQL expression for the UTC offset of a timestamp column
+ *
+ * @param {Array<Object>} segments - Offset segments (from getOffsetSegments)
+ * @param {string} column - SQL expression for the Unix timestamp
+ * @returns {string|null} - The SQL expression, or null for UTC
+ */
+export function getOffsetExpression(segments, column) {
+    if (segments.length === 1) {
+        return segments[0].offset ? String(segments[0].offset) : null;
+    }
+
+    const branches = segments.slice(1).map((segment, index) =>
+        `WHEN ${column} < ${segment.start} THEN ${segments[index].offset}`
+    );
+    return `(CASE ${branches.join(' ')} ELSE ${segments[segments.length - 1].offset} END)`;
+}
+
+/**
+ * Generate the buckets of a period covering a range, in local time
+ *
+ * The first bucket contains fromDate and the last contains toDate. If there would be
+ * more than limit buckets, only the latest are returned. Labels match the ones
+ * produced by getTimeGroupExpression for the same local time.
+ *
+ * @param {string} period - The time period ('hour', 'day', 'week' or 'month')
+ * @param {number} fromDate - Start timestamp
+ * @param {number} toDate - End timestamp
+ * @param {Object} timezone - The time zone (from parseTimezone)
+ * @param {number} limit - Maximum number of buckets
+ * @returns {Array<Object>} - Buckets of { time_period, start, end } in chronological order, end exclusive
+ */
+export function getTimeBuckets(period, fromDate, toDate, timezone, limit) {
+    const buckets = [];
+
+    // Walk back from the bucket containing toDate, in local wall clock time
+    let local = truncateLocalTime(period, toDate + getTimezoneOffset(timezone, toDate));
+    let end = toUtcTimestamp(timezone, stepLocalTime(period, local, 1));
+
+    while (buckets.length < limit) {
+        const start = toUtcTimestamp(timezone, local);
+
+        // Hours skipped by a daylight saving transition have no length
+        if (start < end) {
+            buckets.push({ time_period: formatLocalTime(period, local), start, end });
+        }
+
+        if (start <= fromDate) {
+            break;
+        }
+
+        end = start;
+        local = stepLocalTime(period, local, -1);
+    }
+
+    return buckets.reverse();
+}
+
+/**
+ * Truncate a local time to the start of its period
+ *
+ * @param {string} period - The time period
+ * @param {number} local - Local time in seconds
+ * @returns {number} - Local time at the start of the period
+ */
+function truncateLocalTime(period, local) {
+    const date = new Date(local * 1000);
+
+    switch (period) {
+        case 'hour':
+            return local - (local % 3600);
+        case 'day':
+            return local - (local % 86400);
+        case 'week':
+            // ISO weeks start on Monday
+            return local - (local % 86400) - ((date.getUTCDay() + 6) % 7) * 86400;
+        case 'month':
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+    }
+}
+
+/**
+ * Move a truncated local time by a number of periods
+ *
+ * @param {string} period - The time period
+ * @param {number} local - Local time at the start of a period
+ * @param {number} steps - Number of periods to move (negative to go back)
+ * @returns {number} - Local time at the start of the new period
+ */
+function stepLocalTime(period, local, steps) {
+    switch (period) {
+        case 'hour':
+            return local + steps * 3600;
+        case 'day':
+            return local + steps * 86400;
+        case 'week':
+            return local + steps * 7 * 86400;
+        case 'month': {
+            const date = new Date(local * 1000);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + steps, 1) / 1000;
+        }
+    }
+}
+
+/**
+ * Format the label of the period starting at a local time
+ *
+ * @param {string} period - The time period
+ * @param {number} local - Local time at the start of the period
+ * @returns {string} - The label, e.g. '2025-03-09 14:00:00', '2025-03-09', '2025-W10' or '2025-03'
+ */
+function formatLocalTime(period, local) {
+    const iso = new Date(local * 1000).toISOString();
+
+    switch (period) {
+        case 'hour':
+            return `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00:00`;
+        case 'day':
+            return iso.slice(0, 10);
+        case 'week': {
+            // The ISO week-numbering year is the year of the week's Thursday
+            const thursday = new Date((local + 3 * 86400) * 1000);
+            const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+            const week = Math.floor((thursday.getTime() - yearStart) / (7 * 86400000)) + 1;
+            return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+        }
+        case 'month':
+            return iso.slice(0, 7);
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * Utility functions for Applytics API
  */
+import { toUtcTimestamp } from './timezone.js';
 
 /**
  * Create a consistent error response
@@ -8,9 +9,10 @@
  * @param {string} message - Error message
  * @param {number} status - HTTP status code
  * @param {string|Object} details - Additional error details
+ * @param {Object} headers - Additional response headers
  * @returns {Response} - Error response
  */
-export function errorResponse(message, status = 500, details = null) {
+export function errorResponse(message, status = 500, details = null, headers = {}) {
     const error = {
         error: message
     };
@@ -22,7 +24,8 @@ export function errorResponse(message, status = 500, details = null) {
         {
             status: status,
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...headers
             }
         }
     );
@@ -48,36 +51,6 @@ export function successResponse(data, status = 200) {
     );
 }
 
-/**
- * Determine the category based on event type
- *
- * @param {string} eventType - The event type
- * @returns {string} - The determined category
- */
-export function determineCategory(eventType) {
-    // Common categorization patterns
-    if (eventType.startsWith('purchase') || eventType.includes('payment') || eventType.includes('subscription')) {
-        return 'revenue';
-    }
-    if (eventType === 'install' || eventType === 'uninstall' || eventType.includes('update')) {
-        return 'lifecycle';
-    }
-    if (eventType.includes('view') || eventType.includes('screen') || eventType.includes('page')) {
-        return 'engagement';
-    }
-    if (eventType.includes('click') || eventType.includes('tap') || eventType.includes('swipe')) {
-        return 'interaction';
-    }
-    if (eventType.includes('error') || eventType.includes('crash') || eventType.includes('exception')) {
-        return 'error';
-    }
-    if (eventType.includes('user') || eventType.includes('account') || eventType.includes('login')) {
-        return 'user';
-    }
-    // Default category
-    return 'general';
-}
-
 /**
  * Parse pagination parameters from request URL
  *
@@ -91,43 +64,405 @@ export function getPaginationParams(url) {
     return { page, pageSize, offset };
 }
 
+/**
+ * Encode the sort key of the last row of a page as an opaque cursor
+ *
+ * Cursors mark a position in the sort order rather than a row count, so pages stay
+ * stable when rows are added in the meantime.
+ *
+ * @param {Array} values - The sort key values of the last row
+ * @returns {string} - The cursor (base64url encoded)
+ */
+export function encodeCursor(values) {
+    const bytes = new TextEncoder().encode(JSON.stringify(values));
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor created by encodeCursor
+ *
+ * @param {string} cursor - The cursor parameter from URL
+ * @param {Array<string>} types - The expected typeof of each sort key value
+ * @returns {Array|null} - The sort key values, or null if the cursor isn't valid
+ */
+export function decodeCursor(cursor, types) {
+    try {
+        const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+        const values = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        if (!Array.isArray(values) || values.length !== types.length ||
+            values.some((value, index) => typeof value !== types[index])) {
+            return null;
+        }
+        return values;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Parse a date parameter and return a timestamp
  *
+ * Accepts a Unix timestamp or an ISO 8601 date. Dates without a UTC offset, such as
+ * '2025-03-09' or '2025-03-09T08:00', are read as local time in the given time zone.
+ *
  * @param {string|null} dateParam - The date parameter from URL
  * @param {number} daysAgo - Default days ago if param is not provided
- * @returns {number} Unix timestamp
+ * @param {Object|null} [timezone=null] - Time zone for dates without an offset (from parseTimezone), defaults to UTC
+ * @returns {number} Unix timestamp (NaN if the date is invalid)
  */
-export function parseDateParam(dateParam, daysAgo = 0) {
+export function parseDateParam(dateParam, daysAgo = 0, timezone = null) {
     if (dateParam) {
-        return Math.floor(new Date(dateParam).getTime() / 1000);
+        if (/^\d+$/.test(dateParam)) {
+            return parseInt(dateParam);
+        }
+
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(dateParam) || !/^\d{4}-\d{2}-\d{2}(T[\d:.]+)?$/.test(dateParam)) {
+            return Math.floor(new Date(dateParam).getTime() / 1000);
+        }
+
+        // Read the wall clock time as if it were UTC, then shift it into the time zone
+        const local = Math.floor(new Date(dateParam.length === 10 ? `${dateParam}T00:00:00Z` : `${dateParam}Z`).getTime() / 1000);
+        return timezone ? toUtcTimestamp(timezone, local) : local;
     }
 
     // Default: Current time minus specified days
     return Math.floor(Date.now() / 1000) - (60 * 60 * 24 * daysAgo);
 }
 
+/**
+ * Parse a duration parameter such as '90', '30m', '24h', '7d' or '2w'
+ *
+ * @param {string|null} durationParam - The duration parameter from URL (seconds if no unit)
+ * @param {number} defaultSeconds - Default duration if param is not provided
+ * @returns {number|null} Duration in seconds, or null if invalid
+ */
+export function parseDurationParam(durationParam, defaultSeconds) {
+    if (!durationParam) {
+        return defaultSeconds;
+    }
+
+    const match = /^(\d+)([smhdw]?)$/.exec(durationParam.trim());
+    if (!match) {
+        return null;
+    }
+
+    const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+    return parseInt(match[1]) * units[match[2]];
+}
+
+/**
+ * Parse a numeric ID from a path parameter
+ *
+ * @param {string} idParam - The ID from the path
+ * @returns {number|null} The ID, or null if it isn't a positive integer
+ */
+export function parseIdParam(idParam) {
+    return /^[1-9]\d{0,15}$/.test(idParam) ? parseInt(idParam) : null;
+}
+
 /**
  * Get SQL time grouping expression for the given period
  *
+ * Weeks are ISO 8601 weeks (starting on Monday, labelled '2025-W10'), whose year is
+ * the year of the week's Thursday so weeks never split at a year boundary.
+ *
  * @param {string} period - The time period ('hour', 'day', 'week', 'month')
+ * @param {string} [column='timestamp'] - The column holding the Unix timestamp
+ * @param {string|null} [offset=null] - SQL expression for the UTC offset to group in local time (see getOffsetExpression)
  * @returns {string|null} The SQLite time grouping expression or null if invalid
  */
-export function getTimeGroupExpression(period) {
+export function getTimeGroupExpression(period, column = 'timestamp', offset = null) {
+    const local = offset ? `${column} + ${offset}` : column;
+
     switch (period) {
         case 'hour':
-            return "strftime('%Y-%m-%d %H:00:00', datetime(timestamp, 'unixepoch'))";
+            return `strftime('%Y-%m-%d %H:00:00', datetime(${local}, 'unixepoch'))`;
         case 'day':
-            return "strftime('%Y-%m-%d', datetime(timestamp, 'unixepoch'))";
+            return `strftime('%Y-%m-%d', datetime(${local}, 'unixepoch'))`;
         case 'week':
-            return "strftime('%Y-%W', datetime(timestamp, 'unixepoch'))";
+            return `printf('%s-W%02d', strftime('%Y', ${local}, 'unixepoch', '-3 days', 'weekday 4'), ` +
+                `(CAST(strftime('%j', ${local}, 'unixepoch', '-3 days', 'weekday 4') AS INTEGER) - 1) / 7 + 1)`;
         case 'month':
-            return "strftime('%Y-%m', datetime(timestamp, 'unixepoch'))";
+            return `strftime('%Y-%m', datetime(${local}, 'unixepoch'))`;
         default:
             return null;
     }
 }
 
+/**
+ * Split a metric key into event type and qualifier
+ *
+ * A metric is `event_type` or `event_type.qualifier`, as stored in the stats table.
+ *
+ * @param {string} metric - The metric key
+ * @returns {Object} - { event_type, qualifier } (qualifier is null if absent)
+ */
+export function parseMetric(metric) {
+    if (metric.includes('.')) {
+        const [event_type, qualifier] = metric.split('.', 2);
+        return { event_type, qualifier };
+    }
+    return { event_type: metric, qualifier: null };
+}
+
+/**
+ * Maximum length of a client-supplied event_id or user_id
+ */
+export const MAX_IDENTIFIER_LENGTH = 128;
+
+/**
+ * Check that an event_id or user_id is either absent or a reasonably sized string
+ *
+ * @param {*} value - The identifier from the payload
+ * @returns {boolean} - True if valid
+ */
+export function isValidIdentifier(value) {
+    return value === null || (typeof value === 'string' && value.length > 0 && value.length <= MAX_IDENTIFIER_LENGTH);
+}
+
+/**
+ * Build the SQL condition matching the events of a metric
+ *
+ * @param {string} metric - The metric key
+ * @param {string} [table=''] - Optional table alias to qualify the columns with
+ * @returns {Object} - { clause: SQL condition, params: bind values }
+ */
+export function getMetricCondition(metric, table = '') {
+    const prefix = table ? `${table}.` : '';
+    const { event_type, qualifier } = parseMetric(metric);
+
+    if (qualifier !== null) {
+        return {
+            clause: `${prefix}event_type = ? AND ${prefix}qualifier = ?`,
+            params: [event_type, qualifier]
+        };
+    }
+
+    return {
+        clause: `${prefix}event_type = ? AND ${prefix}qualifier IS NULL`,
+        params: [event_type]
+    };
+}
+
+/**
+ * SQL expression for the metric key of an event, as built by createEventStatements
+ */
+export const EVENT_METRIC_EXPRESSION = "CASE WHEN COALESCE(qualifier, '') = '' THEN event_type ELSE event_type || '.' || qualifier END";
+
+/**
+ * Most event types to match a metric's events by, to stay within D1's limit on bound parameters
+ */
+const MAX_METRIC_EVENT_TYPES = 8;
+
+/**
+ * Get every event type whose events may have the given metric key
+ *
+ * Event types may contain dots themselves, so "app.open.home" can come from type "app"
+ * with qualifier "open.home", type "app.open" with qualifier "home", or type
+ * "app.open.home" without a qualifier.
+ *
+ * @param {string} metric - The metric key
+ * @returns {Array<string>} - The event types
+ */
+export function getMetricEventTypes(metric) {
+    const types = [metric];
+    for (let dot = metric.indexOf('.'); dot !== -1; dot = metric.indexOf('.', dot + 1)) {
+        types.push(metric.slice(0, dot));
+    }
+    return types;
+}
+
+/**
+ * Build the SQL condition matching exactly the events counted in a metric's stats
+ *
+ * Matching event_type against every type the metric may come from lets the lookup use
+ * the events index; metrics with more dots than that allows match on
+ * EVENT_METRIC_EXPRESSION alone.
+ *
+ * @param {string} metric - The metric key
+ * @returns {Object} - { clause: SQL condition, params: bind values }
+ */
+export function getMetricEventCondition(metric) {
+    const types = getMetricEventTypes(metric);
+
+    if (types.length > MAX_METRIC_EVENT_TYPES) {
+        return { clause: `${EVENT_METRIC_EXPRESSION} = ?`, params: [metric] };
+    }
+
+    return {
+        clause: `event_type IN (${types.map(() => '?').join(', ')}) AND ${EVENT_METRIC_EXPRESSION} = ?`,
+        params: [...types, metric]
+    };
+}
+
+/**
+ * Maximum number of data points per timeseries or active users query
+ */
+export const MAX_DATA_POINTS = 1000;
+
+/**
+ * Limits for the free-form properties attached to an event
+ */
+export const MAX_PROPERTY_KEYS = 20;
+export const MAX_PROPERTIES_SIZE = 2048;
+export const MAX_PROPERTY_FILTERS = 5;
+const PROPERTY_KEY_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+
+/**
+ * Validate an event's properties object and serialize it for storage
+ *
+ * Properties must be a flat object of at most MAX_PROPERTY_KEYS keys (letters, digits
+ * and underscores) with string, number, boolean or null values, and serialize to at
+ * most MAX_PROPERTIES_SIZE bytes.
+ *
+ * @param {*} properties - The properties from the payload
+ * @returns {Object} - { properties: JSON string or null } or { error: message }
+ */
+export function validateProperties(properties) {
+    if (properties === null || properties === undefined) {
+        return { properties: null };
+    }
+
+    if (typeof properties !== 'object' || Array.isArray(properties)) {
+        return { error: 'Properties must be an object' };
+    }
+
+    const keys = Object.keys(properties);
+    if (keys.length > MAX_PROPERTY_KEYS) {
+        return { error: `Properties can have at most ${MAX_PROPERTY_KEYS} keys` };
+    }
+
+    for (const key of keys) {
+        if (!PROPERTY_KEY_PATTERN.test(key)) {
+            return { error: `Invalid property key '${key}'` };
+        }
+        const value = properties[key];
+        if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            return { error: `Property '${key}' must be a string, number, boolean or null` };
+        }
+    }
+
+    if (keys.length === 0) {
+        return { properties: null };
+    }
+
+    const serialized = JSON.stringify(properties);
+    if (new TextEncoder().encode(serialized).length > MAX_PROPERTIES_SIZE) {
+        return { error: `Properties exceed maximum size (${MAX_PROPERTIES_SIZE} bytes)` };
+    }
+
+    return { properties: serialized };
+}
+
+/**
+ * Parse property filters (?prop.<key>=<value>) from the request URL
+ *
+ * Their keys and number have been validated against the route's definitions.
+ *
+ * @param {URL} url - The request URL
+ * @returns {Object} - { filters: Array<{key, value}> }
+ */
+export function getPropertyFilters(url) {
+    const filters = [];
+    for (const [param, value] of url.searchParams) {
+        if (param.startsWith('prop.')) {
+            filters.push({ key: param.slice(5), value });
+        }
+    }
+    return { filters };
+}
+
+/**
+ * Check that a property key can be used for grouping
+ *
+ * @param {string} key - The property key
+ * @returns {boolean} - True if valid
+ */
+export function isValidPropertyKey(key) {
+    return PROPERTY_KEY_PATTERN.test(key);
+}
+
+/**
+ * Get an SQL expression for a property's value as text, so it can be compared
+ * with query string values (booleans compare as 'true' / 'false')
+ *
+ * Keys are validated with the request, and are checked again here because they are inlined.
+ *
+ * @param {string} key - The property key
+ * @returns {string} - The SQL expression
+ * @throws {Error} - If the key doesn't match PROPERTY_KEY_PATTERN
+ */
+export function getPropertyExpression(key) {
+    if (!PROPERTY_KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid property key '${key}'`);
+    }
+    const path = `'$.${key}'`;
+    return `CASE json_type(properties, ${path}) WHEN 'true' THEN 'true' WHEN 'false' THEN 'false' ` +
+        `ELSE CAST(json_extract(properties, ${path}) AS TEXT) END`;
+}
+
+/**
+ * Build the SQL conditions for property filters
+ *
+ * @param {Array<Object>} filters - Filters from getPropertyFilters
+ * @returns {Object} - { clause: SQL to append to a WHERE clause, params: bind values }
+ */
+export function buildPropertyFilterClause(filters) {
+    let clause = '';
+    const params = [];
+    for (const { key, value } of filters) {
+        clause += ` AND ${getPropertyExpression(key)} = ?`;
+        params.push(value);
+    }
+    return { clause, params };
+}
+
+/**
+ * Build the SQL conditions for the event filters shared by /events and /export
+ *
+ * Reads ?type=, ?category=, ?country=, ?flagged=true and property filters (?prop.<key>=<value>).
+ *
+ * @param {URL} url - The request URL
+ * @returns {Object} - { clause: SQL to append to a WHERE clause, params: bind values }
+ */
+export function getEventFilterClause(url) {
+    const propertyFilters = getPropertyFilters(url);
+    const event_type = url.searchParams.get('type');
+    const category = url.searchParams.get('category');
+    const country = url.searchParams.get('country');
+
+    let clause = '';
+    const params = [];
+
+    if (event_type) {
+        clause += " AND event_type = ?";
+        params.push(event_type);
+    }
+
+    if (category) {
+        clause += " AND event_category = ?";
+        params.push(category);
+    }
+
+    if (country) {
+        clause += " AND country = ?";
+        params.push(country);
+    }
+
+    if (url.searchParams.get('flagged') === 'true') {
+        clause += " AND schema_warnings IS NOT NULL";
+    }
+
+    const propertyClause = buildPropertyFilterClause(propertyFilters.filters);
+    clause += propertyClause.clause;
+    params.push(...propertyClause.params);
+
+    return { clause, params };
+}
+
 /**
  * Get all available app IDs in the database
  *
@@ -196,35 +531,155 @@ export async function getAppSummary(db, app_id) {
     }
 }
 
+/**
+ * Default values for per-app settings
+ */
+export const DEFAULT_APP_SETTINGS = {
+    signing_required: false,
+    dedupe_window: 60 * 60 * 24,
+    approx_uniques: false,
+    raw_retention_days: null,
+    rate_limit: null,
+    default_category: null,
+    schema_mode: 'off',
+    cors_origins: []
+};
+
+/**
+ * Get the settings for an app, falling back to defaults
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @returns {Object} - Application settings
+ */
+export async function getAppSettings(db, app_id) {
+    const row = await db.prepare(
+        "SELECT * FROM app_settings WHERE app_id = ?"
+    ).bind(app_id).first();
+
+    const settings = { ...DEFAULT_APP_SETTINGS };
+    if (row) {
+        for (const key of Object.keys(DEFAULT_APP_SETTINGS)) {
+            if (row[key] === null || row[key] === undefined) {
+                continue;
+            }
+            // Booleans are stored as integers, and lists as JSON
+            const fallback = DEFAULT_APP_SETTINGS[key];
+            settings[key] = typeof fallback === 'boolean' ? Boolean(row[key]) :
+                Array.isArray(fallback) ? JSON.parse(row[key]) : row[key];
+        }
+    }
+    return settings;
+}
+
+/**
+ * Get the start of the app's event_id deduplication window
+ *
+ * @param {Object} settings - The app settings
+ * @returns {number} - Unix timestamp
+ */
+export function getDedupeSince(settings) {
+    return Math.floor(Date.now() / 1000) - settings.dedupe_window;
+}
+
 /**
  * Insert an event and update associated stats
  *
+ * Stats are kept as lifetime totals per metric (stats) and as daily totals per metric
+ * and country (stats_daily), which /stats sums for time windows and country filters.
+ *
+ * Events with an event_id are only inserted (and only counted in stats) if the
+ * same event_id has not been received for the app since dedupeSince. The events
+ * statement is always first, so its `changes` tells whether the event was a duplicate.
+ *
  * @param {D1Database} db - The D1 database instance
  * @param {string} app_id - Application ID
- * @param {string} event_type - Event type
- * @param {string} event_category - Event category
- * @param {string|null} qualifier - Event qualifier
- * @param {number} value - Event value
- * @param {number} timestamp - Event timestamp
- * @param {string|null} country - Country code
+ * @param {Object} event - The event to insert
+ * @param {string} event.event_type - Event type
+ * @param {string} event.event_category - Event category
+ * @param {string|null} event.qualifier - Event qualifier
+ * @param {number} event.value - Event value
+ * @param {number} event.timestamp - Event timestamp
+ * @param {string|null} event.country - Country code
+ * @param {string|null} [event.event_id] - Client-supplied ID used for deduplication
+ * @param {string|null} [event.properties] - Serialized properties (from validateProperties)
+ * @param {string|null} [event.user_id] - Pseudonymous user or install ID
+ * @param {number} [dedupeSince=0] - Timestamp from which earlier receipts of an event_id count as duplicates
  * @returns {Array} - Array of database statements
  */
-export function createEventStatements(db, app_id, event_type, event_category, qualifier, value, timestamp, country) {
+export function createEventStatements(db, app_id, event, dedupeSince = 0) {
+    const {
+        event_type, event_category, qualifier, value, timestamp, country,
+        event_id = null, properties = null, user_id = null, schema_warnings = null
+    } = event;
+
     // Create the metric key
     const metric = qualifier ? `${event_type}.${qualifier}` : event_type;
 
+    // Skip both the event and its stats if the event_id was already received in the window
+    // (a NULL event_id never matches, so events without one are always inserted)
+    const notDuplicate = "NOT EXISTS (SELECT 1 FROM event_ids WHERE app_id = ? AND event_id = ? AND received_at >= ?)";
+
     // Statement for events table
-    const eventStmt = db.prepare(
-        "INSERT INTO events (app_id, event_type, event_category, qualifier, value, timestamp, country) VALUES (?, ?, ?, ?, ?, ?, ?)"
-    ).bind(app_id, event_type, event_category, qualifier, value, timestamp, country);
+    const eventStmt = db.prepare(`
+    INSERT INTO events (app_id, event_type, event_category, qualifier, value, timestamp, country, event_id, properties, user_id, schema_warnings)
+    SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+    WHERE ${notDuplicate}
+  `).bind(
+        app_id, event_type, event_category, qualifier, value, timestamp, country, event_id, properties, user_id,
+        schema_warnings !== null ? JSON.stringify(schema_warnings) : null,
+        app_id, event_id, dedupeSince
+    );
 
     // Statement for stats table
     const statsStmt = db.prepare(`
     INSERT INTO stats (app_id, metric, category, value, last_updated)
-    VALUES (?, ?, ?, ?, ?) ON CONFLICT (app_id, metric) DO
+    SELECT ?, ?, ?, ?, ?
+    WHERE ${notDuplicate}
+    ON CONFLICT (app_id, metric) DO
     UPDATE
-      SET value = value + ?, last_updated = ?
-  `).bind(app_id, metric, event_category, value, timestamp, value, timestamp);
+      SET value = value + ?, last_updated = MAX(last_updated, ?)
+  `).bind(app_id, metric, event_category, value, timestamp, app_id, event_id, dedupeSince, value, timestamp);
+
+    // Statement for the daily stats of the event's UTC day and country
+    const dailyStatsStmt = db.prepare(`
+    INSERT INTO stats_daily (app_id, metric, country, day, category, value, last_updated)
+    SELECT ?, ?, ?, ?, ?, ?, ?
+    WHERE ${notDuplicate}
+    ON CONFLICT (app_id, metric, country, day) DO
+    UPDATE
+      SET value = value + ?, last_updated = MAX(last_updated, ?)
+  `).bind(
+        app_id, metric, country || '', timestamp - (timestamp % 86400), event_category, value, timestamp,
+        app_id, event_id, dedupeSince, value, timestamp
+    );
 
-    return [eventStmt, statsStmt];
-}
\ No newline at end of file
+    if (!event_id) {
+        return [eventStmt, statsStmt, dailyStatsStmt];
+    }
+
+    // Record the event_id last, restarting the window if the previous receipt has expired
+    const idStmt = db.prepare(`
+    INSERT INTO event_ids (app_id, event_id, received_at)
+    VALUES (?, ?, ?) ON CONFLICT (app_id, event_id) DO
+    UPDATE
+      SET received_at = excluded.received_at
+      WHERE received_at < ?
+  `).bind(app_id, event_id, Math.floor(Date.now() / 1000), dedupeSince);
+
+    return [eventStmt, statsStmt, dailyStatsStmt, idStmt];
+}
+
+/**
+ * Create a statement that forgets event IDs received before the deduplication window
+ *
+ * @param {D1Database} db - The D1 database instance
+ * @param {string} app_id - Application ID
+ * @param {number} dedupeSince - Start of the deduplication window
+ * @returns {D1PreparedStatement} - The cleanup statement
+ */
+export function createEventIdCleanupStatement(db, app_id, dedupeSince) {
+    return db.prepare(
+        "DELETE FROM event_ids WHERE app_id = ? AND received_at < ?"
+    ).bind(app_id, dedupeSince);
+}
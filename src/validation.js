@@ -0,0 +1,334 @@
+/**
+ * Request validation
+ *
+ * Checks query strings and JSON bodies against the definitions routes are declared with
+ * (see definitions.js), and reports every problem as { field: message }.
+ */
+import { parseDateParam, parseDurationParam, isValidPropertyKey } from './utils.js';
+import { parseTimezone } from './timezone.js';
+import { isValidCorsOrigin } from './cors.js';
+
+/**
+ * Checks for the custom string formats, with what they expect for error messages
+ */
+const FORMATS = {
+    timestamp: {
+        check: value => !Number.isNaN(parseDateParam(value)),
+        description: 'a Unix timestamp or ISO 8601 date'
+    },
+    duration: {
+        check: value => parseDurationParam(value, 0) !== null,
+        description: 'a duration in seconds, or with an s/m/h/d/w unit such as 24h or 7d'
+    },
+    timezone: {
+        check: value => parseTimezone(value) !== null,
+        description: "an IANA time zone name such as 'Europe/Berlin', or an offset such as '+05:30'"
+    },
+    'property-key': {
+        check: isValidPropertyKey,
+        description: 'a property key of up to 64 letters, digits and underscores'
+    },
+    origin: {
+        check: isValidCorsOrigin,
+        description: "an origin such as 'https://example.com', or '*' for any origin"
+    }
+};
+
+/**
+ * Unknown names this close to a known one (in edits, and at most half its length) are
+ * reported with a suggestion
+ */
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Validate a request's query string
+ *
+ * Every parameter must be defined, given once, and match its schema. Required
+ * parameters must be present.
+ *
+ * @param {URL} url - The request URL
+ * @param {Array<Object>} [parameters=[]] - The route's query parameter definitions
+ * @returns {Object|null} - { parameter: message } for each invalid parameter, or null if all are valid
+ */
+export function validateQuery(url, parameters = []) {
+    const errors = {};
+    const prefixCounts = new Map();
+
+    for (const name of new Set(url.searchParams.keys())) {
+        const values = url.searchParams.getAll(name);
+        const parameter = parameters.find(p => !p.prefix && p.name === name);
+
+        if (parameter) {
+            if (values.length > 1) {
+                errors[name] = 'Must only be given once';
+            } else {
+                validateValue(parseQueryValue(values[0], parameter.schema), parameter.schema, name, errors);
+            }
+            continue;
+        }
+
+        const prefixed = parameters.find(p => p.prefix && name.startsWith(p.prefix));
+        if (prefixed) {
+            const key = name.slice(prefixed.prefix.length);
+            const count = (prefixCounts.get(prefixed) || 0) + values.length;
+            prefixCounts.set(prefixed, count);
+
+            if (!FORMATS[prefixed.keyFormat].check(key)) {
+                errors[name] = `${prefixed.prefix}<key> needs ${FORMATS[prefixed.keyFormat].description}`;
+            } else if (count > prefixed.maxCount) {
+                errors[name] = `At most ${prefixed.maxCount} ${prefixed.name} parameters are allowed`;
+            }
+            continue;
+        }
+
+        const suggestion = findClosestName(name, parameters.filter(p => !p.prefix).map(p => p.name));
+        errors[name] = suggestion ? `Unknown parameter, did you mean ${suggestion}?` : 'Unknown parameter';
+    }
+
+    for (const parameter of parameters) {
+        if (parameter.required && !url.searchParams.has(parameter.name)) {
+            errors[parameter.name] = 'Required';
+        }
+    }
+
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Validate a request's JSON body
+ *
+ * The body is read from a clone of the request, so the handler can still read it.
+ *
+ * @param {Request} request - The incoming request
+ * @param {Object} body - The route's body definition
+ * @returns {Promise<Object|null>} - { message, details } describing the problem, or null if the body is valid
+ */
+export async function validateBody(request, body) {
+    const text = await request.clone().text();
+    if (!text) {
+        return body.required ? { message: 'Missing request body', details: null } : null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { message: 'Invalid JSON body', details: null };
+    }
+
+    const errors = {};
+    validateValue(data, body.schema, '', errors);
+    return Object.keys(errors).length > 0 ? { message: 'Invalid request body', details: errors } : null;
+}
+
+/**
+ * Convert a query string value to the type its schema expects
+ *
+ * Values that don't look like the type are returned as strings, so validation reports them.
+ *
+ * @param {string} value - The raw value
+ * @param {Object} schema - The parameter's schema
+ * @returns {*} - The converted value
+ */
+function parseQueryValue(value, schema) {
+    switch (schema.type) {
+        case 'integer':
+            return /^-?\d+$/.test(value) ? parseInt(value) : value;
+        case 'number':
+            return /^-?\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value;
+        case 'boolean':
+            return value === 'true' ? true : value === 'false' ? false : value;
+        case 'array':
+            return value.split(',').map(item => parseQueryValue(item.trim(), schema.items)).filter(item => item !== '');
+        default:
+            return value;
+    }
+}
+
+/**
+ * Validate a value against a schema, recording errors by field path
+ *
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @param {string} path - The value's field path ('' for a whole body)
+ * @param {Object} errors - Errors found so far, added to in place
+ */
+function validateValue(value, schema, path, errors) {
+    // Schemas without a type accept any value
+    if (schema.type === undefined || (value === null && schema.nullable)) {
+        return;
+    }
+
+    if (!isValidValue(value, schema)) {
+        errors[path || 'body'] = `Must be ${schema.nullable ? 'null or ' : ''}${describeSchema(schema)}`;
+        return;
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (schema.type === 'object') {
+        const fieldPath = field => path ? `${path}.${field}` : field;
+
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) {
+                errors[fieldPath(field)] = 'Required';
+            }
+        }
+
+        for (const [field, fieldValue] of Object.entries(value)) {
+            const fieldSchema = schema.properties && Object.hasOwn(schema.properties, field) ? schema.properties[field] :
+                typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+            if (fieldSchema) {
+                validateValue(fieldValue, fieldSchema, fieldPath(field), errors);
+            } else if (schema.additionalProperties === false) {
+                const suggestion = findClosestName(field, Object.keys(schema.properties || {}));
+                errors[fieldPath(field)] = suggestion ? `Unknown field, did you mean ${suggestion}?` : 'Unknown field';
+            }
+        }
+    }
+}
+
+/**
+ * Check a value's type and the schema's constraints, other than those of array items
+ * and object fields
+ *
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @returns {boolean} - True if valid
+ */
+function isValidValue(value, schema) {
+    if (schema.enum) {
+        return schema.enum.includes(value);
+    }
+
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            return (schema.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value)) &&
+                (schema.minimum === undefined || value >= schema.minimum) &&
+                (schema.maximum === undefined || value <= schema.maximum);
+        case 'string':
+            return typeof value === 'string' &&
+                (schema.minLength === undefined || value.length >= schema.minLength) &&
+                (schema.maxLength === undefined || value.length <= schema.maxLength) &&
+                (!FORMATS[schema.format] || FORMATS[schema.format].check(value));
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value) &&
+                (schema.minItems === undefined || value.length >= schema.minItems) &&
+                (schema.maxItems === undefined || value.length <= schema.maxItems);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                (schema.minProperties === undefined || Object.keys(value).length >= schema.minProperties) &&
+                (schema.maxProperties === undefined || Object.keys(value).length <= schema.maxProperties);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Describe what a schema accepts, for error messages
+ *
+ * @param {Object} schema - The schema
+ * @returns {string} - E.g. 'an integer between 1 and 100'
+ */
+function describeSchema(schema) {
+    if (schema.enum) {
+        return `one of ${schema.enum.join(', ')}`;
+    }
+
+    const { minimum, maximum } = schema;
+    const range = minimum !== undefined && maximum !== undefined ? ` between ${minimum} and ${maximum}` :
+        minimum !== undefined ? ` of at least ${minimum}` :
+            maximum !== undefined ? ` of at most ${maximum}` : '';
+
+    switch (schema.type) {
+        case 'integer':
+            return `an integer${range}`;
+        case 'number':
+            return `a number${range}`;
+        case 'string':
+            if (FORMATS[schema.format]) {
+                return FORMATS[schema.format].description;
+            }
+            return schema.maxLength !== undefined ? `a string of ${schema.minLength ? `${schema.minLength} to ` : 'at most '}${schema.maxLength} characters` :
+                schema.minLength ? 'a non-empty string' : 'a string';
+        case 'boolean':
+            return 'a boolean';
+        case 'array':
+            return `a list of ${describeCount(schema.minItems, schema.maxItems, 'item')}`;
+        case 'object':
+            return schema.minProperties || schema.maxProperties ?
+                `an object with ${describeCount(schema.minProperties, schema.maxProperties, 'field')}` : 'an object';
+        default:
+            return 'a valid value';
+    }
+}
+
+/**
+ * Describe a number of items allowed by a minimum and maximum
+ *
+ * @param {number|undefined} min - The minimum
+ * @param {number|undefined} max - The maximum
+ * @param {string} noun - What is counted, in the singular
+ * @returns {string} - E.g. '2 to 10 items'
+ */
+function describeCount(min, max, noun) {
+    if (min && max !== undefined) {
+        return `${min} to ${max} ${noun}s`;
+    }
+    if (max !== undefined) {
+        return `at most ${max} ${noun}${max === 1 ? '' : 's'}`;
+    }
+    return min ? `at least ${min} ${noun}${min === 1 ? '' : 's'}` : `${noun}s`;
+}
+
+/**
+ * Find the known name closest to an unknown one, to suggest for typos
+ *
+ * @param {string} name - The unknown name
+ * @param {Array<string>} names - The known names
+ * @returns {string|null} - The closest name within MAX_SUGGESTION_DISTANCE edits, or null
+ */
+function findClosestName(name, names) {
+    let closest = null;
+    let closestDistance = Infinity;
+
+    for (const candidate of names) {
+        const distance = getEditDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < closestDistance && distance <= Math.min(MAX_SUGGESTION_DISTANCE, Math.floor(candidate.length / 2))) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    }
+
+    return closest;
+}
+
+/**
+ * Count the insertions, deletions and substitutions needed to turn one string into another
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} - The Levenshtein distance
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}